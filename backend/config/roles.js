@@ -0,0 +1,71 @@
+/**
+ * User roles, from least to most privileged
+ */
+const ROLES = ['viewer', 'technician', 'supervisor', 'admin'];
+
+// Viewers can look at everything but change nothing
+const VIEWER_PERMISSIONS = [
+  'sensors:read',
+  'assets:read',
+  'thresholds:read',
+  'rules:read',
+  'alerts:read'
+];
+
+// Technicians work on the alerts raised for them
+const TECHNICIAN_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'alerts:acknowledge',
+  'alerts:resolve'
+];
+
+// Supervisors dispatch alerts and own the alarm configuration
+const SUPERVISOR_PERMISSIONS = [
+  ...TECHNICIAN_PERMISSIONS,
+  'alerts:assign',
+  'thresholds:write',
+  'rules:write'
+];
+
+// Admins additionally manage the asset registry, the sensor types, user
+// roles, the devices that push sensor data and the simulator's fault injection
+const ADMIN_PERMISSIONS = [
+  ...SUPERVISOR_PERMISSIONS,
+  'assets:write',
+  'sensors:manage',
+  'users:manage',
+  'devices:manage',
+  'simulator:manage'
+];
+
+/**
+ * Permissions granted to each role
+ */
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  technician: TECHNICIAN_PERMISSIONS,
+  supervisor: SUPERVISOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+/**
+ * Get the permissions of a role; unknown roles have none
+ * @param {String} role - User role
+ * @returns {Array} - Permissions
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission
+ * @param {String} role - User role
+ * @param {String} permission - Permission such as 'thresholds:write'
+ * @returns {Boolean} - True if the role grants the permission
+ */
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
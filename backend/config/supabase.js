@@ -0,0 +1,11 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Create Supabase client shared by controllers and services
+ */
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_KEY || ''
+);
+
+module.exports = supabase;
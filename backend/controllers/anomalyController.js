@@ -0,0 +1,71 @@
+const anomalyService = require('../services/anomalyService');
+const { getAsset } = require('../services/assetService');
+
+/**
+ * Get recent anomaly events, newest first
+ * @route GET /api/sensors/anomalies
+ */
+exports.getAnomalies = async (req, res) => {
+  try {
+    const { assetId, sensorType } = req.query;
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+
+    if (limit !== undefined && !(limit > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'limit must be a positive number'
+      });
+    }
+
+    if (assetId && !getAsset(assetId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Asset not found: ${assetId}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: anomalyService.getAnomalies({ assetId, assetIds: req.assetIds, sensorType, active, limit })
+    });
+  } catch (err) {
+    console.error('Error fetching anomalies:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching anomalies'
+    });
+  }
+};
+
+/**
+ * Get the band each sensor's baseline considers normal. Sensors still
+ * warming up have a null band
+ * @route GET /api/sensors/baselines
+ */
+exports.getBaselines = async (req, res) => {
+  try {
+    const { assetId } = req.query;
+
+    if (assetId && !getAsset(assetId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Asset not found: ${assetId}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sigma: anomalyService.SIGMA,
+        baselines: anomalyService.getBaselines(assetId, req.assetIds)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching baselines:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching baselines'
+    });
+  }
+};
@@ -0,0 +1,213 @@
+const assetService = require('../services/assetService');
+const { clearAssetReadings } = require('./sensorController');
+const { clearAssetThresholds, clearAssetEpisodes } = require('../services/safetyThresholdService');
+const { clearAssetRules } = require('../services/alertRuleService');
+const { clearAssetBaselines } = require('../services/anomalyService');
+const { clearAssetAssignments } = require('../services/userAssetService');
+const forecastService = require('../services/forecastService');
+const { logActivity } = require('../services/activityLogService');
+
+/**
+ * Get all registered assets
+ * @route GET /api/assets
+ */
+exports.getAssets = async (req, res) => {
+  try {
+    const { equipmentClass, location } = req.query;
+    const assets = assetService.listAssets({ equipmentClass, location });
+
+    res.status(200).json({
+      status: 'success',
+      data: assets
+    });
+  } catch (err) {
+    console.error('Error fetching assets:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching assets'
+    });
+  }
+};
+
+/**
+ * Get a single asset
+ * @route GET /api/assets/:id
+ */
+exports.getAsset = async (req, res) => {
+  try {
+    const asset = assetService.getAsset(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Asset not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: asset
+    });
+  } catch (err) {
+    console.error('Error fetching asset:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching asset'
+    });
+  }
+};
+
+/**
+ * Forecast when the asset's sensors will cross their critical thresholds,
+ * from the trend of their history
+ * @route GET /api/assets/:id/forecast
+ */
+exports.getAssetForecast = async (req, res) => {
+  try {
+    const asset = assetService.getAsset(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Asset not found'
+      });
+    }
+
+    const days = req.query.days === undefined ? undefined : parseFloat(req.query.days);
+    const sensorTypes = req.query.sensorTypes
+      ? String(req.query.sensorTypes).split(',').map(type => type.trim().toUpperCase())
+      : undefined;
+
+    const validationError = forecastService.validateForecastOptions({ days, sensorTypes });
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+
+    const forecast = await forecastService.forecastAsset(asset.id, { days, sensorTypes });
+
+    res.status(200).json({
+      status: 'success',
+      data: forecast
+    });
+  } catch (err) {
+    console.error('Error forecasting asset:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error forecasting asset'
+    });
+  }
+};
+
+/**
+ * Register a new asset
+ * @route POST /api/assets
+ */
+exports.createAsset = async (req, res) => {
+  try {
+    const { name, location, equipmentClass } = req.body;
+
+    if (!name || !location || !equipmentClass) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide name, location and equipmentClass'
+      });
+    }
+
+    const asset = await assetService.createAsset({ name, location, equipmentClass });
+    logActivity(req.user.id, 'asset.created', { targetType: 'asset', targetId: asset.id, ipAddress: req.ip });
+
+    res.status(201).json({
+      status: 'success',
+      data: asset
+    });
+  } catch (err) {
+    console.error('Error creating asset:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error creating asset'
+    });
+  }
+};
+
+/**
+ * Update an asset
+ * @route PUT /api/assets/:id
+ */
+exports.updateAsset = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, location, equipmentClass } = req.body;
+
+    if (!assetService.getAsset(id) || id === assetService.DEFAULT_ASSET.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Asset not found'
+      });
+    }
+
+    if (name === undefined && location === undefined && equipmentClass === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'At least one field (name, location or equipmentClass) is required'
+      });
+    }
+
+    const asset = await assetService.updateAsset(id, { name, location, equipmentClass });
+    logActivity(req.user.id, 'asset.updated', { targetType: 'asset', targetId: id, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      data: asset
+    });
+  } catch (err) {
+    console.error('Error updating asset:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error updating asset'
+    });
+  }
+};
+
+/**
+ * Remove an asset from the registry
+ * @route DELETE /api/assets/:id
+ */
+exports.deleteAsset = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!assetService.getAsset(id) || id === assetService.DEFAULT_ASSET.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Asset not found'
+      });
+    }
+
+    await assetService.deleteAsset(id);
+    clearAssetReadings(id);
+    clearAssetThresholds(id);
+    clearAssetEpisodes(id);
+    clearAssetRules(id).catch(err => {
+      console.error('Error removing asset alert rules:', err.message);
+    });
+    clearAssetBaselines(id);
+    clearAssetAssignments(id).catch(err => {
+      console.error('Error removing asset assignments:', err.message);
+    });
+    logActivity(req.user.id, 'asset.deleted', { targetType: 'asset', targetId: id, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Asset deleted successfully'
+    });
+  } catch (err) {
+    console.error('Error deleting asset:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error deleting asset'
+    });
+  }
+};
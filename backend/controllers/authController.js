@@ -1,28 +1,134 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { createClient } = require('@supabase/supabase-js');
+const supabase = require('../config/supabase');
+const { getPermissions } = require('../config/roles');
+const sessionService = require('../services/sessionService');
+const loginAttemptService = require('../services/loginAttemptService');
+const { logActivity } = require('../services/activityLogService');
+const mailService = require('../services/mailService');
+const { TOKEN_PURPOSES, TOKEN_TTL, createAuthToken, consumeAuthToken } = require('../services/authTokenService');
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL || '',
-  process.env.SUPABASE_KEY || ''
+// Shortest password accepted when setting a new one
+const MIN_PASSWORD_LENGTH = 8;
+
+// Refuse to sign in users who haven't verified their email address yet
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Checked against for unknown emails, so they take as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not a password', 10);
+
+/**
+ * Sign a short-lived access token for one of a user's sessions
+ * @param {Object} user - User row
+ * @param {String} sessionId - Session the token belongs to
+ * @returns {String} - Signed JWT
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET || 'default_secret',
+  { expiresIn: sessionService.ACCESS_TOKEN_TTL }
 );
 
+/**
+ * Details of the client making a request, shown in the session list
+ * @param {Object} req - Express request object
+ * @returns {Object} - { device, ipAddress }
+ */
+const getClientDetails = (req) => ({
+  device: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * User fields returned to the client
+ * @param {Object} user - User row
+ * @returns {Object} - User
+ */
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  permissions: getPermissions(user.role),
+  emailVerified: Boolean(user.email_verified)
+});
+
+/**
+ * Check that a new password is acceptable
+ * @param {String} password - The password
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Hash and store a user's new password
+ * @param {String} userId - The user
+ * @param {String} password - The new password
+ * @param {Object} changes - Other user fields to update at the same time
+ */
+const setPassword = async (userId, password, changes = {}) => {
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const { error } = await supabase
+    .from('users')
+    .update({ ...changes, password: hashedPassword })
+    .eq('id', userId);
+
+  if (error) {
+    throw new Error(`Error updating password: ${error.message}`);
+  }
+};
+
+/**
+ * Email a user the link that verifies their address
+ * @param {Object} user - User row
+ * @param {Object} req - Express request object, used to build the link
+ */
+const sendVerification = async (user, req) => {
+  const token = await createAuthToken(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+  const link = `${req.protocol}://${req.get('host')}/auth/verify-email?token=${token}`;
+  await mailService.sendVerificationEmail(user, link);
+};
+
+/**
+ * Start a session for a user and issue its tokens
+ * @param {Object} user - User row
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await sessionService.createSession(user.id, getClientDetails(req));
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: sessionService.ACCESS_TOKEN_TTL
+  };
+};
+
 /**
  * Register a new user
  * @route POST /auth/register
  */
 exports.register = async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { password, name } = req.body;
 
-    if (!email || !password || !name) {
+    if (!req.body.email || !password || !name) {
       return res.status(400).json({
         status: 'error',
         message: 'Please provide email, password and name'
       });
     }
 
+    // Emails are stored normalized so sign-in can look them up exactly
+    const email = loginAttemptService.normalizeEmail(req.body.email);
+
     // Check if user already exists
     const { data: existingUser } = await supabase
       .from('users')
@@ -62,23 +168,22 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { id: newUser[0].id, email: newUser[0].email, role: newUser[0].role },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '24h' }
-    );
+    // A failed email shouldn't fail the registration; it can be sent again
+    try {
+      await sendVerification(newUser[0], req);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError.message);
+    }
+
+    // Start a session
+    const tokens = await issueTokens(newUser[0], req);
+    logActivity(newUser[0].id, 'auth.registered', { ipAddress: req.ip });
 
     res.status(201).json({
       status: 'success',
       message: 'User registered successfully',
-      token,
-      user: {
-        id: newUser[0].id,
-        email: newUser[0].email,
-        name: newUser[0].name,
-        role: newUser[0].role
-      }
+      ...tokens,
+      user: formatUser(newUser[0])
     });
   } catch (err) {
     console.error('Register error:', err);
@@ -89,67 +194,527 @@ exports.register = async (req, res) => {
   }
 };
 
+/**
+ * Count a failed sign-in and answer it. Unknown emails are counted too, so
+ * the response doesn't reveal whether an account exists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} email - Normalized email that was signed in to
+ * @param {Object|null} user - User row, if the email matched one
+ */
+const rejectLogin = (req, res, email, user) => {
+  const { accountLocked, addressLocked } = loginAttemptService.recordFailure(email, req.ip);
+
+  if (accountLocked && user) {
+    logActivity(user.id, 'auth.locked_out', {
+      details: { attempts: loginAttemptService.MAX_ACCOUNT_ATTEMPTS },
+      ipAddress: req.ip
+    });
+  }
+  if (addressLocked) {
+    console.warn(`Sign-ins from ${req.ip} locked after ${loginAttemptService.MAX_IP_ATTEMPTS} failures`);
+  }
+
+  res.status(401).json({
+    status: 'error',
+    message: 'Invalid credentials'
+  });
+};
+
 /**
  * Login a user
  * @route POST /auth/login
  */
 exports.login = async (req, res) => {
+  // The reserved attempt until it is settled as a success or failure
+  let reserved = null;
+
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
 
-    if (!email || !password) {
+    if (!req.body.email || !password) {
       return res.status(400).json({
         status: 'error',
         message: 'Please provide email and password'
       });
     }
 
+    // The lookup and the lockout both go by the normalized email
+    const email = loginAttemptService.normalizeEmail(req.body.email);
+
+    // Slow down and lock out repeated guessing before checking anything. An
+    // attempt that is let through counts as a failure until it is settled
+    const attempt = loginAttemptService.reserveAttempt(email, req.ip);
+    if (!attempt.allowed) {
+      const minutes = Math.ceil(attempt.retryAfter / 60);
+      res.set('Retry-After', String(attempt.retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message: attempt.locked
+          ? `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+          : `Too many login attempts. Try again in ${attempt.retryAfter} second${attempt.retryAfter === 1 ? '' : 's'}`,
+        retryAfter: attempt.retryAfter
+      });
+    }
+    reserved = { email, ipAddress: req.ip };
+
     // Get user from Supabase
     const { data: user, error } = await supabase
       .from('users')
       .select('*')
       .eq('email', email)
-      .single();
+      .maybeSingle();
 
-    if (error || !user) {
+    if (error) {
+      throw new Error(`Error fetching user: ${error.message}`);
+    }
+
+    // Check password, against a dummy hash for unknown emails
+    const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    reserved = null;
+    if (!user || !isMatch) {
+      return rejectLogin(req, res, email, user);
+    }
+    loginAttemptService.recordSuccess(email, req.ip);
+
+    if (user.active === false) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This account has been deactivated'
+      });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Please verify your email address before signing in'
+      });
+    }
+
+    // Start a session
+    const tokens = await issueTokens(user, req);
+    logActivity(user.id, 'auth.login', { ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Login successful',
+      ...tokens,
+      user: formatUser(user)
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  } finally {
+    // An attempt that broke off before the password was checked doesn't count against anyone
+    if (reserved) {
+      loginAttemptService.releaseAttempt(reserved.email, reserved.ipAddress);
+    }
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @route POST /auth/refresh
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const rotated = await sessionService.rotateSession(refreshToken, getClientDetails(req));
+    if (!rotated) {
       return res.status(401).json({
         status: 'error',
-        message: 'Invalid credentials'
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
+    // Read the user again so role changes apply from the next token
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', rotated.session.userId)
+      .single();
+
+    if (error || !user || user.active === false) {
+      await sessionService.revokeSession(rotated.session.id);
       return res.status(401).json({
         status: 'error',
-        message: 'Invalid credentials'
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '24h' }
-    );
+    res.status(200).json({
+      status: 'success',
+      token: signAccessToken(user, rotated.session.id),
+      refreshToken: rotated.refreshToken,
+      expiresIn: sessionService.ACCESS_TOKEN_TTL,
+      user: formatUser(user)
+    });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Sign out by revoking the session a refresh token belongs to
+ * @route POST /auth/logout
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    // Signing out twice, or with a token that no longer works, still succeeds
+    const session = await sessionService.getSessionByToken(refreshToken);
+    if (session) {
+      await sessionService.revokeSession(session.id);
+      logActivity(session.userId, 'auth.logout', { ipAddress: req.ip });
+    }
 
     res.status(200).json({
       status: 'success',
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
+      message: 'Logged out'
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * List the signed-in user's active sessions, marking the current one
+ * @route GET /auth/sessions
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getUserSessions(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+    });
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Sign out one of the signed-in user's sessions
+ * @route DELETE /auth/sessions/:id
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await sessionService.revokeSession(req.params.id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Session not found: ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: session
+    });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Sign out every session of the signed-in user except the current one
+ * @route POST /auth/sessions/revoke-others
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeUserSessions(req.user.id, req.user.sid);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Signed out ${revoked.length} other session(s)`,
+      data: { revoked: revoked.length }
+    });
+  } catch (err) {
+    console.error('Revoke other sessions error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Email a password reset token. The response is the same whether or not the
+ * address belongs to a user, so it can't be used to look up accounts
+ * @route POST /auth/forgot-password
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    if (!req.body.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an email address'
+      });
+    }
+
+    const email = loginAttemptService.normalizeEmail(req.body.email);
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('email', email)
+      .maybeSingle();
+
+    // Deactivated accounts can't sign in, so there's nothing to reset. A failed
+    // email gets the same answer, so the response never tells whether the account exists
+    if (user && user.active !== false) {
+      try {
+        const token = await createAuthToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET);
+        await mailService.sendPasswordResetEmail(user, token, TOKEN_TTL[TOKEN_PURPOSES.PASSWORD_RESET] / 60);
+      } catch (mailError) {
+        console.error('Error sending password reset email:', mailError.message);
       }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that address, a reset code has been sent to it'
     });
   } catch (err) {
-    console.error('Login error:', err);
+    console.error('Forgot password error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Set a new password with a reset token, signing out every session
+ * @route POST /auth/reset-password
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the reset token'
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        status: 'error',
+        message: passwordError
+      });
+    }
+
+    const userId = await consumeAuthToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!userId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // The token arrived by email, which also proves the address is theirs
+    await setPassword(userId, password, { email_verified: true });
+    await sessionService.revokeUserSessions(userId);
+    logActivity(userId, 'auth.password_reset', { ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset, please sign in again'
+    });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Change the signed-in user's password, signing out their other sessions
+ * @route POST /auth/change-password
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your current password'
+      });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        status: 'error',
+        message: passwordError
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await setPassword(user.id, newPassword);
+    await sessionService.revokeUserSessions(user.id, req.user.sid);
+    logActivity(user.id, 'auth.password_changed', { ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed'
+    });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Verify a user's email address with the token from the verification email
+ * @route GET /auth/verify-email
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the verification token'
+      });
+    }
+
+    const userId = await consumeAuthToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    if (!userId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ email_verified: true })
+      .eq('id', userId);
+
+    if (error) {
+      throw new Error(`Error verifying email: ${error.message}`);
+    }
+
+    logActivity(userId, 'auth.email_verified', { ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email address verified'
+    });
+  } catch (err) {
+    console.error('Verify email error:', err);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
     });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Send the signed-in user a new verification email
+ * @route POST /auth/resend-verification
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendVerification(user, req);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,153 @@
+const deviceService = require('../services/deviceService');
+const ingestionService = require('../services/ingestionService');
+const socketService = require('../services/socketService');
+const { getAsset } = require('../services/assetService');
+const { logActivity } = require('../services/activityLogService');
+
+/**
+ * Get registered devices
+ * @route GET /api/devices
+ */
+exports.getDevices = async (req, res) => {
+  try {
+    const devices = await deviceService.getDevices(req.query.includeRevoked === 'true');
+
+    res.status(200).json({
+      status: 'success',
+      data: devices
+    });
+  } catch (err) {
+    console.error('Error fetching devices:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching devices'
+    });
+  }
+};
+
+/**
+ * Register a device. The response holds the device's API key, which
+ * can't be retrieved again
+ * @route POST /api/devices
+ */
+exports.createDevice = async (req, res) => {
+  try {
+    const { name, assetIds = [] } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a device name'
+      });
+    }
+
+    if (!Array.isArray(assetIds) || assetIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'assetIds must be an array of asset ids'
+      });
+    }
+
+    const unknown = assetIds.filter(id => !getAsset(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Asset not found: ${unknown.join(', ')}`
+      });
+    }
+
+    const { device, apiKey } = await deviceService.createDevice(
+      { name: name.trim(), assetIds: [...new Set(assetIds)] },
+      req.user.id
+    );
+    logActivity(req.user.id, 'device.created', { targetType: 'device', targetId: device.id, ipAddress: req.ip });
+
+    res.status(201).json({
+      status: 'success',
+      data: { ...device, apiKey }
+    });
+  } catch (err) {
+    console.error('Error creating device:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating device'
+    });
+  }
+};
+
+/**
+ * Revoke a device's API key
+ * @route DELETE /api/devices/:id
+ */
+exports.revokeDevice = async (req, res) => {
+  try {
+    const device = await deviceService.revokeDevice(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Device not found'
+      });
+    }
+
+    logActivity(req.user.id, 'device.revoked', { targetType: 'device', targetId: device.id, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      data: device
+    });
+  } catch (err) {
+    console.error('Error revoking device:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error revoking device'
+    });
+  }
+};
+
+/**
+ * Ingest readings pushed by a device: a single reading, an array of
+ * readings or { readings: [...] }
+ * @route POST /api/ingest
+ */
+exports.ingestReadings = async (req, res) => {
+  try {
+    const isBatch = Array.isArray(req.body) || Array.isArray(req.body.readings);
+    const inputs = isBatch ? [].concat(req.body.readings || req.body) : [req.body];
+
+    if (inputs.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No readings provided'
+      });
+    }
+
+    if (inputs.length > ingestionService.MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        status: 'error',
+        message: `A batch may contain at most ${ingestionService.MAX_BATCH_SIZE} readings`
+      });
+    }
+
+    const result = await ingestionService.ingestReadings(socketService, req.device, inputs);
+
+    if (result.accepted === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: isBatch ? 'No valid readings in batch' : result.rejected[0].message,
+        errors: result.rejected
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (err) {
+    console.error('Error ingesting sensor readings:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error ingesting sensor readings'
+    });
+  }
+};
@@ -1,25 +1,20 @@
 const {
   getThresholds,
+  validateThresholdChange,
+  validateThresholdUpdate,
   updateThreshold,
-  checkReadings
+  rollbackThreshold
 } = require('../services/safetyThresholdService');
+const thresholdHistoryService = require('../services/thresholdHistoryService');
+const alertService = require('../services/alertService');
+const alertRuleService = require('../services/alertRuleService');
+const { logActivity } = require('../services/activityLogService');
+const { getAsset } = require('../services/assetService');
+const { hasPermission } = require('../config/roles');
+const socketService = require('../services/socketService');
 
-// Store alerts in memory for quick access
-const alertsHistory = [];
-const MAX_ALERTS_HISTORY = 100;
-
-/**
- * Store a new safety alert in memory
- * @param {Object} alert - The safety alert to store
- */
-const storeAlert = (alert) => {
-  alertsHistory.unshift(alert);
-  
-  // Limit history size
-  if (alertsHistory.length > MAX_ALERTS_HISTORY) {
-    alertsHistory.pop();
-  }
-};
+// Numeric fields of an alert rule definition
+const RULE_NUMBER_FIELDS = ['windowSeconds', 'maxRate', 'level', 'durationSeconds', 'horizonMinutes'];
 
 /**
  * Get current safety thresholds
@@ -27,8 +22,8 @@ const storeAlert = (alert) => {
  */
 exports.getThresholds = async (req, res) => {
   try {
-    const { sensorType } = req.query;
-    const thresholds = getThresholds(sensorType);
+    const { sensorType, assetId } = req.query;
+    const thresholds = getThresholds(sensorType, assetId);
     
     res.status(200).json({
       status: 'success',
@@ -50,7 +45,8 @@ exports.getThresholds = async (req, res) => {
 exports.updateThreshold = async (req, res) => {
   try {
     const { sensorType } = req.params;
-    const { min, max } = req.body;
+    const { min, max, warningMin, warningMax, clearMin, clearMax, holdTime, reason } = req.body;
+    const assetId = req.body.assetId || req.query.assetId;
     
     if (!sensorType) {
       return res.status(400).json({
@@ -59,18 +55,55 @@ exports.updateThreshold = async (req, res) => {
       });
     }
     
-    if (min === undefined && max === undefined) {
+    if ([min, max, warningMin, warningMax, clearMin, clearMax, holdTime].every(value => value === undefined)) {
       return res.status(400).json({
         status: 'error',
-        message: 'At least one threshold value (min or max) is required'
+        message: 'At least one threshold value (min, max, warningMin, warningMax, clearMin, clearMax or holdTime) is required'
       });
     }
     
     const thresholds = {};
     if (min !== undefined) thresholds.min = parseFloat(min);
     if (max !== undefined) thresholds.max = parseFloat(max);
+    if (warningMin !== undefined) thresholds.warningMin = parseFloat(warningMin);
+    if (warningMax !== undefined) thresholds.warningMax = parseFloat(warningMax);
+    if (clearMin !== undefined) thresholds.clearMin = parseFloat(clearMin);
+    if (clearMax !== undefined) thresholds.clearMax = parseFloat(clearMax);
+    if (holdTime !== undefined) thresholds.holdTime = parseFloat(holdTime);
+    
+    const invalidValue = Object.keys(thresholds).find(limit => !Number.isFinite(thresholds[limit]));
+    if (invalidValue) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${invalidValue} must be a number`
+      });
+    }
+    
+    if (thresholds.holdTime < 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'holdTime must be a number of seconds (0 or more)'
+      });
+    }
+    
+    const validationError = validateThresholdUpdate(sensorType, thresholds, assetId);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
     
-    const updatedThreshold = updateThreshold(sensorType, thresholds);
+    const updatedThreshold = await updateThreshold(sensorType, thresholds, assetId, {
+      userId: req.user.id,
+      reason
+    });
+    logActivity(req.user.id, 'threshold.updated', {
+      targetType: 'threshold',
+      targetId: sensorType,
+      details: { assetId: assetId || null, values: thresholds, reason: reason || null },
+      ipAddress: req.ip
+    });
     
     res.status(200).json({
       status: 'success',
@@ -85,23 +118,277 @@ exports.updateThreshold = async (req, res) => {
   }
 };
 
+/**
+ * Get the recorded threshold changes, newest first
+ * @route GET /api/safety/thresholds/history
+ */
+exports.getThresholdHistory = async (req, res) => {
+  try {
+    const { sensorType, assetId } = req.query;
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    
+    if (limit !== undefined && !(limit > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'limit must be a positive number'
+      });
+    }
+    
+    const history = await thresholdHistoryService.getThresholdHistory({ sensorType, assetId, limit });
+    
+    res.status(200).json({
+      status: 'success',
+      data: history
+    });
+  } catch (err) {
+    console.error('Error fetching threshold history:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching threshold history'
+    });
+  }
+};
+
+/**
+ * Roll a threshold back to the values of an earlier change
+ * @route POST /api/safety/thresholds/history/:id/rollback
+ */
+exports.rollbackThreshold = async (req, res) => {
+  try {
+    const change = await thresholdHistoryService.getThresholdChange(req.params.id);
+    
+    if (!change) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Threshold change not found'
+      });
+    }
+    
+    // The values were valid when recorded, but the fleet values an asset
+    // override sits on, or the rules themselves, may have changed since
+    const validationError = validateThresholdChange(change.sensorType, change.assetId, change.newValues);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot roll back to change ${change.id}: ${validationError}`
+      });
+    }
+    
+    const thresholds = await rollbackThreshold(change, {
+      userId: req.user.id,
+      reason: req.body.reason
+    });
+    logActivity(req.user.id, 'threshold.rolled_back', {
+      targetType: 'threshold',
+      targetId: change.sensorType,
+      details: { assetId: change.assetId, changeId: change.id },
+      ipAddress: req.ip
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: thresholds
+    });
+  } catch (err) {
+    console.error('Error rolling back safety threshold:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error rolling back safety threshold'
+    });
+  }
+};
+
+/**
+ * Pick the alert rule fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Rule fields that were given, with numbers parsed
+ */
+const parseRuleFields = (body) => {
+  const fields = {};
+  
+  ['name', 'type', 'sensorType', 'assetId', 'severity', 'direction'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  RULE_NUMBER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field] === null ? null : parseFloat(body[field]);
+  });
+  if (body.enabled !== undefined) fields.enabled = body.enabled !== false && body.enabled !== 'false';
+  
+  return fields;
+};
+
+/**
+ * Check a complete rule definition, including its sensor type and asset
+ * @param {Object} rule - Rule definition
+ * @returns {String|null} - Error message, or null if the rule is valid
+ */
+const checkRule = (rule) => {
+  const validationError = alertRuleService.validateRule(rule);
+  if (validationError) return validationError;
+  
+  if (!getThresholds(rule.sensorType)) {
+    return `Invalid sensor type: ${rule.sensorType}`;
+  }
+  if (rule.assetId && !getAsset(rule.assetId)) {
+    return `Invalid asset: ${rule.assetId}`;
+  }
+  return null;
+};
+
+/**
+ * Get alert rule definitions
+ * @route GET /api/safety/rules
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const { sensorType, assetId, type } = req.query;
+    
+    res.status(200).json({
+      status: 'success',
+      data: alertRuleService.getRules({ sensorType, assetId, type })
+    });
+  } catch (err) {
+    console.error('Error fetching alert rules:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching alert rules'
+    });
+  }
+};
+
+/**
+ * Create an alert rule
+ * @route POST /api/safety/rules
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const definition = parseRuleFields(req.body);
+    
+    const validationError = checkRule(definition);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+    
+    const rule = await alertRuleService.createRule(definition);
+    logActivity(req.user.id, 'rule.created', { targetType: 'rule', targetId: rule.id, ipAddress: req.ip });
+    
+    res.status(201).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (err) {
+    console.error('Error creating alert rule:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating alert rule'
+    });
+  }
+};
+
+/**
+ * Update an alert rule
+ * @route PUT /api/safety/rules/:id
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rule = alertRuleService.getRule(id);
+    
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert rule not found'
+      });
+    }
+    
+    const changes = parseRuleFields(req.body);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'At least one rule field is required'
+      });
+    }
+    
+    const validationError = checkRule({ ...rule, ...changes });
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+    
+    const updated = await alertRuleService.updateRule(id, changes);
+    logActivity(req.user.id, 'rule.updated', { targetType: 'rule', targetId: id, ipAddress: req.ip });
+    
+    res.status(200).json({
+      status: 'success',
+      data: updated
+    });
+  } catch (err) {
+    console.error('Error updating alert rule:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating alert rule'
+    });
+  }
+};
+
+/**
+ * Delete an alert rule; alerts it raised that are still active clear on the
+ * next simulator cycle
+ * @route DELETE /api/safety/rules/:id
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    if (!(await alertRuleService.deleteRule(req.params.id))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert rule not found'
+      });
+    }
+    logActivity(req.user.id, 'rule.deleted', { targetType: 'rule', targetId: req.params.id, ipAddress: req.ip });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (err) {
+    console.error('Error deleting alert rule:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting alert rule'
+    });
+  }
+};
+
 /**
  * Get safety alerts history
  * @route GET /api/safety/alerts
  */
 exports.getAlerts = async (req, res) => {
   try {
-    const { sensorType } = req.query;
+    const { sensorType, assetId, severity, status, assignedTo, ruleType } = req.query;
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
     
-    // Filter by sensor type if provided
-    let filteredAlerts = alertsHistory;
-    if (sensorType) {
-      filteredAlerts = alertsHistory.filter(alert => alert.type === sensorType);
+    if (status && !Object.values(alertService.ALERT_STATUS).includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `status must be one of: ${Object.values(alertService.ALERT_STATUS).join(', ')}`
+      });
     }
     
+    // Filter by sensor type, asset, severity, lifecycle status, assignee, episode state and rule type if provided,
+    // within the assets the user is assigned to
+    const alerts = alertService.getAlerts({
+      sensorType, assetId, assetIds: req.assetIds, severity, status, assignedTo, active, ruleType
+    });
+    
     res.status(200).json({
       status: 'success',
-      data: filteredAlerts
+      data: alerts
     });
   } catch (err) {
     console.error('Error fetching safety alerts:', err);
@@ -112,21 +399,213 @@ exports.getAlerts = async (req, res) => {
   }
 };
 
+/**
+ * Look up an alert and check that a lifecycle action is allowed, sending the
+ * error response if it is not
+ * @param {Object} res - Express response
+ * @param {String} alertId - Alert id
+ * @param {String} action - acknowledge, resolve or assign
+ * @returns {Object|null} - The alert, or null if a response was sent
+ */
+const findAlertForAction = (res, alertId, action) => {
+  const alert = alertService.getAlert(alertId);
+  
+  if (!alert) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Alert not found'
+    });
+    return null;
+  }
+  
+  if (!alertService.canTransition(alert, action)) {
+    res.status(409).json({
+      status: 'error',
+      message: `Cannot ${action} an alert that is ${alert.status}`
+    });
+    return null;
+  }
+  
+  return alert;
+};
+
+/**
+ * Send the conflict response for a lifecycle action that lost a race with
+ * another change to the alert's status
+ * @param {Object} res - Express response
+ * @param {String} alertId - Alert id
+ * @param {String} action - acknowledge, resolve or assign
+ */
+const sendTransitionConflict = (res, alertId, action) => {
+  const alert = alertService.getAlert(alertId);
+  
+  res.status(409).json({
+    status: 'error',
+    message: alert
+      ? `Cannot ${action} an alert that is ${alert.status}`
+      : 'Alert was changed by someone else, reload and try again'
+  });
+};
+
+/**
+ * Acknowledge an open alert
+ * @route POST /api/safety/alerts/:id/acknowledge
+ */
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { comment } = req.body;
+    
+    if (!findAlertForAction(res, id, 'acknowledge')) return;
+    
+    const alert = await alertService.acknowledgeAlert(id, {
+      userId: req.user.id,
+      comment
+    });
+    if (!alert) return sendTransitionConflict(res, id, 'acknowledge');
+    
+    socketService.emitAlertUpdate(alert);
+    logActivity(req.user.id, 'alert.acknowledged', { targetType: 'alert', targetId: id, ipAddress: req.ip });
+    
+    res.status(200).json({
+      status: 'success',
+      data: alert
+    });
+  } catch (err) {
+    console.error('Error acknowledging alert:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error acknowledging alert'
+    });
+  }
+};
+
+/**
+ * Resolve an acknowledged alert
+ * @route POST /api/safety/alerts/:id/resolve
+ */
+exports.resolveAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { comment } = req.body;
+    
+    if (!findAlertForAction(res, id, 'resolve')) return;
+    
+    const alert = await alertService.resolveAlert(id, {
+      userId: req.user.id,
+      comment
+    });
+    if (!alert) return sendTransitionConflict(res, id, 'resolve');
+    
+    socketService.emitAlertUpdate(alert);
+    logActivity(req.user.id, 'alert.resolved', { targetType: 'alert', targetId: id, ipAddress: req.ip });
+    
+    res.status(200).json({
+      status: 'success',
+      data: alert
+    });
+  } catch (err) {
+    console.error('Error resolving alert:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error resolving alert'
+    });
+  }
+};
+
+/**
+ * Assign an alert to a technician
+ * @route POST /api/safety/alerts/:id/assign
+ */
+exports.assignAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { technicianId } = req.body;
+    
+    if (!technicianId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'technicianId is required'
+      });
+    }
+    
+    if (!findAlertForAction(res, id, 'assign')) return;
+    
+    const technician = await alertService.findAssignee(technicianId);
+    if (!technician) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Technician not found'
+      });
+    }
+    
+    if (technician.active === false) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Alerts cannot be assigned to a deactivated user'
+      });
+    }
+    
+    if (!hasPermission(technician.role, 'alerts:resolve')) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Alerts cannot be assigned to a ${technician.role}`
+      });
+    }
+    
+    const alert = await alertService.assignAlert(id, {
+      technicianId,
+      userId: req.user.id
+    });
+    if (!alert) return sendTransitionConflict(res, id, 'assign');
+    
+    socketService.emitAlertUpdate(alert);
+    logActivity(req.user.id, 'alert.assigned', {
+      targetType: 'alert',
+      targetId: id,
+      details: { technicianId },
+      ipAddress: req.ip
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: alert
+    });
+  } catch (err) {
+    console.error('Error assigning alert:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error assigning alert'
+    });
+  }
+};
+
 /**
  * Process a new safety alert
  * @param {Object} alert - The safety alert to process
+ * @returns {Object} - The stored alert with its id and status
  */
-exports.processAlert = (alert) => {
-  storeAlert(alert);
-};
+exports.processAlert = (alert) => alertService.createAlert(alert);
 
 /**
  * Process and store multiple alerts
  * @param {Array} alerts - Array of safety alerts
+ * @returns {Array} - The stored alerts with their ids and status
  */
-exports.processAlerts = (alerts) => {
-  alerts.forEach(alert => storeAlert(alert));
-};
+exports.processAlerts = (alerts) => alerts.map(alert => alertService.createAlert(alert));
+
+/**
+ * Apply progress (peak value, duration) of ongoing alert episodes
+ * @param {Array} episodes - Alerts updated by checkReadings
+ * @returns {Array} - The updated stored alerts
+ */
+exports.processAlertUpdates = (episodes) => episodes
+  .map(episode => alertService.updateEpisode(episode))
+  .filter(Boolean);
 
-// Export for use in other modules
-exports.storeAlert = storeAlert; 
\ No newline at end of file
+/**
+ * Close alert episodes whose readings have cleared
+ * @param {Array} episodes - Alerts closed by checkReadings
+ * @returns {Array} - The closed alerts
+ */
+exports.processClearedAlerts = (episodes) => episodes.map(episode => alertService.closeEpisode(episode));
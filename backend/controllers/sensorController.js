@@ -1,75 +1,139 @@
-// Using in-memory data instead of InfluxDB for testing
-const { SENSOR_TYPES } = require('../services/sensorSimulator');
+const { getSensorType, getSensorTypes } = require('../services/sensorTypeService');
+const { getAsset } = require('../services/assetService');
+const { isReadingSafe } = require('../services/safetyThresholdService');
+const { writePoint } = require('../services/influxWriter');
+const { isAssetAllowed } = require('../services/userAssetService');
+const {
+  validateHistoryQuery,
+  queryReadingsHistory
+} = require('../services/sensorHistoryService');
 
-// Store latest readings in memory
+// Store latest readings in memory, keyed by asset id. Every reading is also
+// written to InfluxDB; the in-memory history only serves as a hot cache for
+// recent, unaggregated history requests
 let latestReadings = {};
-let readingsHistory = [];
+let readingsHistory = {};
 
-// Maximum number of historical readings to keep - increased for better visualization
+// Maximum number of historical readings to keep per asset - increased for better visualization
 const MAX_HISTORY_SIZE = 300;
 
+// Maximum number of rows returned by a history query against InfluxDB
+const MAX_QUERY_ROWS = 5000;
+
 // How often to store a reading in history (1 = every reading, 2 = every other reading, etc.)
 // This helps reduce memory usage and processing load
 const HISTORY_SAMPLING_RATE = 2; 
 
-// Counter to track readings for sampling
-let readingsCounter = 0;
+// Counters to track readings for sampling, keyed by asset id
+const readingsCounters = {};
+
+// Write each sensor reading of an asset to InfluxDB, skipping readings
+// already written with the asset's previous readings
+const persistReadings = (assetId, readings, previous = {}) => {
+  Object.entries(readings).forEach(([sensorType, reading]) => {
+    if (previous[sensorType] === reading) return;
+    
+    writePoint(
+      'sensor_readings',
+      { sensor_type: sensorType, asset_id: assetId },
+      { value: reading.value, is_safe: isReadingSafe(sensorType, reading.value, assetId) },
+      reading.timestamp
+    ).catch(err => {
+      console.error('Error queueing sensor reading for InfluxDB:', err);
+    });
+  });
+};
 
-// Update latest readings (called by sensorSimulator)
-const updateLatestReadings = (readings) => {
+// Update latest readings for an asset (called by the ingestion pipeline)
+const updateLatestReadings = (assetId, readings) => {
+  // The simulator may hand over the same readings again before new ones arrive,
+  // and devices only replace the sensors they sent
+  persistReadings(assetId, readings, latestReadings[assetId]);
+  
   // Always update latest readings
-  latestReadings = readings;
+  latestReadings[assetId] = readings;
   
   // Only store in history at the specified sampling rate
-  readingsCounter++;
-  if (readingsCounter % HISTORY_SAMPLING_RATE !== 0) {
+  readingsCounters[assetId] = (readingsCounters[assetId] || 0) + 1;
+  if (readingsCounters[assetId] % HISTORY_SAMPLING_RATE !== 0) {
     return;
   }
   
   // Add to history with timestamp
   const historyEntry = {
     timestamp: new Date().toISOString(),
+    assetId,
     ...readings
   };
   
   // Add to beginning of array for faster access to recent data
-  readingsHistory.unshift(historyEntry);
+  const history = readingsHistory[assetId] || [];
+  history.unshift(historyEntry);
   
   // Limit history size - more efficient by removing a batch of items when threshold is exceeded
-  if (readingsHistory.length > MAX_HISTORY_SIZE + 50) {
+  if (history.length > MAX_HISTORY_SIZE + 50) {
     // Remove a batch of oldest entries (50) to avoid frequent array operations
-    readingsHistory = readingsHistory.slice(0, MAX_HISTORY_SIZE);
+    readingsHistory[assetId] = history.slice(0, MAX_HISTORY_SIZE);
+  } else {
+    readingsHistory[assetId] = history;
   }
 };
 
+// Drop cached readings for an asset that has been removed from the registry
+const clearAssetReadings = (assetId) => {
+  delete latestReadings[assetId];
+  delete readingsHistory[assetId];
+  delete readingsCounters[assetId];
+};
+
+// Recent readings history of an asset, newest first (used to evaluate alert rules)
+const getAssetHistory = (assetId) => readingsHistory[assetId] || [];
+
+// Latest readings of an asset, keyed by sensor type
+const getAssetReadings = (assetId) => latestReadings[assetId];
+
 /**
  * Get latest sensor readings
  * @route GET /api/sensors
  */
 exports.getLatestReadings = async (req, res) => {
   try {
+    const { assetId } = req.query;
+
+    if (assetId && !getAsset(assetId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Asset not found: ${assetId}`
+      });
+    }
+
     // If no readings yet, generate some dummy ones
-    if (Object.keys(latestReadings).length === 0) {
-      const generateReading = (sensorType) => {
-        const config = SENSOR_TYPES[sensorType];
-        const value = Math.random() * (config.max - config.min) + config.min;
-        
-        return {
-          value: parseFloat(value.toFixed(2)),
-          unit: config.unit,
-          timestamp: new Date().toISOString(),
-          isSafe: value <= config.safeMax
-        };
-      };
+    const generateReading = (sensorType) => {
+      const value = Math.random() * (sensorType.max - sensorType.min) + sensorType.min;
       
-      Object.keys(SENSOR_TYPES).forEach(type => {
-        latestReadings[type] = generateReading(type);
+      return {
+        value: parseFloat(value.toFixed(2)),
+        unit: sensorType.unit,
+        timestamp: new Date().toISOString(),
+        isSafe: value <= sensorType.simulation.safeMax
+      };
+    };
+
+    if (assetId && !latestReadings[assetId]) {
+      latestReadings[assetId] = {};
+      getSensorTypes().forEach(sensorType => {
+        latestReadings[assetId][sensorType.type] = generateReading(sensorType);
       });
     }
 
+    // A single asset's readings, or the readings of every asset the user is assigned to
+    const data = assetId
+      ? latestReadings[assetId]
+      : Object.fromEntries(Object.entries(latestReadings).filter(([id]) => isAssetAllowed(req.assetIds, id)));
+
     res.status(200).json({
       status: 'success',
-      data: latestReadings
+      data
     });
   } catch (err) {
     console.error('Error fetching sensor readings:', err);
@@ -86,31 +150,99 @@ exports.getLatestReadings = async (req, res) => {
  */
 exports.getReadingsHistory = async (req, res) => {
   try {
-    const { sensorType, limit = 60 } = req.query;
+    const {
+      assetId,
+      sensorType,
+      start,
+      stop,
+      window,
+      aggregation,
+      limit = 60
+    } = req.query;
+
+    if (assetId && !getAsset(assetId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Asset not found: ${assetId}`
+      });
+    }
+
+    if (sensorType && !getSensorType(sensorType)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid sensor type: ${sensorType}`
+      });
+    }
+
+    const validationError = validateHistoryQuery({ start, stop, window, aggregation });
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+
+    // Time ranges and aggregations are answered by InfluxDB
+    if (start || stop || window) {
+      const rows = await queryReadingsHistory({
+        assetId,
+        assetIds: req.assetIds,
+        sensorType,
+        start,
+        stop,
+        window,
+        aggregation,
+        limit: Math.min(parseInt(limit) || 60, MAX_QUERY_ROWS)
+      });
+
+      // Keep only the requested sensor, like the hot cache does
+      const data = sensorType
+        ? rows
+          .filter(entry => entry[sensorType])
+          .map(({ timestamp, assetId: entryAssetId, [sensorType]: sensorData }) => (
+            { timestamp, assetId: entryAssetId, [sensorType]: sensorData }
+          ))
+        : rows;
+
+      return res.status(200).json({
+        status: 'success',
+        source: 'influxdb',
+        data
+      });
+    }
     
     // Limit the number of readings returned to avoid large responses
-    const maxLimit = Math.min(parseInt(limit), 100);
+    const maxLimit = Math.min(parseInt(limit) || 60, MAX_HISTORY_SIZE);
+    
+    // Use a single asset's history, or merge the history of every asset the user is assigned to, newest first
+    const assetHistory = assetId
+      ? readingsHistory[assetId] || []
+      : Object.entries(readingsHistory)
+        .filter(([id]) => isAssetAllowed(req.assetIds, id))
+        .flatMap(([, history]) => history)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     
     // Filter by sensor type if provided
     let filteredHistory;
     
     if (sensorType) {
       // More efficient filtering by creating new objects with only the requested data
-      filteredHistory = readingsHistory
+      filteredHistory = assetHistory
         .slice(0, maxLimit)
         .map(entry => {
-          const { timestamp, [sensorType]: sensorData } = entry;
+          const { timestamp, assetId: entryAssetId, [sensorType]: sensorData } = entry;
           if (!sensorData) return null; // Skip entries without data for this sensor
-          return { timestamp, [sensorType]: sensorData };
+          return { timestamp, assetId: entryAssetId, [sensorType]: sensorData };
         })
         .filter(Boolean); // Remove null entries
     } else {
       // Just limit the size of the returned array
-      filteredHistory = readingsHistory.slice(0, maxLimit);
+      filteredHistory = assetHistory.slice(0, maxLimit);
     }
 
     res.status(200).json({
       status: 'success',
+      source: 'cache',
       data: filteredHistory
     });
   } catch (err) {
@@ -122,5 +254,32 @@ exports.getReadingsHistory = async (req, res) => {
   }
 };
 
-// Export the updateLatestReadings function so it can be called from the simulator
-exports.updateLatestReadings = updateLatestReadings; 
\ No newline at end of file
+/**
+ * Get the health of the data sources feeding assets, such as PLC links
+ * @route GET /api/sensors/sources
+ */
+exports.getDataSources = async (req, res) => {
+  try {
+    // Required here: the Modbus driver loads the ingestion pipeline, which loads this controller
+    const { getModbusStatus } = require('../services/modbusService');
+    const { assetId } = req.query;
+    
+    res.status(200).json({
+      status: 'success',
+      data: getModbusStatus().filter(source => !assetId || source.assetId === assetId)
+    });
+  } catch (err) {
+    console.error('Error fetching data sources:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching data sources'
+    });
+  }
+};
+
+// Export the cache helpers used by the ingestion pipeline
+exports.updateLatestReadings = updateLatestReadings;
+exports.persistReadings = persistReadings;
+exports.clearAssetReadings = clearAssetReadings;
+exports.getAssetHistory = getAssetHistory;
+exports.getAssetReadings = getAssetReadings; 
\ No newline at end of file
@@ -0,0 +1,189 @@
+const sensorTypeService = require('../services/sensorTypeService');
+const { getAsset } = require('../services/assetService');
+const { getThresholds, clearSensorTypeThresholds } = require('../services/safetyThresholdService');
+const { getRules } = require('../services/alertRuleService');
+const { logActivity } = require('../services/activityLogService');
+
+/**
+ * Check that a sensor type can be changed through the API
+ * @param {String} type - Sensor type from the URL
+ * @returns {Object} - { sensorType } or { status, message } to respond with
+ */
+const findStoredType = (type) => {
+  const sensorType = sensorTypeService.getSensorType(String(type).toUpperCase());
+
+  if (!sensorType) {
+    return { status: 404, message: `Sensor type not found: ${type}` };
+  }
+  if (sensorType.source === 'config') {
+    return { status: 409, message: `${sensorType.type} is defined in the sensor type config file and can only be changed there` };
+  }
+  return { sensorType };
+};
+
+/**
+ * Get the sensor types with what clients need to display them: unit, range,
+ * display name, icon, colour and the thresholds in force
+ * @route GET /api/sensors/types
+ */
+exports.getSensorTypes = async (req, res) => {
+  try {
+    const { assetId } = req.query;
+
+    if (assetId && !getAsset(assetId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Asset not found: ${assetId}`
+      });
+    }
+
+    // An asset's overrides apply on top of the global thresholds
+    const thresholds = getThresholds(null, assetId);
+
+    res.status(200).json({
+      status: 'success',
+      data: sensorTypeService.getSensorTypes().map(({ type, name, unit, min, max, icon, color, source }) => ({
+        type,
+        name,
+        unit,
+        min,
+        max,
+        icon,
+        color,
+        source,
+        thresholds: thresholds[type] || null
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching sensor types:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching sensor types'
+    });
+  }
+};
+
+/**
+ * Register a new sensor type. Its thresholds become the fleet defaults, and
+ * simulated assets start reporting it on the next tick
+ * @route POST /api/sensors/types
+ */
+exports.createSensorType = async (req, res) => {
+  try {
+    const { type, name, unit, min, max, icon, color, thresholds, simulation } = req.body;
+    const sensorType = sensorTypeService.normalizeSensorType(type, { name, unit, min, max, icon, color, thresholds, simulation });
+
+    const validationError = sensorTypeService.validateSensorType(sensorType);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+
+    if (sensorTypeService.getSensorType(sensorType.type)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Sensor type already exists: ${sensorType.type}`
+      });
+    }
+
+    const created = await sensorTypeService.createSensorType(sensorType, req.user.id);
+    logActivity(req.user.id, 'sensor_type.created', { targetType: 'sensor_type', targetId: created.type, ipAddress: req.ip });
+
+    res.status(201).json({
+      status: 'success',
+      data: created
+    });
+  } catch (err) {
+    console.error('Error creating sensor type:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error creating sensor type'
+    });
+  }
+};
+
+/**
+ * Update a sensor type created through the API. Fields left out keep their
+ * values; thresholds and simulation settings can be given in part
+ * @route PUT /api/sensors/types/:type
+ */
+exports.updateSensorType = async (req, res) => {
+  try {
+    const { sensorType: current, status, message } = findStoredType(req.params.type);
+    if (!current) {
+      return res.status(status).json({ status: 'error', message });
+    }
+
+    const updates = {};
+    ['name', 'unit', 'min', 'max', 'icon', 'color'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    const sensorType = sensorTypeService.normalizeSensorType(current.type, {
+      ...current,
+      ...updates,
+      thresholds: { ...current.thresholds, ...req.body.thresholds },
+      simulation: { ...current.simulation, ...req.body.simulation }
+    });
+
+    const validationError = sensorTypeService.validateSensorType(sensorType);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
+
+    const updated = await sensorTypeService.updateSensorType(sensorType);
+    logActivity(req.user.id, 'sensor_type.updated', { targetType: 'sensor_type', targetId: updated.type, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      data: updated
+    });
+  } catch (err) {
+    console.error('Error updating sensor type:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error updating sensor type'
+    });
+  }
+};
+
+/**
+ * Remove a sensor type created through the API, with its thresholds and
+ * open alert episodes. Its alert rules have to be deleted first
+ * @route DELETE /api/sensors/types/:type
+ */
+exports.deleteSensorType = async (req, res) => {
+  try {
+    const { sensorType, status, message } = findStoredType(req.params.type);
+    if (!sensorType) {
+      return res.status(status).json({ status: 'error', message });
+    }
+
+    const rules = getRules({ sensorType: sensorType.type });
+    if (rules.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${sensorType.type} still has ${rules.length} alert rule(s); delete them first`
+      });
+    }
+
+    await sensorTypeService.deleteSensorType(sensorType.type);
+    clearSensorTypeThresholds(sensorType.type);
+    logActivity(req.user.id, 'sensor_type.deleted', { targetType: 'sensor_type', targetId: sensorType.type, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Sensor type deleted successfully'
+    });
+  } catch (err) {
+    console.error('Error deleting sensor type:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Error deleting sensor type'
+    });
+  }
+};
@@ -0,0 +1,149 @@
+const scenarioService = require('../services/scenarioService');
+const ingestionService = require('../services/ingestionService');
+const { getAsset } = require('../services/assetService');
+const { logActivity } = require('../services/activityLogService');
+
+/**
+ * Get the simulator's fault scenarios and its automatic fault schedule
+ * @route GET /api/simulator/scenarios
+ */
+exports.getScenarios = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scenarios: scenarioService.getScenarios(),
+        schedule: scenarioService.getSchedule()
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching simulator scenarios:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching simulator scenarios'
+    });
+  }
+};
+
+/**
+ * Get the faults running in the simulator
+ * @route GET /api/simulator/faults
+ */
+exports.getFaults = async (req, res) => {
+  try {
+    const { assetId } = req.query;
+
+    if (assetId && !getAsset(assetId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Asset not found: ${assetId}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: scenarioService.getActiveFaults(assetId)
+    });
+  } catch (err) {
+    console.error('Error fetching simulator faults:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching simulator faults'
+    });
+  }
+};
+
+/**
+ * Start a fault on one sensor of a simulated asset, from a scenario or a
+ * pattern, replacing any fault already running on that sensor
+ * @route POST /api/simulator/faults
+ */
+exports.startFault = async (req, res) => {
+  try {
+    const { assetId, sensorType, scenario, pattern, duration, intensity } = req.body;
+
+    if (!assetId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an assetId'
+      });
+    }
+
+    if (!getAsset(assetId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Asset not found: ${assetId}`
+      });
+    }
+
+    const { fault: definition, error } = scenarioService.resolveFault({ assetId, sensorType, scenario, pattern, duration, intensity });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    // Faults only shape simulated readings
+    if (ingestionService.isReceivingDeviceData(assetId)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Asset ${assetId} is receiving real sensor data, so it isn't being simulated`
+      });
+    }
+
+    const fault = scenarioService.startFault(definition, { source: 'manual', startedBy: req.user.id });
+    logActivity(req.user.id, 'simulator.fault_started', {
+      targetType: 'asset',
+      targetId: assetId,
+      details: { faultId: fault.id, sensorType: fault.sensorType, scenario: fault.scenario, pattern: fault.pattern },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: fault
+    });
+  } catch (err) {
+    console.error('Error starting simulator fault:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting simulator fault'
+    });
+  }
+};
+
+/**
+ * End a simulator fault early
+ * @route DELETE /api/simulator/faults/:id
+ */
+exports.clearFault = async (req, res) => {
+  try {
+    const fault = scenarioService.clearFault(req.params.id);
+
+    if (!fault) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fault not found'
+      });
+    }
+
+    logActivity(req.user.id, 'simulator.fault_cleared', {
+      targetType: 'asset',
+      targetId: fault.assetId,
+      details: { faultId: fault.id },
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: fault
+    });
+  } catch (err) {
+    console.error('Error clearing simulator fault:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error clearing simulator fault'
+    });
+  }
+};
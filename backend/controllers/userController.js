@@ -0,0 +1,629 @@
+const supabase = require('../config/supabase');
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/roles');
+const { getAsset } = require('../services/assetService');
+const { revokeUserSessions } = require('../services/sessionService');
+const loginAttemptService = require('../services/loginAttemptService');
+const { logActivity, getUserActivity } = require('../services/activityLogService');
+const userAssetService = require('../services/userAssetService');
+
+// Columns that are safe to return for a user
+const USER_COLUMNS = 'id, email, name, role, active, email_verified, created_at, deactivated_at';
+
+// Page size used when none is given, and the largest allowed
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// User ids are UUIDs; anything else can't match a stored user
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Read page and limit from a query string
+ * @param {Object} query - Request query
+ * @returns {Object} - { page, limit } or { error }
+ */
+const parsePaging = (query) => {
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+
+  if (!(page >= 1)) {
+    return { error: 'page must be a positive number' };
+  }
+  if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  return { page, limit };
+};
+
+/**
+ * Pagination details returned with a page of results
+ * @param {Number} page - Current page
+ * @param {Number} limit - Page size
+ * @param {Number} total - Number of matching results
+ * @returns {Object} - Pagination
+ */
+const getPagination = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit)
+});
+
+/**
+ * Work out which user a /api/users/:id request is about. "me" is the signed-in
+ * user; anyone else's records need the users:manage permission
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object, answered with 403 if not allowed
+ * @returns {String|null} - User id, or null if the request has been answered
+ */
+const resolveUserId = (req, res) => {
+  const id = req.params.id === 'me' ? req.user.id : req.params.id;
+
+  if (id !== req.user.id && !hasPermission(req.user.role, 'users:manage')) {
+    res.status(403).json({
+      status: 'error',
+      message: `Role ${req.user.role} does not have the users:manage permission`
+    });
+    return null;
+  }
+  return id;
+};
+
+/**
+ * Find a user by id
+ * @param {String} id - User id
+ * @returns {Promise<Object|null>} - User, or null if there is none
+ */
+const findUser = async (id) => {
+  if (!UUID_PATTERN.test(id)) return null;
+
+  const { data, error } = await supabase
+    .from('users')
+    .select(USER_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+};
+
+/**
+ * Update a user and return the stored row
+ * @param {String} id - User id
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Updated user
+ */
+const saveUser = async (id, changes) => {
+  const { data, error } = await supabase
+    .from('users')
+    .update(changes)
+    .eq('id', id)
+    .select(USER_COLUMNS);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data[0];
+};
+
+/**
+ * Answer a request for a user that doesn't exist
+ * @param {Object} res - Express response object
+ */
+const sendUserNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'User not found'
+});
+
+/**
+ * Get the available roles and the permissions each grants
+ * @route GET /api/users/roles
+ */
+exports.getRoles = async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+};
+
+/**
+ * Get a page of users, optionally searched by name or email and filtered
+ * by role and whether they are active
+ * @route GET /api/users
+ */
+exports.getUsers = async (req, res) => {
+  try {
+    const { role, active } = req.query;
+    const { page, limit, error: pagingError } = parsePaging(req.query);
+
+    if (pagingError) {
+      return res.status(400).json({
+        status: 'error',
+        message: pagingError
+      });
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (active !== undefined && !['true', 'false'].includes(active)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'active must be true or false'
+      });
+    }
+
+    let query = supabase
+      .from('users')
+      .select(USER_COLUMNS, { count: 'exact' })
+      .order('name')
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (role) query = query.eq('role', role);
+    if (active !== undefined) query = query.eq('active', active === 'true');
+
+    // Characters with a meaning in PostgREST filters can't be searched for
+    const search = (req.query.search || '').replace(/[,()*%\\]/g, ' ').trim();
+    if (search) {
+      query = query.or(`name.ilike.%${search}%,email.ilike.%${search}%`);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data,
+      pagination: getPagination(page, limit, count)
+    });
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching users'
+    });
+  }
+};
+
+/**
+ * Get a user ("me" for the signed-in user)
+ * @route GET /api/users/:id
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const id = resolveUserId(req, res);
+    if (!id) return;
+
+    const user = await findUser(id);
+    if (!user) return sendUserNotFound(res);
+
+    res.status(200).json({
+      status: 'success',
+      data: { ...user, lockedUntil: loginAttemptService.getLockedUntil(user.email) }
+    });
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching user'
+    });
+  }
+};
+
+/**
+ * Update the signed-in user's own profile (name)
+ * @route PUT /api/users/me
+ */
+exports.updateProfile = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'name is required'
+      });
+    }
+
+    const user = await saveUser(req.user.id, { name: String(name).trim() });
+    if (!user) return sendUserNotFound(res);
+
+    logActivity(req.user.id, 'user.profile_updated', { targetType: 'user', targetId: user.id, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (err) {
+    console.error('Error updating profile:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating profile'
+    });
+  }
+};
+
+/**
+ * Update a user's name, email or role. A new email address has to be
+ * verified again
+ * @route PUT /api/users/:id
+ */
+exports.updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await findUser(id);
+    if (!existing) return sendUserNotFound(res);
+
+    const changes = {};
+    ['name', 'email', 'role'].forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== existing[field]) {
+        changes[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      }
+    });
+    // Stored the way sign-in looks it up
+    if (typeof changes.email === 'string') {
+      changes.email = loginAttemptService.normalizeEmail(changes.email);
+      if (changes.email === existing.email) delete changes.email;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'At least one of name, email or role must change'
+      });
+    }
+
+    if (changes.name !== undefined && !changes.name) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'name cannot be empty'
+      });
+    }
+
+    if (changes.role !== undefined) {
+      if (!ROLES.includes(changes.role)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      if (id === req.user.id) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'You cannot change your own role'
+        });
+      }
+    }
+
+    if (changes.email !== undefined) {
+      const { data: taken } = await supabase
+        .from('users')
+        .select('id')
+        .eq('email', changes.email)
+        .neq('id', id);
+
+      if (!changes.email || (taken && taken.length > 0)) {
+        return res.status(400).json({
+          status: 'error',
+          message: changes.email ? 'Email address is already in use' : 'email cannot be empty'
+        });
+      }
+      changes.email_verified = false;
+    }
+
+    const user = await saveUser(id, changes);
+
+    logActivity(req.user.id, 'user.updated', {
+      targetType: 'user',
+      targetId: id,
+      details: { fields: Object.keys(changes).filter(field => field !== 'email_verified') },
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (err) {
+    console.error('Error updating user:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating user'
+    });
+  }
+};
+
+/**
+ * Change the role of a user. Tokens already issued keep their old role until
+ * they are next refreshed
+ * @route PUT /api/users/:id/role
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Keeps an admin from locking themselves out
+    if (id === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (!(await findUser(id))) return sendUserNotFound(res);
+
+    const user = await saveUser(id, { role });
+
+    logActivity(req.user.id, 'user.role_changed', {
+      targetType: 'user',
+      targetId: id,
+      details: { role },
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (err) {
+    console.error('Error updating user role:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating user role'
+    });
+  }
+};
+
+/**
+ * Deactivate a user instead of deleting them, so their alerts and activity
+ * keep pointing at a real account. They are signed out everywhere and can't
+ * sign in until reactivated
+ * @route DELETE /api/users/:id
+ */
+exports.deactivateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const existing = await findUser(id);
+    if (!existing) return sendUserNotFound(res);
+
+    if (existing.active === false) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'User is already deactivated'
+      });
+    }
+
+    const user = await saveUser(id, { active: false, deactivated_at: new Date().toISOString() });
+    await revokeUserSessions(id);
+
+    logActivity(req.user.id, 'user.deactivated', { targetType: 'user', targetId: id, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (err) {
+    console.error('Error deactivating user:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deactivating user'
+    });
+  }
+};
+
+/**
+ * Let a deactivated user sign in again
+ * @route POST /api/users/:id/reactivate
+ */
+exports.reactivateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await findUser(id);
+    if (!existing) return sendUserNotFound(res);
+
+    if (existing.active !== false) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'User is already active'
+      });
+    }
+
+    const user = await saveUser(id, { active: true, deactivated_at: null });
+
+    logActivity(req.user.id, 'user.reactivated', { targetType: 'user', targetId: id, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (err) {
+    console.error('Error reactivating user:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error reactivating user'
+    });
+  }
+};
+
+/**
+ * Lift a lockout caused by too many failed sign-ins
+ * @route POST /api/users/:id/unlock
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = await findUser(id);
+    if (!user) return sendUserNotFound(res);
+
+    if (!loginAttemptService.unlockAccount(user.email)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'User is not locked out'
+      });
+    }
+
+    logActivity(user.id, 'auth.unlocked', { details: { unlockedBy: req.user.id }, ipAddress: req.ip });
+    logActivity(req.user.id, 'user.unlocked', { targetType: 'user', targetId: id, ipAddress: req.ip });
+
+    res.status(200).json({
+      status: 'success',
+      data: { ...user, lockedUntil: null }
+    });
+  } catch (err) {
+    console.error('Error unlocking user:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error unlocking user'
+    });
+  }
+};
+
+/**
+ * Get the assets a user is assigned to ("me" for the signed-in user)
+ * @route GET /api/users/:id/assets
+ */
+exports.getUserAssets = async (req, res) => {
+  try {
+    const id = resolveUserId(req, res);
+    if (!id) return;
+
+    if (!(await findUser(id))) return sendUserNotFound(res);
+
+    // Skip assignments to assets that have since been removed
+    const assetIds = await userAssetService.getUserAssetIds(id);
+    const assets = assetIds.map(assetId => getAsset(assetId)).filter(Boolean);
+
+    res.status(200).json({
+      status: 'success',
+      data: assets
+    });
+  } catch (err) {
+    console.error('Error fetching user assets:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching user assets'
+    });
+  }
+};
+
+/**
+ * Replace the assets a user is assigned to
+ * @route PUT /api/users/:id/assets
+ */
+exports.updateUserAssets = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { assetIds } = req.body;
+
+    if (!Array.isArray(assetIds)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'assetIds must be an array of asset ids'
+      });
+    }
+
+    const unknown = assetIds.filter(assetId => !getAsset(assetId));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid asset: ${unknown.join(', ')}`
+      });
+    }
+
+    if (!(await findUser(id))) return sendUserNotFound(res);
+
+    const assigned = await userAssetService.setUserAssets(id, [...new Set(assetIds)]);
+
+    logActivity(req.user.id, 'user.assets_changed', {
+      targetType: 'user',
+      targetId: id,
+      details: { assetIds: assigned },
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: assigned.map(assetId => getAsset(assetId))
+    });
+  } catch (err) {
+    console.error('Error updating user assets:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating user assets'
+    });
+  }
+};
+
+/**
+ * Get a page of a user's activity, newest first ("me" for the signed-in user)
+ * @route GET /api/users/:id/activity
+ */
+exports.getUserActivity = async (req, res) => {
+  try {
+    const id = resolveUserId(req, res);
+    if (!id) return;
+
+    const { action, from, to } = req.query;
+    const { page, limit, error: pagingError } = parsePaging(req.query);
+
+    if (pagingError) {
+      return res.status(400).json({
+        status: 'error',
+        message: pagingError
+      });
+    }
+
+    if ([from, to].some(time => time !== undefined && isNaN(Date.parse(time)))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be dates'
+      });
+    }
+
+    if (!(await findUser(id))) return sendUserNotFound(res);
+
+    const { activities, total } = await getUserActivity(id, {
+      action,
+      from: from && new Date(from).toISOString(),
+      to: to && new Date(to).toISOString(),
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: activities,
+      pagination: getPagination(page, limit, total)
+    });
+  } catch (err) {
+    console.error('Error fetching user activity:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching user activity'
+    });
+  }
+};
@@ -1,4 +1,23 @@
 const jwt = require('jsonwebtoken');
+const { hasPermission } = require('../config/roles');
+const { isSessionRevoked } = require('../services/sessionService');
+const { authenticateDevice } = require('../services/deviceService');
+const { getUserAssetIds, isAssetAllowed } = require('../services/userAssetService');
+
+/**
+ * Verify an access token issued by the auth controller, rejecting tokens
+ * whose session has been signed out
+ * @param {String} token - The token
+ * @returns {Object} - Decoded user ({ id, email, role, sid, exp })
+ */
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+
+  if (decoded.sid && isSessionRevoked(decoded.sid)) {
+    throw new Error('Session has been revoked');
+  }
+  return decoded;
+};
 
 /**
  * Middleware to protect routes
@@ -26,7 +45,7 @@ const protect = (req, res, next) => {
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+    const decoded = verifyToken(token);
 
     // Add user data to request
     req.user = decoded;
@@ -55,4 +74,92 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize }; 
\ No newline at end of file
+/**
+ * Middleware to restrict access to roles that grant a permission
+ * (see config/roles.js)
+ * @param {String} permission - Permission required to access the route
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Role ${req.user.role} does not have the ${permission} permission`
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware to limit a route to the assets the user is assigned to. Users
+ * without assignments see every asset. Sets req.assetIds to the assigned
+ * asset ids (empty for every asset) and rejects requests for another asset
+ * @param {Function} getAssetId - Reads the requested asset from the request
+ *   (default: the assetId query parameter)
+ */
+const scopeAssets = (getAssetId = (req) => req.query.assetId) => {
+  return async (req, res, next) => {
+    try {
+      const assetIds = await getUserAssetIds(req.user.id);
+      const assetId = getAssetId(req);
+
+      if (assetId && !isAssetAllowed(assetIds, assetId)) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Not assigned to asset ${assetId}`
+        });
+      }
+
+      req.assetIds = assetIds;
+      next();
+    } catch (err) {
+      console.error('Error checking asset assignments:', err);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error'
+      });
+    }
+  };
+};
+
+/**
+ * Middleware to protect routes used by devices rather than users. Devices
+ * send their API key in the X-API-Key header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const protectDevice = async (req, res, next) => {
+  const apiKey = req.get('x-api-key');
+
+  if (!apiKey) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'API key required'
+    });
+  }
+
+  try {
+    const device = await authenticateDevice(apiKey);
+
+    if (!device) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid API key'
+      });
+    }
+
+    // Add device data to request
+    req.device = device;
+    next();
+  } catch (err) {
+    console.error('Error authenticating device:', err);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = { protect, protectDevice, authorize, requirePermission, scopeAssets, verifyToken }; 
\ No newline at end of file
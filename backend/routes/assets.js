@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const assetController = require('../controllers/assetController');
+const { protect, requirePermission, scopeAssets } = require('../middleware/auth');
+
+/**
+ * @route GET /api/assets
+ * @desc Get all registered assets
+ * @access Protected (assets:read)
+ */
+router.get('/', protect, requirePermission('assets:read'), assetController.getAssets);
+
+/**
+ * @route GET /api/assets/:id
+ * @desc Get a single asset
+ * @access Protected (assets:read)
+ */
+router.get('/:id', protect, requirePermission('assets:read'), assetController.getAsset);
+
+/**
+ * @route GET /api/assets/:id/forecast
+ * @desc Forecast when the asset's sensors will cross their critical thresholds
+ * @access Protected (sensors:read)
+ */
+router.get('/:id/forecast', protect, requirePermission('sensors:read'), scopeAssets(req => req.params.id), assetController.getAssetForecast);
+
+/**
+ * @route POST /api/assets
+ * @desc Register a new asset
+ * @access Protected (assets:write)
+ */
+router.post('/', protect, requirePermission('assets:write'), assetController.createAsset);
+
+/**
+ * @route PUT /api/assets/:id
+ * @desc Update an asset
+ * @access Protected (assets:write)
+ */
+router.put('/:id', protect, requirePermission('assets:write'), assetController.updateAsset);
+
+/**
+ * @route DELETE /api/assets/:id
+ * @desc Remove an asset from the registry
+ * @access Protected (assets:write)
+ */
+router.delete('/:id', protect, requirePermission('assets:write'), assetController.deleteAsset);
+
+module.exports = router;
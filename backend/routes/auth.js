@@ -1,5 +1,6 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
 const router = express.Router();
 
 /**
@@ -16,4 +17,74 @@ router.post('/register', authController.register);
  */
 router.post('/login', authController.login);
 
+/**
+ * @route POST /auth/refresh
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public (refresh token)
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @route POST /auth/logout
+ * @desc Revoke the session a refresh token belongs to
+ * @access Public (refresh token)
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @route POST /auth/forgot-password
+ * @desc Email a password reset token
+ * @access Public
+ */
+router.post('/forgot-password', authController.forgotPassword);
+
+/**
+ * @route POST /auth/reset-password
+ * @desc Set a new password with a reset token
+ * @access Public (reset token)
+ */
+router.post('/reset-password', authController.resetPassword);
+
+/**
+ * @route POST /auth/change-password
+ * @desc Change the signed-in user's password
+ * @access Protected
+ */
+router.post('/change-password', protect, authController.changePassword);
+
+/**
+ * @route GET /auth/verify-email
+ * @desc Verify an email address with the token from the verification email
+ * @access Public (verification token)
+ */
+router.get('/verify-email', authController.verifyEmail);
+
+/**
+ * @route POST /auth/resend-verification
+ * @desc Send the signed-in user a new verification email
+ * @access Protected
+ */
+router.post('/resend-verification', protect, authController.resendVerification);
+
+/**
+ * @route GET /auth/sessions
+ * @desc List the signed-in user's active sessions
+ * @access Protected
+ */
+router.get('/sessions', protect, authController.getSessions);
+
+/**
+ * @route POST /auth/sessions/revoke-others
+ * @desc Sign out every other device of the signed-in user
+ * @access Protected
+ */
+router.post('/sessions/revoke-others', protect, authController.revokeOtherSessions);
+
+/**
+ * @route DELETE /auth/sessions/:id
+ * @desc Sign out one of the signed-in user's sessions
+ * @access Protected
+ */
+router.delete('/sessions/:id', protect, authController.revokeSession);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const deviceController = require('../controllers/deviceController');
+const { protect, protectDevice, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route POST /api/ingest
+ * @desc Push sensor readings from a device (single reading or batch)
+ * @access Device API key
+ */
+router.post('/ingest', protectDevice, deviceController.ingestReadings);
+
+/**
+ * @route GET /api/devices
+ * @desc Get registered devices
+ * @access Protected (devices:manage)
+ */
+router.get('/devices', protect, requirePermission('devices:manage'), deviceController.getDevices);
+
+/**
+ * @route POST /api/devices
+ * @desc Register a device and issue its API key
+ * @access Protected (devices:manage)
+ */
+router.post('/devices', protect, requirePermission('devices:manage'), deviceController.createDevice);
+
+/**
+ * @route DELETE /api/devices/:id
+ * @desc Revoke a device's API key
+ * @access Protected (devices:manage)
+ */
+router.delete('/devices/:id', protect, requirePermission('devices:manage'), deviceController.revokeDevice);
+
+module.exports = router;
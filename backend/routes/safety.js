@@ -1,27 +1,90 @@
 const express = require('express');
 const router = express.Router();
 const safetyController = require('../controllers/safetyController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission, scopeAssets } = require('../middleware/auth');
 
 /**
  * @route GET /api/safety/thresholds
  * @desc Get safety thresholds for all sensors or specific sensor
- * @access Protected
+ * @access Protected (thresholds:read)
  */
-router.get('/thresholds', protect, safetyController.getThresholds);
+router.get('/thresholds', protect, requirePermission('thresholds:read'), safetyController.getThresholds);
+
+/**
+ * @route GET /api/safety/thresholds/history
+ * @desc Get the audit trail of threshold changes
+ * @access Protected (thresholds:read)
+ */
+router.get('/thresholds/history', protect, requirePermission('thresholds:read'), safetyController.getThresholdHistory);
+
+/**
+ * @route POST /api/safety/thresholds/history/:id/rollback
+ * @desc Roll a threshold back to the values of an earlier change
+ * @access Protected (thresholds:write)
+ */
+router.post('/thresholds/history/:id/rollback', protect, requirePermission('thresholds:write'), safetyController.rollbackThreshold);
 
 /**
  * @route PUT /api/safety/thresholds/:sensorType
  * @desc Update safety threshold for a specific sensor
- * @access Protected
+ * @access Protected (thresholds:write)
+ */
+router.put('/thresholds/:sensorType', protect, requirePermission('thresholds:write'), safetyController.updateThreshold);
+
+/**
+ * @route GET /api/safety/rules
+ * @desc Get alert rules (rate of change, sustained and trend)
+ * @access Protected (rules:read)
  */
-router.put('/thresholds/:sensorType', protect, safetyController.updateThreshold);
+router.get('/rules', protect, requirePermission('rules:read'), safetyController.getRules);
+
+/**
+ * @route POST /api/safety/rules
+ * @desc Create an alert rule
+ * @access Protected (rules:write)
+ */
+router.post('/rules', protect, requirePermission('rules:write'), safetyController.createRule);
+
+/**
+ * @route PUT /api/safety/rules/:id
+ * @desc Update an alert rule
+ * @access Protected (rules:write)
+ */
+router.put('/rules/:id', protect, requirePermission('rules:write'), safetyController.updateRule);
+
+/**
+ * @route DELETE /api/safety/rules/:id
+ * @desc Delete an alert rule
+ * @access Protected (rules:write)
+ */
+router.delete('/rules/:id', protect, requirePermission('rules:write'), safetyController.deleteRule);
 
 /**
  * @route GET /api/safety/alerts
  * @desc Get safety alerts history
- * @access Protected
+ * @access Protected (alerts:read)
+ */
+router.get('/alerts', protect, requirePermission('alerts:read'), scopeAssets(), safetyController.getAlerts);
+
+/**
+ * @route POST /api/safety/alerts/:id/acknowledge
+ * @desc Acknowledge an open alert
+ * @access Protected (alerts:acknowledge)
+ */
+router.post('/alerts/:id/acknowledge', protect, requirePermission('alerts:acknowledge'), safetyController.acknowledgeAlert);
+
+/**
+ * @route POST /api/safety/alerts/:id/resolve
+ * @desc Resolve an acknowledged alert
+ * @access Protected (alerts:resolve)
+ */
+router.post('/alerts/:id/resolve', protect, requirePermission('alerts:resolve'), safetyController.resolveAlert);
+
+/**
+ * @route POST /api/safety/alerts/:id/assign
+ * @desc Assign an alert to a technician
+ * @access Protected (alerts:assign)
  */
-router.get('/alerts', protect, safetyController.getAlerts);
+router.post('/alerts/:id/assign', protect, requirePermission('alerts:assign'), safetyController.assignAlert);
 
 module.exports = router; 
\ No newline at end of file
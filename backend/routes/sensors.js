@@ -1,20 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const sensorController = require('../controllers/sensorController');
-const { protect } = require('../middleware/auth');
+const sensorTypeController = require('../controllers/sensorTypeController');
+const anomalyController = require('../controllers/anomalyController');
+const { protect, requirePermission, scopeAssets } = require('../middleware/auth');
 
 /**
  * @route GET /api/sensors
  * @desc Get latest sensor readings
- * @access Protected
+ * @access Protected (sensors:read)
  */
-router.get('/sensors', protect, sensorController.getLatestReadings);
+router.get('/sensors', protect, requirePermission('sensors:read'), scopeAssets(), sensorController.getLatestReadings);
 
 /**
  * @route GET /api/sensors/history
  * @desc Get sensor readings history
- * @access Protected
+ * @access Protected (sensors:read)
  */
-router.get('/sensors/history', protect, sensorController.getReadingsHistory);
+router.get('/sensors/history', protect, requirePermission('sensors:read'), scopeAssets(), sensorController.getReadingsHistory);
+
+/**
+ * @route GET /api/sensors/types
+ * @desc Get each sensor type's unit, range, thresholds and display metadata
+ * @access Protected (sensors:read)
+ */
+router.get('/sensors/types', protect, requirePermission('sensors:read'), sensorTypeController.getSensorTypes);
+
+/**
+ * @route POST /api/sensors/types
+ * @desc Register a new sensor type
+ * @access Protected (sensors:manage)
+ */
+router.post('/sensors/types', protect, requirePermission('sensors:manage'), sensorTypeController.createSensorType);
+
+/**
+ * @route PUT /api/sensors/types/:type
+ * @desc Update a sensor type created through the API
+ * @access Protected (sensors:manage)
+ */
+router.put('/sensors/types/:type', protect, requirePermission('sensors:manage'), sensorTypeController.updateSensorType);
+
+/**
+ * @route DELETE /api/sensors/types/:type
+ * @desc Remove a sensor type created through the API
+ * @access Protected (sensors:manage)
+ */
+router.delete('/sensors/types/:type', protect, requirePermission('sensors:manage'), sensorTypeController.deleteSensorType);
+
+/**
+ * @route GET /api/sensors/anomalies
+ * @desc Get recent anomaly events (readings far outside their sensor's baseline)
+ * @access Protected (sensors:read)
+ */
+router.get('/sensors/anomalies', protect, requirePermission('sensors:read'), scopeAssets(), anomalyController.getAnomalies);
+
+/**
+ * @route GET /api/sensors/baselines
+ * @desc Get each sensor's rolling baseline band
+ * @access Protected (sensors:read)
+ */
+router.get('/sensors/baselines', protect, requirePermission('sensors:read'), scopeAssets(), anomalyController.getBaselines);
+
+/**
+ * @route GET /api/sensors/sources
+ * @desc Get the health of data sources such as PLC links
+ * @access Protected (sensors:read)
+ */
+router.get('/sensors/sources', protect, requirePermission('sensors:read'), sensorController.getDataSources);
 
 module.exports = router; 
\ No newline at end of file
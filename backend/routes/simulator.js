@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const simulatorController = require('../controllers/simulatorController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route GET /api/simulator/scenarios
+ * @desc Get the fault scenarios and the automatic fault schedule
+ * @access Protected (simulator:manage)
+ */
+router.get('/scenarios', protect, requirePermission('simulator:manage'), simulatorController.getScenarios);
+
+/**
+ * @route GET /api/simulator/faults
+ * @desc Get the faults running in the simulator
+ * @access Protected (simulator:manage)
+ */
+router.get('/faults', protect, requirePermission('simulator:manage'), simulatorController.getFaults);
+
+/**
+ * @route POST /api/simulator/faults
+ * @desc Start a fault on one sensor of a simulated asset
+ * @access Protected (simulator:manage)
+ */
+router.post('/faults', protect, requirePermission('simulator:manage'), simulatorController.startFault);
+
+/**
+ * @route DELETE /api/simulator/faults/:id
+ * @desc End a fault early
+ * @access Protected (simulator:manage)
+ */
+router.delete('/faults/:id', protect, requirePermission('simulator:manage'), simulatorController.clearFault);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route GET /api/users/roles
+ * @desc Get the available roles and their permissions
+ * @access Protected (users:manage)
+ */
+router.get('/roles', protect, requirePermission('users:manage'), userController.getRoles);
+
+/**
+ * @route GET /api/users
+ * @desc Get a page of users, searched by name or email and filtered by role
+ * @access Protected (users:manage)
+ */
+router.get('/', protect, requirePermission('users:manage'), userController.getUsers);
+
+/**
+ * @route PUT /api/users/me
+ * @desc Update the signed-in user's profile
+ * @access Protected
+ */
+router.put('/me', protect, userController.updateProfile);
+
+/**
+ * @route GET /api/users/:id
+ * @desc Get a user ("me" for the signed-in user)
+ * @access Protected (own account, or users:manage)
+ */
+router.get('/:id', protect, userController.getUser);
+
+/**
+ * @route PUT /api/users/:id
+ * @desc Update a user's name, email or role
+ * @access Protected (users:manage)
+ */
+router.put('/:id', protect, requirePermission('users:manage'), userController.updateUser);
+
+/**
+ * @route DELETE /api/users/:id
+ * @desc Deactivate a user
+ * @access Protected (users:manage)
+ */
+router.delete('/:id', protect, requirePermission('users:manage'), userController.deactivateUser);
+
+/**
+ * @route POST /api/users/:id/reactivate
+ * @desc Reactivate a deactivated user
+ * @access Protected (users:manage)
+ */
+router.post('/:id/reactivate', protect, requirePermission('users:manage'), userController.reactivateUser);
+
+/**
+ * @route POST /api/users/:id/unlock
+ * @desc Unlock a user locked out by failed sign-ins
+ * @access Protected (users:manage)
+ */
+router.post('/:id/unlock', protect, requirePermission('users:manage'), userController.unlockUser);
+
+/**
+ * @route PUT /api/users/:id/role
+ * @desc Change the role of a user
+ * @access Protected (users:manage)
+ */
+router.put('/:id/role', protect, requirePermission('users:manage'), userController.updateUserRole);
+
+/**
+ * @route GET /api/users/:id/assets
+ * @desc Get the assets a user is assigned to ("me" for the signed-in user)
+ * @access Protected (own account, or users:manage)
+ */
+router.get('/:id/assets', protect, userController.getUserAssets);
+
+/**
+ * @route PUT /api/users/:id/assets
+ * @desc Replace the assets a user is assigned to
+ * @access Protected (users:manage)
+ */
+router.put('/:id/assets', protect, requirePermission('users:manage'), userController.updateUserAssets);
+
+/**
+ * @route GET /api/users/:id/activity
+ * @desc Get a user's activity log ("me" for the signed-in user)
+ * @access Protected (own account, or users:manage)
+ */
+router.get('/:id/activity', protect, userController.getUserActivity);
+
+module.exports = router;
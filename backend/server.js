@@ -6,8 +6,23 @@ const socketIo = require('socket.io');
 const authRoutes = require('./routes/auth');
 const sensorRoutes = require('./routes/sensors');
 const safetyRoutes = require('./routes/safety');
+const assetRoutes = require('./routes/assets');
+const userRoutes = require('./routes/users');
+const deviceRoutes = require('./routes/devices');
+const simulatorRoutes = require('./routes/simulator');
 const socketService = require('./services/socketService');
+const assetService = require('./services/assetService');
+const sensorTypeService = require('./services/sensorTypeService');
+const alertService = require('./services/alertService');
+const alertRuleService = require('./services/alertRuleService');
+const sessionService = require('./services/sessionService');
+const safetyThresholdService = require('./services/safetyThresholdService');
+const influxWriter = require('./services/influxWriter');
 const { startSimulator } = require('./services/sensorSimulator');
+const { startMqttBridge } = require('./services/mqttBridge');
+const modbusService = require('./services/modbusService');
+const replayService = require('./services/replayService');
+const simulatorClock = require('./services/simulatorClock');
 
 // Display configuration status
 console.log('=== Smart Maintenance Server ===');
@@ -36,16 +51,101 @@ app.use(express.json());
 app.use('/auth', authRoutes);
 app.use('/api', sensorRoutes);
 app.use('/api/safety', safetyRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api', deviceRoutes);
+app.use('/api/simulator', simulatorRoutes);
+
+// Start sensor simulator with the Socket.IO service, and the MQTT bridge
+// for field gateways when a broker is configured
+let sensorSimulator;
+let mqttBridge;
+let replay;
 
 // Health check route
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Server is running' });
+  res.status(200).json({
+    status: 'ok',
+    message: 'Server is running',
+    influxdb: influxWriter.getWriterStats(),
+    mqtt: mqttBridge ? mqttBridge.getStats() : null,
+    simulator: sensorSimulator ? simulatorClock.getClockSettings() : null,
+    replay: replay ? replay.getStats() : null
+  });
 });
 
-// Start sensor simulator with the Socket.IO service
-let sensorSimulator;
 if (process.env.NODE_ENV !== 'test') {
-  sensorSimulator = startSimulator(socket);
+  // Load the asset registry, stored sensor types, thresholds, alert rules and recent alerts; the simulator picks up assets and sensor types as soon as they are available
+  const assetsLoaded = assetService.loadAssets().catch(err => {
+    console.error('Error loading asset registry:', err.message);
+  });
+  const sensorTypesLoaded = sensorTypeService.loadSensorTypes().catch(err => {
+    console.error('Error loading sensor types:', err.message);
+  });
+  const thresholdsLoaded = safetyThresholdService.loadThresholds().catch(err => {
+    console.error('Error loading safety thresholds:', err.message);
+  });
+  alertRuleService.loadRules().catch(err => {
+    console.error('Error loading alert rules:', err.message);
+  });
+  // Episodes still open when the server stopped go on once the assets and
+  // thresholds they are judged by are back; the rest are closed as stale
+  alertService.loadAlerts()
+    .then(async alerts => {
+      await Promise.all([assetsLoaded, sensorTypesLoaded, thresholdsLoaded]);
+      const stale = safetyThresholdService.restoreEpisodes(alerts.filter(alert => alert.active));
+      stale.forEach(alert => alertService.closeEpisode(alert));
+    })
+    .catch(err => {
+      console.error('Error loading alerts:', err.message);
+    });
+  sessionService.loadRevokedSessions().catch(err => {
+    console.error('Error loading revoked sessions:', err.message);
+  });
+  
+  try {
+    sensorSimulator = startSimulator(socket, 1000, {
+      seed: process.env.SIMULATOR_SEED,
+      speed: process.env.SIMULATOR_SPEED ? parseFloat(process.env.SIMULATOR_SPEED) : undefined,
+      mode: process.env.SIMULATOR_CLOCK,
+      start: process.env.SIMULATOR_START
+    });
+  } catch (err) {
+    console.error('Error starting sensor simulator:', err.message);
+  }
+  
+  // Play a recorded dataset through the pipeline; the simulator leaves its assets alone while it runs
+  if (process.env.SIMULATOR_REPLAY) {
+    try {
+      replay = replayService.startReplay(socket, replayService.loadDataset(process.env.SIMULATOR_REPLAY), {
+        speed: process.env.SIMULATOR_REPLAY_SPEED ? parseFloat(process.env.SIMULATOR_REPLAY_SPEED) : undefined,
+        loop: process.env.SIMULATOR_REPLAY_LOOP === 'true'
+      });
+    } catch (err) {
+      console.error('Error starting dataset replay:', err.message);
+    }
+  }
+  
+  // Register maps may name sensor types created through the API, so wait for those
+  if (process.env.MODBUS_CONFIG) {
+    sensorTypesLoaded.then(() => {
+      try {
+        modbusService.startModbusPolling(socket, modbusService.loadModbusConfig(process.env.MODBUS_CONFIG));
+      } catch (err) {
+        console.error('Error starting Modbus polling:', err.message);
+      }
+    });
+  }
+  
+  if (process.env.MQTT_URL) {
+    mqttBridge = startMqttBridge(socket, {
+      url: process.env.MQTT_URL,
+      topicPrefix: process.env.MQTT_TOPIC_PREFIX,
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+      clientId: process.env.MQTT_CLIENT_ID
+    });
+  }
 }
 
 // Global error handler
@@ -63,5 +163,21 @@ server.listen(PORT, () => {
   console.log(`Socket.IO server is active and ready for client connections`);
 });
 
+// Ingest readings still held by the MQTT bridge, then spool any queued
+// InfluxDB points to disk before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    if (mqttBridge) {
+      await mqttBridge.stop().catch(err => {
+        console.error('Error stopping MQTT bridge:', err.message);
+      });
+    }
+    modbusService.stopModbusPolling();
+    if (replay) replay.stop();
+    await influxWriter.shutdown();
+    process.exit(0);
+  });
+});
+
 // Export for testing
-module.exports = { app, server, io, sensorSimulator, socket }; 
\ No newline at end of file
+module.exports = { app, server, io, sensorSimulator, mqttBridge, socket }; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Convert a row from the Supabase activity_logs table into an activity entry
+ * @param {Object} row - Database row
+ * @returns {Object} - Activity entry
+ */
+const toActivity = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  action: row.action,
+  targetType: row.target_type,
+  targetId: row.target_id,
+  details: row.details,
+  ipAddress: row.ip_address,
+  createdAt: row.created_at
+});
+
+/**
+ * Record something a user did. Failures are only logged, so recording
+ * activity can never make the action itself fail
+ * @param {String} userId - User who acted
+ * @param {String} action - What they did, e.g. 'alert.acknowledged'
+ * @param {Object} entry - Optional ({ targetType, targetId, details, ipAddress })
+ * @returns {Promise<void>}
+ */
+const logActivity = async (userId, action, { targetType, targetId, details, ipAddress } = {}) => {
+  try {
+    const { error } = await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: userId,
+        action,
+        target_type: targetType || null,
+        target_id: targetId === undefined || targetId === null ? null : String(targetId),
+        details: details || null,
+        ip_address: ipAddress || null
+      }]);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (err) {
+    console.error(`Error logging ${action} for user ${userId}:`, err.message);
+  }
+};
+
+/**
+ * Get a user's activity, newest first
+ * @param {String} userId - The user
+ * @param {Object} options - ({ action, from, to, page, limit })
+ * @returns {Promise<Object>} - { activities, total }
+ */
+const getUserActivity = async (userId, { action, from, to, page = 1, limit = 20 } = {}) => {
+  let query = supabase
+    .from('activity_logs')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range((page - 1) * limit, page * limit - 1);
+
+  if (action) query = query.eq('action', action);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Error fetching activity: ${error.message}`);
+  }
+
+  return { activities: data.map(toActivity), total: count };
+};
+
+module.exports = {
+  logActivity,
+  getUserActivity
+};
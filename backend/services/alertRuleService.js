@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// Rule types evaluated against the recent readings history, on top of the
+// static threshold bands:
+// - rateOfChange: the value changes faster than maxRate units per minute over windowSeconds
+// - sustained: the value stays above/below level for at least durationSeconds
+// - trend: the linear trend over windowSeconds reaches level (or the critical
+//   limit) within horizonMinutes
+const RULE_TYPES = {
+  RATE_OF_CHANGE: 'rateOfChange',
+  SUSTAINED: 'sustained',
+  TREND: 'trend'
+};
+
+// Directions each rule type can watch for
+const RULE_DIRECTIONS = {
+  rateOfChange: ['rising', 'falling', 'either'],
+  sustained: ['above', 'below'],
+  trend: ['rising', 'falling', 'either']
+};
+
+// Severities a rule can raise its alerts with
+const RULE_SEVERITIES = ['warning', 'critical'];
+
+// Rules are evaluated against the in-memory readings history, which holds
+// 300 entries of every second reading, about 10 minutes at one reading a
+// second. Longer windows would be judged on whatever part of them is cached.
+const MAX_WINDOW_SECONDS = 600;
+
+// Rule definitions, keyed by rule id; a copy of the alert_rules table
+const rules = new Map();
+
+/**
+ * Convert a row from the Supabase alert_rules table into a rule definition
+ * @param {Object} row - Database row
+ * @returns {Object} - Rule definition
+ */
+const toRule = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  sensorType: row.sensor_type,
+  assetId: row.asset_id,
+  severity: row.severity,
+  direction: row.direction,
+  windowSeconds: row.window_seconds,
+  maxRate: row.max_rate,
+  level: row.level,
+  durationSeconds: row.duration_seconds,
+  horizonMinutes: row.horizon_minutes,
+  enabled: row.enabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Convert a rule definition into a row for the Supabase alert_rules table
+ * @param {Object} rule - Rule definition
+ * @returns {Object} - Database row
+ */
+const toRow = (rule) => ({
+  id: rule.id,
+  name: rule.name ?? null,
+  type: rule.type,
+  sensor_type: rule.sensorType,
+  asset_id: rule.assetId ?? null,
+  severity: rule.severity,
+  direction: rule.direction,
+  window_seconds: rule.windowSeconds ?? null,
+  max_rate: rule.maxRate ?? null,
+  level: rule.level ?? null,
+  duration_seconds: rule.durationSeconds ?? null,
+  horizon_minutes: rule.horizonMinutes ?? null,
+  enabled: rule.enabled,
+  created_at: rule.createdAt,
+  updated_at: rule.updatedAt
+});
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validate a rule definition
+ * @param {Object} rule - Rule definition
+ * @returns {String|null} - Error message, or null if the rule is valid
+ */
+const validateRule = (rule) => {
+  const { type, sensorType, severity, direction } = rule;
+
+  if (!Object.values(RULE_TYPES).includes(type)) {
+    return `type must be one of: ${Object.values(RULE_TYPES).join(', ')}`;
+  }
+  if (!sensorType) {
+    return 'sensorType is required';
+  }
+  if (severity !== undefined && !RULE_SEVERITIES.includes(severity)) {
+    return `severity must be one of: ${RULE_SEVERITIES.join(', ')}`;
+  }
+  if (direction !== undefined && !RULE_DIRECTIONS[type].includes(direction)) {
+    return `direction of a ${type} rule must be one of: ${RULE_DIRECTIONS[type].join(', ')}`;
+  }
+
+  switch (type) {
+    case RULE_TYPES.RATE_OF_CHANGE:
+      if (!isPositiveNumber(rule.windowSeconds)) return 'windowSeconds must be a positive number';
+      if (rule.windowSeconds > MAX_WINDOW_SECONDS) return `windowSeconds must be at most ${MAX_WINDOW_SECONDS}`;
+      if (!isPositiveNumber(rule.maxRate)) return 'maxRate must be a positive number of units per minute';
+      break;
+    case RULE_TYPES.SUSTAINED:
+      if (typeof rule.level !== 'number' || !Number.isFinite(rule.level)) return 'level must be a number';
+      if (!isPositiveNumber(rule.durationSeconds)) return 'durationSeconds must be a positive number';
+      if (rule.durationSeconds > MAX_WINDOW_SECONDS) return `durationSeconds must be at most ${MAX_WINDOW_SECONDS}`;
+      break;
+    case RULE_TYPES.TREND:
+      if (!isPositiveNumber(rule.windowSeconds)) return 'windowSeconds must be a positive number';
+      if (rule.windowSeconds > MAX_WINDOW_SECONDS) return `windowSeconds must be at most ${MAX_WINDOW_SECONDS}`;
+      if (!isPositiveNumber(rule.horizonMinutes)) return 'horizonMinutes must be a positive number';
+      if (rule.level !== undefined && rule.level !== null &&
+          (typeof rule.level !== 'number' || !Number.isFinite(rule.level))) {
+        return 'level must be a number';
+      }
+      break;
+  }
+
+  return null;
+};
+
+/**
+ * Get rule definitions, optionally filtered by sensor type, asset or type
+ * @param {Object} filters - Optional filters ({ sensorType, assetId, type })
+ * @returns {Array} - Matching rules
+ */
+const getRules = (filters = {}) => Array.from(rules.values()).filter(rule =>
+  (!filters.sensorType || rule.sensorType === filters.sensorType) &&
+  (!filters.assetId || rule.assetId === filters.assetId) &&
+  (!filters.type || rule.type === filters.type)
+);
+
+/**
+ * Get a single rule by id
+ * @param {String} ruleId - Rule id
+ * @returns {Object|null} - The rule, or null if it is unknown
+ */
+const getRule = (ruleId) => rules.get(ruleId) || null;
+
+/**
+ * Get the enabled rules that apply to an asset: fleet-wide rules plus the
+ * asset's own
+ * @param {String} assetId - The asset
+ * @returns {Array} - Applicable rules
+ */
+const getActiveRules = (assetId) => Array.from(rules.values()).filter(rule =>
+  rule.enabled && (!rule.assetId || rule.assetId === assetId)
+);
+
+/**
+ * Load the stored rule definitions
+ * @returns {Promise<Number>} - Number of rules loaded
+ */
+const loadRules = async () => {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error loading alert rules: ${error.message}`);
+  }
+
+  rules.clear();
+  data.forEach(row => rules.set(row.id, toRule(row)));
+
+  console.log(`Loaded ${rules.size} alert rule(s) from store`);
+  return rules.size;
+};
+
+/**
+ * Create a rule definition
+ * @param {Object} definition - Validated rule definition
+ * @returns {Promise<Object>} - The stored rule
+ */
+const createRule = async (definition) => {
+  const now = new Date().toISOString();
+  const rule = {
+    id: crypto.randomUUID(),
+    name: null,
+    severity: 'warning',
+    direction: definition.type === RULE_TYPES.SUSTAINED ? 'above' : 'rising',
+    assetId: null,
+    enabled: true,
+    ...definition,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .insert([toRow(rule)])
+    .select();
+
+  if (error) {
+    throw new Error(`Error storing alert rule: ${error.message}`);
+  }
+
+  const stored = toRule(data[0]);
+  rules.set(stored.id, stored);
+  console.log(`Created ${stored.type} alert rule ${stored.id} for ${stored.sensorType}`);
+  return stored;
+};
+
+/**
+ * Update a rule definition
+ * @param {String} ruleId - Rule id
+ * @param {Object} changes - Validated fields to change
+ * @returns {Promise<Object|null>} - The updated rule, or null if it is unknown
+ */
+const updateRule = async (ruleId, changes) => {
+  const rule = rules.get(ruleId);
+  if (!rule) return null;
+
+  const updated = {
+    ...rule,
+    ...changes,
+    id: rule.id,
+    createdAt: rule.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .update(toRow(updated))
+    .eq('id', ruleId)
+    .select();
+
+  if (error) {
+    throw new Error(`Error updating alert rule: ${error.message}`);
+  }
+
+  if (data.length === 0) {
+    rules.delete(ruleId);
+    return null;
+  }
+
+  const stored = toRule(data[0]);
+  rules.set(ruleId, stored);
+  return stored;
+};
+
+/**
+ * Delete a rule definition
+ * @param {String} ruleId - Rule id
+ * @returns {Promise<Boolean>} - True if the rule existed
+ */
+const deleteRule = async (ruleId) => {
+  if (!rules.has(ruleId)) return false;
+
+  const { error } = await supabase
+    .from('alert_rules')
+    .delete()
+    .eq('id', ruleId);
+
+  if (error) {
+    throw new Error(`Error deleting alert rule: ${error.message}`);
+  }
+
+  return rules.delete(ruleId);
+};
+
+/**
+ * Remove the rules scoped to an asset that has been removed from the registry
+ * @param {String} assetId - The asset whose rules should be dropped
+ */
+const clearAssetRules = async (assetId) => {
+  rules.forEach((rule, ruleId) => {
+    if (rule.assetId === assetId) rules.delete(ruleId);
+  });
+
+  const { error } = await supabase
+    .from('alert_rules')
+    .delete()
+    .eq('asset_id', assetId);
+
+  if (error) {
+    throw new Error(`Error removing asset alert rules: ${error.message}`);
+  }
+};
+
+module.exports = {
+  RULE_TYPES,
+  validateRule,
+  loadRules,
+  getRules,
+  getRule,
+  getActiveRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  clearAssetRules
+};
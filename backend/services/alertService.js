@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// Alert lifecycle: open -> acknowledged -> resolved
+const ALERT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved'
+};
+
+// Status an alert must be in for each lifecycle action
+const ALLOWED_TRANSITIONS = {
+  acknowledge: [ALERT_STATUS.OPEN],
+  resolve: [ALERT_STATUS.ACKNOWLEDGED],
+  assign: [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED]
+};
+
+// Most recent alerts kept in memory, newest first
+let alertsCache = [];
+const MAX_CACHED_ALERTS = 500;
+
+/**
+ * Convert a row from the Supabase alerts table into an alert object
+ * @param {Object} row - Database row
+ * @returns {Object} - Alert
+ */
+const toAlert = (row) => ({
+  id: row.id,
+  type: row.sensor_type,
+  assetId: row.asset_id,
+  assetName: row.asset_name,
+  severity: row.severity,
+  direction: row.direction,
+  value: row.value,
+  unit: row.unit,
+  threshold: row.threshold,
+  message: row.message,
+  timestamp: row.created_at,
+  peakValue: row.peak_value,
+  durationSeconds: row.duration_seconds,
+  active: row.active,
+  clearedAt: row.cleared_at,
+  status: row.status,
+  acknowledgedBy: row.acknowledged_by,
+  acknowledgedAt: row.acknowledged_at,
+  acknowledgeComment: row.acknowledge_comment,
+  resolvedBy: row.resolved_by,
+  resolvedAt: row.resolved_at,
+  resolveComment: row.resolve_comment,
+  assignedTo: row.assigned_to,
+  assignedBy: row.assigned_by,
+  assignedAt: row.assigned_at,
+  ruleId: row.rule_id,
+  ruleType: row.rule_type
+});
+
+/**
+ * Convert an alert object into a row for the Supabase alerts table
+ * @param {Object} alert - Alert
+ * @returns {Object} - Database row
+ */
+const toRow = (alert) => ({
+  id: alert.id,
+  sensor_type: alert.type,
+  asset_id: alert.assetId,
+  asset_name: alert.assetName,
+  severity: alert.severity,
+  direction: alert.direction,
+  value: alert.value,
+  unit: alert.unit,
+  threshold: alert.threshold,
+  message: alert.message,
+  created_at: alert.timestamp,
+  peak_value: alert.peakValue,
+  duration_seconds: alert.durationSeconds,
+  active: alert.active,
+  cleared_at: alert.clearedAt,
+  status: alert.status,
+  rule_id: alert.ruleId || null,
+  rule_type: alert.ruleType || null
+});
+
+/**
+ * Load the most recent alerts from Supabase into memory, along with every
+ * episode that is still active however old it is, so it can go on being
+ * updated and closed
+ * @returns {Promise<Array>} - Loaded alerts
+ */
+const loadAlerts = async () => {
+  const [recent, open] = await Promise.all([
+    supabase
+      .from('alerts')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(MAX_CACHED_ALERTS),
+    supabase
+      .from('alerts')
+      .select('*')
+      .eq('active', true)
+      .order('created_at', { ascending: false })
+  ]);
+
+  const error = recent.error || open.error;
+  if (error) {
+    throw new Error(`Error loading alerts: ${error.message}`);
+  }
+
+  // Keep anything raised while the store was loading
+  const loaded = new Map(recent.data.concat(open.data).map(row => [row.id, toAlert(row)]));
+  const raisedIds = new Set(alertsCache.map(alert => alert.id));
+  const added = Array.from(loaded.values())
+    .filter(alert => !raisedIds.has(alert.id))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  alertsCache = alertsCache
+    .concat(added)
+    .filter((alert, index) => index < MAX_CACHED_ALERTS || alert.active);
+
+  console.log(`Loaded ${added.length} alert(s) from store`);
+  return alertsCache;
+};
+
+/**
+ * Store a new alert raised by the safety threshold service
+ * @param {Object} alert - Alert opened by checkReadings
+ * @returns {Object} - Stored alert with id and status
+ */
+const createAlert = (alert) => {
+  const stored = {
+    ...alert,
+    id: alert.id || crypto.randomUUID(),
+    status: ALERT_STATUS.OPEN,
+    acknowledgedBy: null,
+    acknowledgedAt: null,
+    acknowledgeComment: null,
+    resolvedBy: null,
+    resolvedAt: null,
+    resolveComment: null,
+    assignedTo: null,
+    assignedBy: null,
+    assignedAt: null
+  };
+
+  alertsCache.unshift(stored);
+  if (alertsCache.length > MAX_CACHED_ALERTS) {
+    alertsCache.pop();
+  }
+
+  // Persist in the background so alerting is never held up by the database
+  supabase
+    .from('alerts')
+    .insert([toRow(stored)])
+    .then(({ error }) => {
+      if (error) console.error('Error storing alert:', error.message);
+    }, (err) => {
+      console.error('Error storing alert:', err.message);
+    });
+
+  return stored;
+};
+
+/**
+ * Apply the latest severity, peak value and duration of an ongoing alert episode.
+ * Progress is only kept in memory; the final values are stored when the
+ * episode closes. Episodes still open at a restart are picked up again from
+ * their stored row (see safetyThresholdService.restoreEpisodes).
+ * @param {Object} episode - Alert updated by checkReadings
+ * @returns {Object|null} - Updated alert, or null if it is no longer cached
+ */
+const updateEpisode = (episode) => {
+  const alert = getAlert(episode.id);
+  if (!alert) return null;
+
+  Object.assign(alert, {
+    severity: episode.severity,
+    direction: episode.direction,
+    threshold: episode.threshold,
+    message: episode.message,
+    value: episode.value,
+    peakValue: episode.peakValue,
+    durationSeconds: episode.durationSeconds
+  });
+  return alert;
+};
+
+/**
+ * Close an alert episode once its readings have cleared and store the final
+ * peak value and duration
+ * @param {Object} episode - Alert closed by checkReadings
+ * @returns {Object} - Closed alert
+ */
+const closeEpisode = (episode) => {
+  const changes = {
+    severity: episode.severity,
+    direction: episode.direction,
+    threshold: episode.threshold,
+    message: episode.message,
+    value: episode.value,
+    peakValue: episode.peakValue,
+    durationSeconds: episode.durationSeconds,
+    active: false,
+    clearedAt: episode.clearedAt
+  };
+
+  const alert = getAlert(episode.id);
+  if (alert) {
+    Object.assign(alert, changes);
+  }
+
+  supabase
+    .from('alerts')
+    .update({
+      severity: changes.severity,
+      direction: changes.direction,
+      threshold: changes.threshold,
+      message: changes.message,
+      value: changes.value,
+      peak_value: changes.peakValue,
+      duration_seconds: changes.durationSeconds,
+      active: false,
+      cleared_at: changes.clearedAt,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', episode.id)
+    .then(({ error }) => {
+      if (error) console.error('Error storing cleared alert:', error.message);
+    }, (err) => {
+      console.error('Error storing cleared alert:', err.message);
+    });
+
+  return alert || { ...episode, ...changes };
+};
+
+/**
+ * Get alerts, optionally filtered
+ * @param {Object} filters - Optional filters ({ sensorType, assetId, assetIds, severity, status, assignedTo, active })
+ * @returns {Array} - Matching alerts, newest first
+ */
+const getAlerts = (filters = {}) => alertsCache.filter(alert =>
+  (!filters.sensorType || alert.type === filters.sensorType) &&
+  (!filters.assetId || alert.assetId === filters.assetId) &&
+  (!filters.assetIds || filters.assetIds.length === 0 || filters.assetIds.includes(alert.assetId)) &&
+  (!filters.severity || alert.severity === filters.severity) &&
+  (!filters.status || alert.status === filters.status) &&
+  (!filters.assignedTo || alert.assignedTo === filters.assignedTo) &&
+  (!filters.ruleType || alert.ruleType === filters.ruleType) &&
+  (filters.active === undefined || Boolean(alert.active) === filters.active)
+);
+
+/**
+ * Get a single alert by id
+ * @param {String} alertId - Alert id
+ * @returns {Object|null} - The alert, or null if it is unknown
+ */
+const getAlert = (alertId) => alertsCache.find(alert => alert.id === alertId) || null;
+
+/**
+ * Check whether a lifecycle action is allowed for an alert's current status
+ * @param {Object} alert - The alert
+ * @param {String} action - acknowledge, resolve or assign
+ * @returns {Boolean} - True if the action is allowed
+ */
+const canTransition = (alert, action) =>
+  (ALLOWED_TRANSITIONS[action] || []).includes(alert.status);
+
+// Columns a lifecycle action changes; the rest of a cached alert carries the
+// episode's in-memory progress and is newer than the stored row
+const LIFECYCLE_FIELDS = [
+  'status',
+  'acknowledgedBy',
+  'acknowledgedAt',
+  'acknowledgeComment',
+  'resolvedBy',
+  'resolvedAt',
+  'resolveComment',
+  'assignedTo',
+  'assignedBy',
+  'assignedAt'
+];
+
+/**
+ * Copy the lifecycle columns of a stored alert onto the in-memory copy
+ * @param {Object} row - Database row
+ * @returns {Object} - The cached alert, or the stored one if it is not cached
+ */
+const mergeLifecycle = (row) => {
+  const stored = toAlert(row);
+  const alert = getAlert(stored.id);
+  if (!alert) return stored;
+
+  LIFECYCLE_FIELDS.forEach(field => {
+    alert[field] = stored[field];
+  });
+  return alert;
+};
+
+/**
+ * Persist a lifecycle action and update the in-memory copy. The update only
+ * applies while the stored alert is in a status the action is allowed from,
+ * so two users acting at once cannot both succeed.
+ * @param {String} alertId - Alert id
+ * @param {String} action - acknowledge, resolve or assign
+ * @param {Object} row - Columns to update
+ * @returns {Promise<Object|null>} - Updated alert, or null if the alert's
+ *   status no longer allows the action
+ */
+const updateAlert = async (alertId, action, row) => {
+  const { data, error } = await supabase
+    .from('alerts')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('id', alertId)
+    .in('status', ALLOWED_TRANSITIONS[action])
+    .select();
+
+  if (error) {
+    throw new Error(`Error updating alert: ${error.message}`);
+  }
+
+  if (data.length > 0) {
+    return mergeLifecycle(data[0]);
+  }
+
+  const { data: current, error: lookupError } = await supabase
+    .from('alerts')
+    .select('*')
+    .eq('id', alertId)
+    .limit(1);
+
+  if (lookupError) {
+    throw new Error(`Error updating alert: ${lookupError.message}`);
+  }
+
+  // The background insert may not have reached the database
+  if (current.length === 0) {
+    throw new Error('Alert has not been stored yet, try again shortly');
+  }
+
+  // Someone else changed the status first; pick up their change
+  mergeLifecycle(current[0]);
+  return null;
+};
+
+/**
+ * Acknowledge an open alert
+ * @param {String} alertId - Alert id
+ * @param {Object} details - ({ userId, comment })
+ * @returns {Promise<Object|null>} - Updated alert, or null if its status changed first
+ */
+const acknowledgeAlert = (alertId, { userId, comment }) => updateAlert(alertId, 'acknowledge', {
+  status: ALERT_STATUS.ACKNOWLEDGED,
+  acknowledged_by: userId,
+  acknowledged_at: new Date().toISOString(),
+  acknowledge_comment: comment || null
+});
+
+/**
+ * Resolve an acknowledged alert
+ * @param {String} alertId - Alert id
+ * @param {Object} details - ({ userId, comment })
+ * @returns {Promise<Object|null>} - Updated alert, or null if its status changed first
+ */
+const resolveAlert = (alertId, { userId, comment }) => updateAlert(alertId, 'resolve', {
+  status: ALERT_STATUS.RESOLVED,
+  resolved_by: userId,
+  resolved_at: new Date().toISOString(),
+  resolve_comment: comment || null
+});
+
+/**
+ * Look up the user an alert is being assigned to
+ * @param {String} userId - User id
+ * @returns {Promise<Object|null>} - The user, or null if there is no such user
+ */
+const findAssignee = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name, email, role, active')
+    .eq('id', userId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Error looking up user: ${error.message}`);
+  }
+
+  return data[0] || null;
+};
+
+/**
+ * Assign an alert to a technician
+ * @param {String} alertId - Alert id
+ * @param {Object} details - ({ technicianId, userId })
+ * @returns {Promise<Object|null>} - Updated alert, or null if its status changed first
+ */
+const assignAlert = (alertId, { technicianId, userId }) => updateAlert(alertId, 'assign', {
+  assigned_to: technicianId,
+  assigned_by: userId,
+  assigned_at: new Date().toISOString()
+});
+
+module.exports = {
+  ALERT_STATUS,
+  loadAlerts,
+  createAlert,
+  updateEpisode,
+  closeEpisode,
+  getAlerts,
+  getAlert,
+  canTransition,
+  acknowledgeAlert,
+  resolveAlert,
+  findAssignee,
+  assignAlert
+};
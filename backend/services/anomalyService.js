@@ -0,0 +1,255 @@
+/**
+ * Statistical anomaly detection for sensor readings.
+ *
+ * Each sensor of each asset keeps a rolling baseline: an exponentially
+ * weighted moving average of its readings and of their variance, with a
+ * half-life in time rather than readings so it behaves the same whatever
+ * the reading rate. Once the baseline has seen enough readings, a reading
+ * more than ANOMALY_SIGMA standard deviations from the mean is anomalous.
+ * This catches behaviour that is unusual for the machine while still under
+ * its absolute thresholds. Anomalies are tracked as events of their own,
+ * separate from safety alerts: an event opens with the first anomalous
+ * reading and ends once readings have been back inside the band for the
+ * hold time.
+ */
+const crypto = require('crypto');
+const { writePoint } = require('./influxWriter');
+const { getAsset } = require('./assetService');
+const { getSensorType } = require('./sensorTypeService');
+
+// How many standard deviations from the mean a reading has to be to count as anomalous
+const SIGMA = parseFloat(process.env.ANOMALY_SIGMA) || 3;
+
+// Time after which a reading's weight in the baseline has halved (ms)
+const HALF_LIFE = (parseFloat(process.env.ANOMALY_HALF_LIFE_MINUTES) || 10) * 60 * 1000;
+
+// Readings a baseline needs before it flags anything
+const WARMUP_READINGS = 30;
+
+// Seconds readings have to stay inside the band before an anomaly event ends
+const HOLD_TIME = 30;
+
+// Smallest standard deviation, as a share of the sensor's range, so a sensor
+// that barely moves doesn't flag every tiny change
+const MIN_STD_DEV_SHARE = 0.005;
+
+// Most anomaly events kept in memory for the API
+const MAX_EVENTS = 500;
+
+// Baselines keyed by asset id and then sensor type ({ mean, variance, samples, lastTime })
+const baselines = {};
+
+// Open anomaly events keyed by asset id and then sensor type
+const openEvents = {};
+
+// Recent anomaly events, newest first
+let events = [];
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+/**
+ * Get the band a baseline considers normal
+ * @param {Object} baseline - Baseline of a sensor
+ * @param {String} sensorType - The sensor's type, whose range sets the smallest deviation
+ * @returns {Object|null} - { mean, stdDev, lower, upper }, or null while the baseline is warming up
+ */
+const getBand = (baseline, sensorType) => {
+  if (!baseline || baseline.samples < WARMUP_READINGS) return null;
+
+  const definition = getSensorType(sensorType);
+  const minStdDev = definition ? (definition.max - definition.min) * MIN_STD_DEV_SHARE : 0;
+  const stdDev = Math.max(Math.sqrt(baseline.variance), minStdDev);
+
+  return {
+    mean: round(baseline.mean),
+    stdDev: round(stdDev, 3),
+    lower: round(baseline.mean - SIGMA * stdDev),
+    upper: round(baseline.mean + SIGMA * stdDev)
+  };
+};
+
+/**
+ * Fold a reading into a baseline. Until the baseline is warm every reading
+ * weighs the same; after that the weight depends on the time since the
+ * previous reading. Readings outside the band are clipped to it first, so
+ * one spike doesn't blow up the variance while a lasting shift still moves
+ * the baseline
+ * @param {Object} baseline - Baseline to update
+ * @param {Number} value - The reading's value
+ * @param {Number} time - Time of the reading (ms)
+ * @param {Object|null} band - The baseline's band before this reading
+ */
+const updateBaseline = (baseline, value, time, band) => {
+  const elapsed = Math.max(0, time - baseline.lastTime);
+  const alpha = Math.max(1 / (baseline.samples + 1), 1 - Math.pow(0.5, elapsed / HALF_LIFE));
+  const clipped = band ? Math.min(band.upper, Math.max(band.lower, value)) : value;
+
+  const diff = clipped - baseline.mean;
+  const increment = alpha * diff;
+  baseline.mean += increment;
+  baseline.variance = (1 - alpha) * (baseline.variance + diff * increment);
+  baseline.samples += 1;
+  baseline.lastTime = time;
+};
+
+/**
+ * Queue an anomaly event for InfluxDB
+ * @param {Object} event - The event to record
+ */
+const recordAnomalyPoint = (event) => {
+  writePoint('sensor_anomalies',
+    { sensor_type: event.sensorType, asset_id: event.assetId, direction: event.direction },
+    { value: event.value, mean: event.mean, std_dev: event.stdDev, z_score: event.zScore },
+    event.timestamp
+  ).catch(err => {
+    console.error('Error storing anomaly event in InfluxDB:', err);
+  });
+};
+
+/**
+ * Check readings against their sensors' baselines, then fold them in.
+ * Readings no newer than the last one a baseline has seen are skipped
+ * @param {Object} readings - Sensor readings keyed by sensor type
+ * @param {String} assetId - The asset the readings belong to
+ * @returns {Object} - { bands, opened, closed }: the band each reading was
+ *   judged against keyed by sensor type (null while warming up), and the
+ *   anomaly events that opened and ended
+ */
+const checkReadings = (readings, assetId) => {
+  const bands = {};
+  const opened = [];
+  const closed = [];
+  const assetBaselines = baselines[assetId] = baselines[assetId] || {};
+  const assetEvents = openEvents[assetId] = openEvents[assetId] || {};
+
+  Object.entries(readings).forEach(([sensorType, reading]) => {
+    if (!reading || typeof reading.value !== 'number') return;
+
+    const timestamp = reading.timestamp || new Date().toISOString();
+    const time = new Date(timestamp).getTime();
+    const baseline = assetBaselines[sensorType];
+
+    if (!baseline) {
+      assetBaselines[sensorType] = { mean: reading.value, variance: 0, samples: 1, lastTime: time };
+      bands[sensorType] = null;
+      return;
+    }
+    if (time <= baseline.lastTime) return;
+
+    const band = getBand(baseline, sensorType);
+    bands[sensorType] = band;
+    updateBaseline(baseline, reading.value, time, band);
+    if (!band) return;
+
+    const zScore = round((reading.value - band.mean) / band.stdDev);
+    const isAnomalous = Math.abs(zScore) > SIGMA;
+    const event = assetEvents[sensorType];
+
+    if (isAnomalous && !event) {
+      const asset = getAsset(assetId);
+      const created = {
+        id: crypto.randomUUID(),
+        assetId,
+        assetName: asset ? asset.name : assetId,
+        sensorType,
+        direction: zScore > 0 ? 'high' : 'low',
+        value: reading.value,
+        unit: reading.unit,
+        mean: band.mean,
+        stdDev: band.stdDev,
+        zScore,
+        peakValue: reading.value,
+        peakZScore: zScore,
+        timestamp,
+        durationSeconds: 0,
+        active: true,
+        endedAt: null
+      };
+      assetEvents[sensorType] = { event: created, startedAt: time, clearSince: null };
+      events = [created, ...events].slice(0, MAX_EVENTS);
+      opened.push({ ...created });
+
+      console.log(`ANOMALY: ${sensorType} on ${created.assetName} at ${reading.value} ${reading.unit || ''} is ${zScore} sigma from its baseline of ${band.mean}`);
+      recordAnomalyPoint(created);
+      return;
+    }
+    if (!event) return;
+
+    const current = event.event;
+    current.value = reading.value;
+    current.durationSeconds = Math.round((time - event.startedAt) / 1000);
+    if (Math.abs(zScore) > Math.abs(current.peakZScore)) {
+      current.peakValue = reading.value;
+      current.peakZScore = zScore;
+    }
+
+    event.clearSince = isAnomalous ? null : (event.clearSince ?? time);
+    if (event.clearSince !== null && time - event.clearSince >= HOLD_TIME * 1000) {
+      current.active = false;
+      current.endedAt = timestamp;
+      delete assetEvents[sensorType];
+      closed.push({ ...current });
+
+      console.log(`ANOMALY ENDED: ${sensorType} on ${current.assetName} after ${current.durationSeconds}s`);
+    }
+  });
+
+  return { bands, opened, closed };
+};
+
+/**
+ * Get the current baseline bands
+ * @param {String} assetId - Optional asset to limit the bands to
+ * @param {Array} assetIds - Assets to list when no asset is given (default: all)
+ * @returns {Object} - Bands keyed by sensor type for an asset, or by asset id
+ *   and then sensor type; sensors still warming up have a null band
+ */
+const getBaselines = (assetId, assetIds = []) => {
+  const bandsOf = (id) => {
+    const bands = {};
+    Object.entries(baselines[id] || {}).forEach(([sensorType, baseline]) => {
+      bands[sensorType] = getBand(baseline, sensorType);
+    });
+    return bands;
+  };
+
+  if (assetId) return bandsOf(assetId);
+
+  const all = {};
+  Object.keys(baselines).filter(id => assetIds.length === 0 || assetIds.includes(id)).forEach(id => {
+    all[id] = bandsOf(id);
+  });
+  return all;
+};
+
+/**
+ * Get recent anomaly events, newest first
+ * @param {Object} filters - Optional filters ({ assetId, assetIds, sensorType, active, limit })
+ * @returns {Array} - Matching events
+ */
+const getAnomalies = ({ assetId, assetIds = [], sensorType, active, limit = 50 } = {}) => events
+  .filter(event =>
+    (!assetId || event.assetId === assetId) &&
+    (assetIds.length === 0 || assetIds.includes(event.assetId)) &&
+    (!sensorType || event.sensorType === sensorType) &&
+    (active === undefined || event.active === active))
+  .slice(0, limit)
+  .map(event => ({ ...event }));
+
+/**
+ * Forget the baselines and anomaly events of an asset
+ * @param {String} assetId - The asset to forget
+ */
+const clearAssetBaselines = (assetId) => {
+  delete baselines[assetId];
+  delete openEvents[assetId];
+  events = events.filter(event => event.assetId !== assetId);
+};
+
+module.exports = {
+  SIGMA,
+  checkReadings,
+  getBaselines,
+  getAnomalies,
+  clearAssetBaselines
+};
@@ -0,0 +1,166 @@
+const supabase = require('../config/supabase');
+
+// Built-in asset that is monitored until real equipment has been registered,
+// so a fresh install still has something to show on the dashboard
+const DEFAULT_ASSET = {
+  id: 'default',
+  name: 'Demo Thruster',
+  location: 'Simulator',
+  equipmentClass: 'thruster',
+  createdAt: null,
+  updatedAt: null
+};
+
+// Registered assets kept in memory for quick lookups from the simulator loop
+const assets = new Map();
+
+/**
+ * Convert a row from the Supabase assets table into an asset object
+ * @param {Object} row - Database row
+ * @returns {Object} - Asset
+ */
+const toAsset = (row) => ({
+  id: row.id,
+  name: row.name,
+  location: row.location,
+  equipmentClass: row.equipment_class,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Load all registered assets from Supabase into memory
+ * @returns {Promise<Array>} - Loaded assets
+ */
+const loadAssets = async () => {
+  const { data, error } = await supabase
+    .from('assets')
+    .select('*')
+    .order('name');
+
+  if (error) {
+    throw new Error(`Error loading assets: ${error.message}`);
+  }
+
+  assets.clear();
+  data.forEach(row => assets.set(row.id, toAsset(row)));
+
+  console.log(`Loaded ${assets.size} asset(s) from registry`);
+  return listAssets();
+};
+
+/**
+ * Get all assets, optionally filtered by equipment class or location
+ * @param {Object} filters - Optional filters ({ equipmentClass, location })
+ * @returns {Array} - Matching assets
+ */
+const listAssets = (filters = {}) => {
+  if (assets.size === 0) {
+    return [DEFAULT_ASSET];
+  }
+
+  return Array.from(assets.values()).filter(asset =>
+    (!filters.equipmentClass || asset.equipmentClass === filters.equipmentClass) &&
+    (!filters.location || asset.location === filters.location)
+  );
+};
+
+/**
+ * Get a single asset by id
+ * @param {String} assetId - Asset id
+ * @returns {Object|null} - The asset, or null if it is not registered
+ */
+const getAsset = (assetId) => {
+  if (assets.size === 0 && assetId === DEFAULT_ASSET.id) {
+    return DEFAULT_ASSET;
+  }
+  return assets.get(assetId) || null;
+};
+
+/**
+ * Get the ids of all assets that should be monitored
+ * @returns {Array<String>} - Asset ids
+ */
+const getAssetIds = () => listAssets().map(asset => asset.id);
+
+/**
+ * Register a new asset
+ * @param {Object} asset - Asset details ({ name, location, equipmentClass })
+ * @returns {Promise<Object>} - Created asset
+ */
+const createAsset = async ({ name, location, equipmentClass }) => {
+  const { data, error } = await supabase
+    .from('assets')
+    .insert([
+      {
+        name,
+        location,
+        equipment_class: equipmentClass
+      }
+    ])
+    .select();
+
+  if (error) {
+    throw new Error(`Error creating asset: ${error.message}`);
+  }
+
+  const asset = toAsset(data[0]);
+  assets.set(asset.id, asset);
+  return asset;
+};
+
+/**
+ * Update an existing asset
+ * @param {String} assetId - Asset id
+ * @param {Object} updates - Fields to update ({ name, location, equipmentClass })
+ * @returns {Promise<Object>} - Updated asset
+ */
+const updateAsset = async (assetId, updates) => {
+  const row = { updated_at: new Date().toISOString() };
+  if (updates.name !== undefined) row.name = updates.name;
+  if (updates.location !== undefined) row.location = updates.location;
+  if (updates.equipmentClass !== undefined) row.equipment_class = updates.equipmentClass;
+
+  const { data, error } = await supabase
+    .from('assets')
+    .update(row)
+    .eq('id', assetId)
+    .select();
+
+  if (error) {
+    throw new Error(`Error updating asset: ${error.message}`);
+  }
+
+  const asset = toAsset(data[0]);
+  assets.set(asset.id, asset);
+  return asset;
+};
+
+/**
+ * Remove an asset from the registry
+ * @param {String} assetId - Asset id
+ * @returns {Promise<void>}
+ */
+const deleteAsset = async (assetId) => {
+  const { error } = await supabase
+    .from('assets')
+    .delete()
+    .eq('id', assetId);
+
+  if (error) {
+    throw new Error(`Error deleting asset: ${error.message}`);
+  }
+
+  assets.delete(assetId);
+};
+
+module.exports = {
+  DEFAULT_ASSET,
+  loadAssets,
+  listAssets,
+  getAsset,
+  getAssetIds,
+  createAsset,
+  updateAsset,
+  deleteAsset
+};
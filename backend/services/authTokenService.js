@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// What a token can be used for, and how long it stays valid (seconds)
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: 60 * 60,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 24 * 60 * 60
+};
+
+/**
+ * Hash a token for storage; only the user ever sees the token itself
+ * @param {String} token - The token
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a single-use token for a user. Earlier unused tokens for the same
+ * purpose stop working, so only the most recent email is valid
+ * @param {String} userId - The user
+ * @param {String} purpose - One of TOKEN_PURPOSES
+ * @returns {Promise<String>} - The token
+ */
+const createAuthToken = async (userId, purpose) => {
+  if (!TOKEN_TTL[purpose]) {
+    throw new Error(`Invalid token purpose: ${purpose}`);
+  }
+
+  const now = new Date();
+  const { error: revokeError } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (revokeError) {
+    throw new Error(`Error replacing auth tokens: ${revokeError.message}`);
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const { error } = await supabase
+    .from('auth_tokens')
+    .insert([{
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + TOKEN_TTL[purpose] * 1000).toISOString()
+    }]);
+
+  if (error) {
+    throw new Error(`Error storing auth token: ${error.message}`);
+  }
+
+  return token;
+};
+
+/**
+ * Use up a token. It is marked as used in the same update that checks it,
+ * so it can only succeed once
+ * @param {String} token - The token
+ * @param {String} purpose - One of TOKEN_PURPOSES
+ * @returns {Promise<String|null>} - Id of the token's user, or null if the
+ *   token is unknown, used or expired
+ */
+const consumeAuthToken = async (token, purpose) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select();
+
+  if (error) {
+    throw new Error(`Error using auth token: ${error.message}`);
+  }
+
+  return data.length > 0 ? data[0].user_id : null;
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  TOKEN_TTL,
+  createAuthToken,
+  consumeAuthToken
+};
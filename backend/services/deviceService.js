@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// Device ids are UUIDs; anything else can't match a stored device
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How long a device looked up by its key is trusted before it is read again (ms)
+const CACHE_TTL = 60 * 1000;
+
+// Device id -> { device, keyHash, expiresAt }
+const deviceCache = new Map();
+
+/**
+ * Convert a row from the Supabase devices table into a device object.
+ * The key hash never leaves this module
+ * @param {Object} row - Database row
+ * @returns {Object} - Device
+ */
+const toDevice = (row) => ({
+  id: row.id,
+  name: row.name,
+  assetIds: row.asset_ids || [],
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  lastSeenAt: row.last_seen_at,
+  revokedAt: row.revoked_at
+});
+
+/**
+ * Hash an API key secret for storage
+ * @param {String} secret - Secret part of an API key
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Split an API key into its device id and secret
+ * @param {String} apiKey - API key ("<deviceId>.<secret>")
+ * @returns {Object|null} - { deviceId, secret }, or null if malformed
+ */
+const parseApiKey = (apiKey) => {
+  const [deviceId, secret] = String(apiKey).split('.');
+  if (!UUID_PATTERN.test(deviceId) || !secret) return null;
+  return { deviceId, secret };
+};
+
+/**
+ * Register a device and issue its API key. The key is only returned here;
+ * only its hash is stored
+ * @param {Object} device - { name, assetIds }
+ * @param {String} userId - User registering the device
+ * @returns {Promise<Object>} - { device, apiKey }
+ */
+const createDevice = async ({ name, assetIds = [] }, userId) => {
+  const id = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const { data, error } = await supabase
+    .from('devices')
+    .insert([{
+      id,
+      name,
+      asset_ids: assetIds,
+      key_hash: hashSecret(secret),
+      created_by: userId
+    }])
+    .select();
+
+  if (error) {
+    throw new Error(`Error creating device: ${error.message}`);
+  }
+
+  return { device: toDevice(data[0]), apiKey: `${id}.${secret}` };
+};
+
+/**
+ * List registered devices, newest first
+ * @param {Boolean} includeRevoked - Whether to include revoked devices
+ * @returns {Promise<Array>} - Devices
+ */
+const getDevices = async (includeRevoked = false) => {
+  let query = supabase
+    .from('devices')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (!includeRevoked) query = query.is('revoked_at', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Error fetching devices: ${error.message}`);
+  }
+
+  return data.map(toDevice);
+};
+
+/**
+ * Revoke a device's API key
+ * @param {String} deviceId - The device
+ * @returns {Promise<Object|null>} - The revoked device, or null if there is no active device with that id
+ */
+const revokeDevice = async (deviceId) => {
+  if (!UUID_PATTERN.test(deviceId)) return null;
+
+  const { data, error } = await supabase
+    .from('devices')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', deviceId)
+    .is('revoked_at', null)
+    .select();
+
+  if (error) {
+    throw new Error(`Error revoking device: ${error.message}`);
+  }
+
+  deviceCache.delete(deviceId);
+  return data.length > 0 ? toDevice(data[0]) : null;
+};
+
+/**
+ * Find the device an API key belongs to. Devices are cached briefly so
+ * every ingest request doesn't hit the database; reading one again also
+ * records when the device was last seen
+ * @param {String} apiKey - API key
+ * @returns {Promise<Object|null>} - Device, or null if the key is invalid or revoked
+ */
+const authenticateDevice = async (apiKey) => {
+  const parsed = parseApiKey(apiKey);
+  if (!parsed) return null;
+
+  const keyHash = hashSecret(parsed.secret);
+  let cached = deviceCache.get(parsed.deviceId);
+
+  if (!cached || cached.expiresAt <= Date.now()) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('devices')
+      .update({ last_seen_at: now })
+      .eq('id', parsed.deviceId)
+      .is('revoked_at', null)
+      .select();
+
+    if (error) {
+      throw new Error(`Error looking up device: ${error.message}`);
+    }
+    if (data.length === 0) {
+      deviceCache.delete(parsed.deviceId);
+      return null;
+    }
+
+    cached = { device: toDevice(data[0]), keyHash: data[0].key_hash, expiresAt: Date.now() + CACHE_TTL };
+    deviceCache.set(parsed.deviceId, cached);
+  }
+
+  const matches = crypto.timingSafeEqual(Buffer.from(cached.keyHash), Buffer.from(keyHash));
+  return matches ? cached.device : null;
+};
+
+module.exports = {
+  createDevice,
+  getDevices,
+  revokeDevice,
+  authenticateDevice
+};
@@ -0,0 +1,249 @@
+/**
+ * Degradation forecasting for assets.
+ *
+ * For each forecast sensor, a straight line is fitted through the asset's
+ * recent history (hourly means over the last week by default) and projected
+ * to the critical threshold it is heading for. The 95% confidence interval
+ * is where the confidence band of the fitted line reaches the threshold, so
+ * it widens with noisy or short histories. Only a trend that is significant
+ * at that level gets a date; anything else is reported as stable. The
+ * asset's estimated days to service is the earliest crossing of its sensors.
+ */
+const { queryReadingsHistory } = require('./sensorHistoryService');
+const { getThresholds } = require('./safetyThresholdService');
+const { getSensorType, getSensorTypes } = require('./sensorTypeService');
+
+// History looked at unless the request says otherwise, and the longest allowed (days)
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MAX_LOOKBACK_DAYS = 90;
+
+// Points the history is averaged down to
+const TARGET_POINTS = 168;
+
+// Points needed before a trend is fitted
+const MIN_POINTS = 10;
+
+// Crossings further out than this are reported as stable (days)
+const MAX_HORIZON_DAYS = 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+/**
+ * Two-sided 95% quantile of Student's t distribution, accurate to a few
+ * hundredths from 8 degrees of freedom up
+ * @param {Number} df - Degrees of freedom
+ * @returns {Number} - The quantile
+ */
+const tQuantile95 = (df) => 1.96 + 2.37 / df + 2.8 / (df * df);
+
+/**
+ * Least-squares fit of a line through a series
+ * @param {Array} points - ({ time, value }) points
+ * @param {Number} now - Time the fit is centred on (ms)
+ * @returns {Object} - { intercept, slope, residualStdDev, meanX, sxx, rSquared }
+ *   with x in days from now, so the intercept is the fitted value now
+ */
+const fitTrend = (points, now) => {
+  const xs = points.map(point => (point.time - now) / DAY);
+  const n = points.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (points[i].value - meanY);
+    syy += (points[i].value - meanY) ** 2;
+  });
+
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residual = Math.max(0, syy - slope * sxy);
+
+  return {
+    intercept,
+    slope,
+    residualStdDev: Math.sqrt(residual / (n - 2)),
+    meanX,
+    sxx,
+    rSquared: syy === 0 ? 0 : 1 - residual / syy
+  };
+};
+
+/**
+ * Days from now at which the 95% confidence band of a fitted line reaches a
+ * limit: the roots of (intercept + slope·x − limit)² = (t·s)²·(1/n + (x − x̄)²/Sxx)
+ * @param {Object} fit - Result of fitTrend
+ * @param {Number} n - Points in the fit
+ * @param {Number} limit - The threshold
+ * @returns {Array|null} - [earliest, latest], or null if the slope isn't
+ *   significant and the band never closes around a crossing
+ */
+const getCrossingInterval = (fit, n, limit) => {
+  const k2 = (tQuantile95(n - 2) * fit.residualStdDev) ** 2;
+  const d = fit.intercept - limit;
+
+  const a = fit.slope ** 2 - k2 / fit.sxx;
+  if (a <= 0) return null;
+
+  const b = 2 * fit.slope * d + 2 * k2 * fit.meanX / fit.sxx;
+  const c = d * d - k2 / n - k2 * fit.meanX ** 2 / fit.sxx;
+  const root = Math.sqrt(Math.max(0, b * b - 4 * a * c));
+
+  return [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+};
+
+/**
+ * Forecast when a sensor's readings will cross its critical threshold
+ * @param {Array} points - ({ time, value }) points, oldest first
+ * @param {Object} thresholds - The sensor's effective thresholds
+ * @param {Object} sensorType - The sensor type, whose range floor isn't a limit worth forecasting
+ * @param {Number} now - Current time (ms)
+ * @returns {Object} - { status, currentValue, trendPerDay, rSquared, limit,
+ *   direction, daysToThreshold, confidenceInterval, estimatedDate, points }.
+ *   status is insufficient_data, stable, degrading or exceeded
+ */
+const forecastSensor = (points, thresholds, sensorType, now) => {
+  const forecast = {
+    status: 'insufficient_data',
+    currentValue: points.length > 0 ? points[points.length - 1].value : null,
+    trendPerDay: null,
+    rSquared: null,
+    limit: null,
+    direction: null,
+    daysToThreshold: null,
+    confidenceInterval: null,
+    estimatedDate: null,
+    points: points.length
+  };
+  if (points.length < MIN_POINTS || !thresholds) return forecast;
+
+  const current = forecast.currentValue;
+  if (current > thresholds.max || current < thresholds.min) {
+    return {
+      ...forecast,
+      status: 'exceeded',
+      limit: current > thresholds.max ? thresholds.max : thresholds.min,
+      direction: current > thresholds.max ? 'high' : 'low',
+      daysToThreshold: 0,
+      confidenceInterval: { earliestDays: 0, latestDays: 0 },
+      estimatedDate: new Date(now).toISOString()
+    };
+  }
+
+  const fit = fitTrend(points, now);
+  const rising = fit.slope > 0;
+  const trend = {
+    ...forecast,
+    status: 'stable',
+    trendPerDay: round(fit.slope, 3),
+    rSquared: round(fit.rSquared, 2)
+  };
+
+  // A falling reading only matters if the low limit is above the bottom of the sensor's range
+  const limit = rising ? thresholds.max : thresholds.min;
+  if (fit.slope === 0 || (!rising && !(thresholds.min > sensorType.min))) return trend;
+
+  const interval = getCrossingInterval(fit, points.length, limit);
+  const days = (limit - fit.intercept) / fit.slope;
+  if (!interval || !(days > 0) || days > MAX_HORIZON_DAYS) return trend;
+
+  return {
+    ...trend,
+    status: 'degrading',
+    limit,
+    direction: rising ? 'high' : 'low',
+    daysToThreshold: round(days),
+    confidenceInterval: {
+      earliestDays: round(Math.max(0, interval[0])),
+      latestDays: round(interval[1])
+    },
+    estimatedDate: new Date(now + days * DAY).toISOString()
+  };
+};
+
+/**
+ * Validate forecast options
+ * @param {Object} options - ({ days, sensorTypes })
+ * @returns {String|null} - Error message, or null if the options are valid
+ */
+const validateForecastOptions = ({ days, sensorTypes }) => {
+  if (days !== undefined && !(days >= 1 && days <= MAX_LOOKBACK_DAYS)) {
+    return `days must be a number from 1 to ${MAX_LOOKBACK_DAYS}`;
+  }
+  const unknown = (sensorTypes || []).find(type => !getSensorType(type));
+  if (unknown) {
+    return `Invalid sensor type: ${unknown}`;
+  }
+  return null;
+};
+
+/**
+ * Forecast an asset's sensors from their history in InfluxDB
+ * @param {String} assetId - The asset
+ * @param {Object} options - ({ days, sensorTypes, now }): how many days of
+ *   history to fit, which sensors (default: every registered sensor type;
+ *   types that aren't registered are skipped) and the current time
+ * @returns {Promise<Object>} - { assetId, generatedAt, lookbackDays,
+ *   daysToService, limitingSensor, confidenceInterval, sensors } where
+ *   sensors holds a forecastSensor result per sensor type
+ */
+const forecastAsset = async (assetId, {
+  days = DEFAULT_LOOKBACK_DAYS,
+  sensorTypes = getSensorTypes().map(sensorType => sensorType.type),
+  now = Date.now()
+} = {}) => {
+  const windowMinutes = Math.max(1, Math.round(days * 24 * 60 / TARGET_POINTS));
+  const rows = await queryReadingsHistory({
+    assetId,
+    start: new Date(now - days * DAY).toISOString(),
+    stop: new Date(now).toISOString(),
+    window: `${windowMinutes}m`,
+    aggregation: 'mean',
+    limit: TARGET_POINTS * 2
+  });
+
+  const thresholds = getThresholds(null, assetId);
+  const sensors = {};
+
+  sensorTypes.forEach(type => {
+    const sensorType = getSensorType(type);
+    if (!sensorType) return;
+
+    const points = rows
+      .filter(entry => entry[type])
+      .map(entry => ({ time: new Date(entry.timestamp).getTime(), value: entry[type].value }))
+      .sort((a, b) => a.time - b.time);
+
+    sensors[type] = {
+      unit: sensorType.unit,
+      ...forecastSensor(points, thresholds[type], sensorType, now)
+    };
+  });
+
+  // The asset is due for service when its first sensor crosses
+  const limiting = Object.entries(sensors)
+    .filter(([, forecast]) => forecast.daysToThreshold !== null)
+    .sort(([, a], [, b]) => a.daysToThreshold - b.daysToThreshold)[0];
+
+  return {
+    assetId,
+    generatedAt: new Date(now).toISOString(),
+    lookbackDays: days,
+    daysToService: limiting ? limiting[1].daysToThreshold : null,
+    limitingSensor: limiting ? limiting[0] : null,
+    confidenceInterval: limiting ? limiting[1].confidenceInterval : null,
+    sensors
+  };
+};
+
+module.exports = {
+  fitTrend,
+  forecastSensor,
+  validateForecastOptions,
+  forecastAsset
+};
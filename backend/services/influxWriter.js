@@ -0,0 +1,389 @@
+const fs = require('fs');
+const path = require('path');
+const { Point } = require('@influxdata/influxdb-client');
+const { client, writeApi, org, bucket } = require('../config/influxdb');
+
+/**
+ * Batched, non-blocking write pipeline for InfluxDB.
+ *
+ * Points are converted to line protocol and queued in memory. The queue is
+ * flushed when it reaches BATCH_SIZE or every FLUSH_INTERVAL ms. Batches
+ * that fail because the database is unreachable or has a server error are
+ * retried with exponential backoff; once that has gone on for
+ * SPOOL_AFTER_FAILURES attempts, pending lines are appended to a spool file
+ * on disk and replayed after the next successful write. A batch the
+ * database rejects as invalid (a 4xx answer, such as bad line protocol or a
+ * field type conflict) would fail the same way every time, so it is logged,
+ * counted and dropped instead.
+ */
+
+// Number of lines sent per write request
+const BATCH_SIZE = parseInt(process.env.INFLUXDB_BATCH_SIZE) || 500;
+
+// Maximum time a point waits in the queue before being flushed (ms)
+const FLUSH_INTERVAL = parseInt(process.env.INFLUXDB_FLUSH_INTERVAL) || 1000;
+
+// Maximum number of lines held in memory; the oldest lines are dropped beyond this
+const MAX_QUEUE_SIZE = parseInt(process.env.INFLUXDB_MAX_QUEUE_SIZE) || 10000;
+
+// Backoff between retries (ms), doubled after every consecutive failure
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+
+// Consecutive failures after which the database is considered down and lines are spooled
+const SPOOL_AFTER_FAILURES = 3;
+
+// Spool file location and size limit
+const SPOOL_FILE = process.env.INFLUXDB_SPOOL_FILE ||
+  path.resolve(__dirname, '..', 'data', 'influxdb-spool.lp');
+const MAX_SPOOL_BYTES = parseInt(process.env.INFLUXDB_MAX_SPOOL_BYTES) || 50 * 1024 * 1024;
+
+// Pending line protocol lines
+let queue = [];
+
+let flushTimer = null;
+
+// The flush in progress, so flushes never overlap and shutdown can wait for it
+let pendingFlush = null;
+let consecutiveFailures = 0;
+let nextAttemptAt = 0;
+
+// Serializes spool file access so appends and replays never interleave
+let spoolChain = Promise.resolve();
+
+const stats = {
+  written: 0,
+  dropped: 0,
+  spooled: 0,
+  replayed: 0,
+  rejected: 0,
+  failedWrites: 0,
+  lastError: null,
+  lastSuccessAt: null
+};
+
+/**
+ * Send a batch of lines to the InfluxDB write endpoint
+ * @param {Array<String>} lines - Line protocol lines
+ * @returns {Promise<void>}
+ */
+const sendLines = (lines) => client.transport.request(
+  `/api/v2/write?org=${encodeURIComponent(org)}&bucket=${encodeURIComponent(bucket)}&precision=ms`,
+  lines.join('\n'),
+  {
+    method: 'POST',
+    headers: { 'content-type': 'text/plain; charset=utf-8' }
+  }
+);
+
+/**
+ * Check whether a write failed because the database refused the data itself.
+ * Those batches fail the same way on every attempt; 429 (too many requests)
+ * is the exception, as it is worth trying again later
+ * @param {Error} err - Write error
+ * @returns {Boolean} - True for 4xx answers other than 429
+ */
+const isRejected = (err) =>
+  err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 429;
+
+/**
+ * Drop a batch the database refused
+ * @param {Array<String>} lines - Line protocol lines
+ * @param {Error} err - Write error
+ */
+const rejectLines = (lines, err) => {
+  stats.rejected += lines.length;
+  stats.lastError = err.message;
+  console.error(`InfluxDB rejected ${lines.length} point(s) (${err.statusCode}: ${err.message}), dropping them; first line: ${lines[0]}`);
+};
+
+/**
+ * Record a successful write
+ */
+const recordSuccess = () => {
+  stats.lastSuccessAt = new Date().toISOString();
+
+  if (consecutiveFailures > 0) {
+    console.log('InfluxDB is reachable again');
+    consecutiveFailures = 0;
+    nextAttemptAt = 0;
+  }
+};
+
+/**
+ * Record a failed write and back off before the next attempt
+ * @param {Error} err - Write error
+ */
+const recordFailure = (err) => {
+  consecutiveFailures++;
+  stats.failedWrites++;
+  stats.lastError = err.message;
+  nextAttemptAt = Date.now() +
+    Math.min(RETRY_BASE_DELAY * Math.pow(2, consecutiveFailures - 1), RETRY_MAX_DELAY);
+};
+
+/**
+ * Get the current size of the spool file
+ * @returns {Number} - Size in bytes, 0 if there is no spool file
+ */
+const getSpoolSize = () => {
+  try {
+    return fs.statSync(SPOOL_FILE).size;
+  } catch (err) {
+    return 0;
+  }
+};
+
+/**
+ * Append lines to the spool file
+ * @param {Array<String>} lines - Line protocol lines
+ * @returns {Promise<void>}
+ */
+const spoolLines = (lines) => {
+  spoolChain = spoolChain.then(async () => {
+    if (lines.length === 0) return;
+
+    const data = lines.join('\n') + '\n';
+    if (getSpoolSize() + Buffer.byteLength(data) > MAX_SPOOL_BYTES) {
+      stats.dropped += lines.length;
+      console.error(`InfluxDB spool is full, dropped ${lines.length} point(s)`);
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(SPOOL_FILE), { recursive: true });
+    await fs.promises.appendFile(SPOOL_FILE, data);
+    stats.spooled += lines.length;
+  }).catch(err => {
+    stats.dropped += lines.length;
+    console.error('Error writing InfluxDB spool file:', err);
+  });
+
+  return spoolChain;
+};
+
+/**
+ * Replay spooled lines once the database is reachable again
+ * @returns {Promise<void>}
+ */
+const replaySpool = () => {
+  spoolChain = spoolChain.then(async () => {
+    if (getSpoolSize() === 0) return;
+
+    const lines = (await fs.promises.readFile(SPOOL_FILE, 'utf8'))
+      .split('\n')
+      .filter(Boolean);
+    await fs.promises.unlink(SPOOL_FILE);
+
+    console.log(`Replaying ${lines.length} spooled InfluxDB point(s)`);
+
+    for (let i = 0; i < lines.length; i += BATCH_SIZE) {
+      const batch = lines.slice(i, i + BATCH_SIZE);
+      try {
+        await sendLines(batch);
+        stats.replayed += batch.length;
+        recordSuccess();
+      } catch (err) {
+        if (isRejected(err)) {
+          rejectLines(batch, err);
+          continue;
+        }
+
+        // Put whatever is left back on disk and try again later
+        const remaining = lines.slice(i);
+        await fs.promises.appendFile(SPOOL_FILE, remaining.join('\n') + '\n');
+        recordFailure(err);
+        console.error(`InfluxDB replay interrupted, ${remaining.length} point(s) kept in spool`);
+        return;
+      }
+    }
+  }).catch(err => {
+    console.error('Error replaying InfluxDB spool file:', err);
+  });
+
+  return spoolChain;
+};
+
+/**
+ * Send the next batch of queued lines, or spool or replay as the state of
+ * the database calls for
+ * @returns {Promise<void>}
+ */
+const flushQueue = async () => {
+  // Still backing off after a failure
+  if (Date.now() < nextAttemptAt) {
+    // Keep memory bounded while the database is down
+    if (consecutiveFailures >= SPOOL_AFTER_FAILURES) {
+      const lines = queue;
+      queue = [];
+      await spoolLines(lines);
+    }
+    return;
+  }
+
+  // Nothing new to send; the spool replay doubles as the recovery probe
+  if (queue.length === 0) {
+    if (getSpoolSize() > 0) {
+      await replaySpool();
+    }
+    return;
+  }
+
+  const batch = queue.splice(0, BATCH_SIZE);
+
+  try {
+    await sendLines(batch);
+
+    stats.written += batch.length;
+    recordSuccess();
+
+    if (getSpoolSize() > 0) {
+      replaySpool();
+    }
+  } catch (err) {
+    if (isRejected(err)) {
+      rejectLines(batch, err);
+      return;
+    }
+
+    recordFailure(err);
+
+    if (consecutiveFailures >= SPOOL_AFTER_FAILURES) {
+      console.error(`InfluxDB unavailable (${err.message}), spooling ${batch.length} point(s) to disk`);
+      await spoolLines(batch);
+    } else {
+      // Retry the same batch first once the backoff has passed
+      queue = batch.concat(queue);
+    }
+  }
+
+  // Keep going if a full batch is already waiting
+  if (queue.length >= BATCH_SIZE && Date.now() >= nextAttemptAt) {
+    setImmediate(flush);
+  }
+};
+
+/**
+ * Flush queued lines to InfluxDB. A call while a flush is running waits for
+ * that one instead of starting another
+ * @returns {Promise<void>}
+ */
+const flush = () => {
+  if (!pendingFlush) {
+    pendingFlush = flushQueue().finally(() => {
+      pendingFlush = null;
+    });
+  }
+  return pendingFlush;
+};
+
+/**
+ * Start the periodic flush timer if it is not running yet
+ */
+const ensureFlushTimer = () => {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(flush, FLUSH_INTERVAL);
+  // Don't keep the process alive just to flush
+  flushTimer.unref();
+};
+
+/**
+ * Queue a data point for writing to InfluxDB. Returns immediately; the point
+ * is written by the background pipeline.
+ * @param {String} measurement - Measurement name
+ * @param {Object} tags - Tags for the data point
+ * @param {Object} fields - Fields for the data point
+ * @param {String|Date} timestamp - Optional time of the data point (defaults to now)
+ * @returns {Promise<Boolean>} - True once the point has been queued
+ */
+const writePoint = async (measurement, tags = {}, fields = {}, timestamp) => {
+  const point = new Point(measurement);
+
+  // Stamp the point now so queueing delays don't shift it in time
+  point.timestamp(timestamp ? new Date(timestamp) : new Date());
+
+  // Add tags
+  Object.entries(tags).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      point.tag(key, String(value));
+    }
+  });
+
+  // Add fields
+  Object.entries(fields).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      point.floatField(key, value);
+    } else if (typeof value === 'boolean') {
+      point.booleanField(key, value);
+    } else {
+      point.stringField(key, String(value));
+    }
+  });
+
+  const line = point.toLineProtocol(writeApi);
+  if (!line) return false;
+
+  queue.push(line);
+
+  // Drop the oldest points rather than growing without bound
+  if (queue.length > MAX_QUEUE_SIZE) {
+    const overflow = queue.length - MAX_QUEUE_SIZE;
+    queue.splice(0, overflow);
+    stats.dropped += overflow;
+  }
+
+  ensureFlushTimer();
+  if (queue.length >= BATCH_SIZE && !pendingFlush) {
+    setImmediate(flush);
+  }
+
+  return true;
+};
+
+/**
+ * Get write pipeline statistics
+ * @returns {Object} - Queue depth, spool size and counters
+ */
+const getWriterStats = () => ({
+  queueDepth: queue.length,
+  spoolBytes: getSpoolSize(),
+  databaseAvailable: consecutiveFailures < SPOOL_AFTER_FAILURES,
+  consecutiveFailures,
+  ...stats
+});
+
+/**
+ * Stop the flush timer, let a write already under way finish, and move
+ * anything still queued to the spool file so it survives a restart. A batch
+ * whose write fails goes back in the queue or to the spool, so it isn't lost
+ * @returns {Promise<void>}
+ */
+const shutdown = async () => {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+
+  if (pendingFlush) {
+    await pendingFlush;
+  }
+  await spoolChain;
+
+  if (queue.length > 0) {
+    try {
+      fs.mkdirSync(path.dirname(SPOOL_FILE), { recursive: true });
+      fs.appendFileSync(SPOOL_FILE, queue.join('\n') + '\n');
+      stats.spooled += queue.length;
+      queue = [];
+    } catch (err) {
+      console.error('Error spooling InfluxDB queue on shutdown:', err);
+    }
+  }
+};
+
+module.exports = {
+  writePoint,
+  flush,
+  getWriterStats,
+  shutdown
+};
@@ -0,0 +1,250 @@
+/**
+ * Sensor readings pipeline shared by the simulator and real devices.
+ *
+ * Readings are cached as the asset's latest readings (which also writes them
+ * to InfluxDB), checked against the safety thresholds and alert rules, and
+ * broadcast to clients. Devices push readings through POST /api/ingest; they
+ * may arrive late or out of order. Every reading is checked against the
+ * thresholds, rules and baselines in timestamp order, but only the newest one
+ * for each sensor becomes its latest reading and is broadcast. Older ones are
+ * written to InfluxDB to fill in the history.
+ */
+const sensorController = require('../controllers/sensorController');
+const safetyThresholdService = require('./safetyThresholdService');
+const safetyController = require('../controllers/safetyController');
+const anomalyService = require('./anomalyService');
+const { getAsset } = require('./assetService');
+const { getSensorType } = require('./sensorTypeService');
+
+// Most readings accepted in one request
+const MAX_BATCH_SIZE = 500;
+
+// How far ahead of the server clock a device's timestamp may be (ms)
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Oldest reading accepted, to keep a misconfigured clock from writing years of bogus history (ms)
+const MAX_READING_AGE = (parseFloat(process.env.INGEST_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+// The simulator leaves an asset alone while a device has sent readings for it within this time (ms)
+const DEVICE_DATA_TIMEOUT = 60 * 1000;
+
+// When each asset last received a reading from a device
+const lastDeviceData = {};
+
+/**
+ * Run readings through the live pipeline and broadcast them
+ * @param {Object} socketService - Socket.IO service
+ * @param {Object} readingsByAsset - Complete current readings, keyed by asset id then sensor type
+ * @param {Object} changes - Readings to check against thresholds, rules and
+ *   baselines, keyed by asset id: a list of readings objects (keyed by sensor
+ *   type), checked oldest first. Defaults to each asset's current readings
+ */
+const publishReadings = async (socketService, readingsByAsset, changes = null) => {
+  const openedAlerts = [];
+  const updatedAlerts = [];
+  const clearedAlerts = [];
+
+  for (const [assetId, readings] of Object.entries(readingsByAsset)) {
+    // Update controller with latest readings for API access
+    sensorController.updateLatestReadings(assetId, readings);
+
+    const anomalies = [];
+    let history = sensorController.getAssetHistory(assetId);
+
+    for (const checked of changes ? changes[assetId] || [] : [readings]) {
+      // Check for safety alert episodes, with the recent history for the asset's alert rules
+      const { opened, updated, closed } = await safetyThresholdService.checkReadings(checked, assetId, history);
+      openedAlerts.push(...opened);
+      updatedAlerts.push(...updated);
+      clearedAlerts.push(...closed);
+
+      // Readings that are unusual for this sensor, whatever the thresholds say.
+      // Each live reading carries the band it was judged against so charts can draw it
+      const anomalyCheck = anomalyService.checkReadings(checked, assetId);
+      Object.entries(anomalyCheck.bands).forEach(([sensorType, band]) => {
+        if (band && readings[sensorType] === checked[sensorType]) {
+          readings[sensorType].baseline = { mean: band.mean, lower: band.lower, upper: band.upper };
+        }
+      });
+      anomalies.push(...anomalyCheck.opened, ...anomalyCheck.closed);
+
+      // Later readings of the batch see this one in their rule windows
+      history = [checked, ...history];
+    }
+
+    // Anomaly events that opened or ended go out with the readings that caused them
+    socketService.emitSensorReadings(assetId, readings, anomalies);
+  }
+
+  // Store new alerts and emit them with their ids
+  if (openedAlerts.length > 0) {
+    const storedAlerts = safetyController.processAlerts(openedAlerts);
+    socketService.emitMultipleSafetyAlerts(storedAlerts);
+  }
+
+  // Keep ongoing alerts up to date instead of raising duplicates. A batch can
+  // move an episode on more than once, so only its last state goes out
+  const clearedIds = new Set(clearedAlerts.map(alert => alert.id));
+  const latestUpdates = [...new Map(updatedAlerts.map(alert => [alert.id, alert])).values()]
+    .filter(alert => !clearedIds.has(alert.id));
+  if (latestUpdates.length > 0) {
+    socketService.emitSafetyAlertUpdates(safetyController.processAlertUpdates(latestUpdates));
+  }
+
+  if (clearedAlerts.length > 0) {
+    socketService.emitClearedSafetyAlerts(safetyController.processClearedAlerts(clearedAlerts));
+  }
+};
+
+/**
+ * Check a reading sent by a device and normalize it
+ * @param {Object} input - { assetId, sensorType, value, unit, timestamp }
+ * @param {Object} device - The sending device
+ * @param {Number} now - Current time (ms)
+ * @returns {Object} - { reading } with assetId, sensorType, value, unit and
+ *   an ISO timestamp, or { error }
+ */
+const validateReading = (input, device, now) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Reading must be an object' };
+  }
+
+  // A device bound to a single asset doesn't have to repeat it
+  const assetId = input.assetId || (device.assetIds.length === 1 ? device.assetIds[0] : undefined);
+  if (!assetId) {
+    return { error: 'assetId is required' };
+  }
+  if (!getAsset(assetId)) {
+    return { error: `Asset not found: ${assetId}` };
+  }
+  if (device.assetIds.length > 0 && !device.assetIds.includes(assetId)) {
+    return { error: `Device may not send readings for asset ${assetId}` };
+  }
+
+  const sensorType = typeof input.sensorType === 'string' ? input.sensorType.toUpperCase() : null;
+  const config = getSensorType(sensorType);
+  if (!config) {
+    return { error: `Invalid sensor type: ${input.sensorType}` };
+  }
+
+  if (typeof input.value !== 'number' || !Number.isFinite(input.value)) {
+    return { error: 'value must be a number' };
+  }
+
+  if (input.unit !== undefined && input.unit !== config.unit) {
+    return { error: `${sensorType} readings must be in ${config.unit}` };
+  }
+
+  let time = now;
+  if (input.timestamp !== undefined) {
+    const isNumber = typeof input.timestamp === 'number';
+    time = isNumber ? input.timestamp : Date.parse(input.timestamp);
+    if ((!isNumber && typeof input.timestamp !== 'string') || !Number.isFinite(time)) {
+      return { error: 'timestamp must be an ISO date or milliseconds since the epoch' };
+    }
+    if (time > now + MAX_CLOCK_SKEW) {
+      return { error: 'timestamp is in the future' };
+    }
+    if (time < now - MAX_READING_AGE) {
+      return { error: 'timestamp is too old' };
+    }
+  }
+
+  return {
+    reading: {
+      assetId,
+      sensorType,
+      value: input.value,
+      unit: config.unit,
+      timestamp: new Date(time).toISOString()
+    }
+  };
+};
+
+/**
+ * Ingest readings sent by a device. Invalid readings are reported back
+ * rather than failing the whole batch
+ * @param {Object} socketService - Socket.IO service
+ * @param {Object} device - The sending device, or a bridge such as MQTT
+ *   (only its assetIds are used)
+ * @param {Array} inputs - Readings as sent
+ * @param {Object} options - { now }: the time timestamps are checked against,
+ *   for sources on a clock of their own such as a replay (defaults to the server clock)
+ * @returns {Promise<Object>} - { accepted, late, rejected } where rejected
+ *   lists { index, message } for each invalid reading
+ */
+const ingestReadings = async (socketService, device, inputs, { now = Date.now() } = {}) => {
+  const rejected = [];
+  const valid = [];
+
+  inputs.forEach((input, index) => {
+    const { reading, error } = validateReading(input, device, now);
+    if (error) {
+      rejected.push({ index, message: error });
+    } else {
+      valid.push(reading);
+    }
+  });
+
+  // Apply each sensor's readings oldest first, so the newest one ends up live
+  valid.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  const latest = {};
+  const checks = {};
+  const stored = [];
+  let late = 0;
+
+  valid.forEach(({ assetId, sensorType, value, unit, timestamp }) => {
+    const reading = { value, unit, timestamp };
+    const current = (latest[assetId] && latest[assetId][sensorType])
+      || (sensorController.getAssetReadings(assetId) || {})[sensorType];
+
+    // Every reading is checked, so a spike followed by a normal reading still raises its alert
+    checks[assetId] = [...(checks[assetId] || []), { [sensorType]: reading }];
+
+    if (current && Date.parse(current.timestamp) >= Date.parse(timestamp)) {
+      // Late or repeated: only fill in the history
+      late += 1;
+      stored.push([assetId, sensorType, reading]);
+      return;
+    }
+
+    // A reading superseded within the same batch is still history
+    if (latest[assetId] && latest[assetId][sensorType]) {
+      stored.push([assetId, sensorType, latest[assetId][sensorType]]);
+    }
+    latest[assetId] = { ...latest[assetId], [sensorType]: reading };
+  });
+
+  stored.forEach(([assetId, sensorType, reading]) => {
+    sensorController.persistReadings(assetId, { [sensorType]: reading });
+  });
+
+  // Only the newest reading of each sensor becomes live and is broadcast
+  const readingsByAsset = {};
+  Object.keys(checks).forEach(assetId => {
+    readingsByAsset[assetId] = { ...sensorController.getAssetReadings(assetId), ...latest[assetId] };
+    lastDeviceData[assetId] = Date.now();
+  });
+
+  if (Object.keys(readingsByAsset).length > 0) {
+    await publishReadings(socketService, readingsByAsset, checks);
+  }
+
+  return { accepted: valid.length, late, rejected };
+};
+
+/**
+ * Check whether a device has recently sent readings for an asset
+ * @param {String} assetId - The asset
+ * @returns {Boolean} - True if a device is feeding the asset
+ */
+const isReceivingDeviceData = (assetId) =>
+  lastDeviceData[assetId] !== undefined && Date.now() - lastDeviceData[assetId] < DEVICE_DATA_TIMEOUT;
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  publishReadings,
+  ingestReadings,
+  isReceivingDeviceData
+};
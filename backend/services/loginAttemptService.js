@@ -0,0 +1,235 @@
+/**
+ * Tracks failed sign-ins per account (email) and per IP address.
+ * After a few failures every further attempt has to wait a little longer,
+ * doubling each time, and once the limit is reached the account or address
+ * is locked out for a while. State is kept in memory, so it is per server
+ * instance and starts empty after a restart.
+ *
+ * An attempt is counted as a failure as soon as it is let through, before
+ * the password is checked, and taken back if it succeeds. Otherwise a burst
+ * of parallel attempts would all pass the check before any of them failed.
+ */
+
+// Failed attempts allowed for one account before it is locked
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+
+// Failed attempts allowed from one IP address, across all accounts
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+
+// How long a lockout lasts, and how long failures are remembered (seconds)
+const LOCKOUT_DURATION = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+
+// Failures allowed without any wait, and the longest wait between attempts (seconds)
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY = 30;
+
+// How often forgotten failures are cleared out (ms)
+const PRUNE_INTERVAL = 60 * 1000;
+
+// Key -> { failures, lastFailureAt, lockedUntil }
+const accounts = new Map();
+const addresses = new Map();
+
+/**
+ * Normalize an email so differently cased or padded spellings match the same
+ * account, both here and when looking the user up
+ * @param {String} email - Email the user signed in with
+ * @returns {String} - Normalized email
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const accountKey = normalizeEmail;
+
+/**
+ * Get the state for a key, dropping it once it has been forgotten
+ * @param {Map} entries - accounts or addresses
+ * @param {String} key - Account or address key
+ * @param {Number} now - Current time (ms)
+ * @returns {Object|undefined} - State, if any
+ */
+const getEntry = (entries, key, now) => {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  const locked = entry.lockedUntil > now;
+  if (!locked && entry.lastFailureAt + LOCKOUT_DURATION * 1000 <= now) {
+    entries.delete(key);
+    return undefined;
+  }
+  return entry;
+};
+
+/**
+ * How long an account or address must wait before its next attempt
+ * @param {Object} entry - State from getEntry
+ * @param {Number} now - Current time (ms)
+ * @returns {Object} - { wait (ms), locked }
+ */
+const getWait = (entry, now) => {
+  if (!entry) return { wait: 0, locked: false };
+
+  if (entry.lockedUntil > now) {
+    return { wait: entry.lockedUntil - now, locked: true };
+  }
+
+  if (entry.failures > FREE_ATTEMPTS) {
+    const delay = Math.min(2 ** (entry.failures - FREE_ATTEMPTS - 1), MAX_DELAY) * 1000;
+    return { wait: Math.max(entry.lastFailureAt + delay - now, 0), locked: false };
+  }
+  return { wait: 0, locked: false };
+};
+
+/**
+ * Count an attempt that has been let through as a failure until it is settled
+ * @param {Map} entries - accounts or addresses
+ * @param {String} key - Account or address key
+ * @param {Number} now - Current time (ms)
+ */
+const addPending = (entries, key, now) => {
+  const entry = getEntry(entries, key, now) || { failures: 0, pending: 0, lastFailureAt: 0, lockedUntil: 0 };
+
+  entry.failures += 1;
+  entry.pending += 1;
+  entry.lastFailureAt = now;
+  entries.set(key, entry);
+};
+
+/**
+ * Settle a pending attempt of a key. A failure stays counted and locks the key
+ * once the limit is reached; a success is taken back out of the count
+ * @param {Map} entries - accounts or addresses
+ * @param {String} key - Account or address key
+ * @param {Number} limit - Failures allowed
+ * @param {Boolean} failed - Whether the attempt failed
+ * @param {Number} now - Current time (ms)
+ * @returns {Boolean} - True if this failure locked the key
+ */
+const settlePending = (entries, key, limit, failed, now) => {
+  const entry = getEntry(entries, key, now);
+  // The key may have been unlocked (and forgotten) while the attempt ran
+  if (!entry || entry.pending === 0) return false;
+
+  entry.pending -= 1;
+  if (!failed) {
+    entry.failures = Math.max(entry.failures - 1, 0);
+    return false;
+  }
+
+  if (entry.failures >= limit && !(entry.lockedUntil > now)) {
+    entry.failures = 0;
+    entry.lockedUntil = now + LOCKOUT_DURATION * 1000;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Check whether a sign-in may be attempted now and, if so, reserve it: it is
+ * counted as a failure right away, so attempts running at the same time wait
+ * for each other. Settle it with recordFailure, recordSuccess or releaseAttempt
+ * @param {String} email - Email being signed in to
+ * @param {String} ipAddress - Address of the client
+ * @returns {Object} - { allowed, retryAfter (seconds), locked }
+ */
+const reserveAttempt = (email, ipAddress) => {
+  const now = Date.now();
+  const account = getWait(getEntry(accounts, accountKey(email), now), now);
+  const address = getWait(getEntry(addresses, ipAddress, now), now);
+  const longest = account.wait >= address.wait ? account : address;
+
+  if (longest.wait === 0) {
+    addPending(accounts, accountKey(email), now);
+    addPending(addresses, ipAddress, now);
+  }
+
+  return {
+    allowed: longest.wait === 0,
+    retryAfter: Math.ceil(longest.wait / 1000),
+    locked: longest.locked
+  };
+};
+
+/**
+ * Settle a reserved sign-in as failed
+ * @param {String} email - Email being signed in to
+ * @param {String} ipAddress - Address of the client
+ * @returns {Object} - { accountLocked, addressLocked }, true for whichever this failure locked
+ */
+const recordFailure = (email, ipAddress) => {
+  const now = Date.now();
+  return {
+    accountLocked: settlePending(accounts, accountKey(email), MAX_ACCOUNT_ATTEMPTS, true, now),
+    addressLocked: settlePending(addresses, ipAddress, MAX_IP_ATTEMPTS, true, now)
+  };
+};
+
+/**
+ * Settle a reserved sign-in as successful and forget the account's failures.
+ * The address keeps its other failures, so one good password doesn't reset
+ * guessing at others
+ * @param {String} email - Email that was signed in to
+ * @param {String} ipAddress - Address of the client
+ */
+const recordSuccess = (email, ipAddress) => {
+  settlePending(addresses, ipAddress, MAX_IP_ATTEMPTS, false, Date.now());
+  accounts.delete(accountKey(email));
+};
+
+/**
+ * Release a reserved sign-in that broke off before the password was checked,
+ * e.g. because the database was unreachable, without counting it either way
+ * @param {String} email - Email of the sign-in attempt
+ * @param {String} ipAddress - Address of the client
+ */
+const releaseAttempt = (email, ipAddress) => {
+  const now = Date.now();
+  settlePending(accounts, accountKey(email), MAX_ACCOUNT_ATTEMPTS, false, now);
+  settlePending(addresses, ipAddress, MAX_IP_ATTEMPTS, false, now);
+};
+
+/**
+ * When an account's lockout ends
+ * @param {String} email - The account's email
+ * @returns {String|null} - ISO timestamp, or null if the account isn't locked
+ */
+const getLockedUntil = (email) => {
+  const now = Date.now();
+  const entry = getEntry(accounts, accountKey(email), now);
+  return entry && entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null;
+};
+
+/**
+ * Lift an account's lockout and forget its failures
+ * @param {String} email - The account's email
+ * @returns {Boolean} - True if the account was locked
+ */
+const unlockAccount = (email) => {
+  const locked = getLockedUntil(email) !== null;
+  accounts.delete(accountKey(email));
+  return locked;
+};
+
+/**
+ * Drop every account and address whose failures have been forgotten
+ */
+const prune = () => {
+  const now = Date.now();
+  [accounts, addresses].forEach(entries => {
+    Array.from(entries.keys()).forEach(key => getEntry(entries, key, now));
+  });
+};
+
+setInterval(prune, PRUNE_INTERVAL).unref();
+
+module.exports = {
+  MAX_ACCOUNT_ATTEMPTS,
+  MAX_IP_ATTEMPTS,
+  LOCKOUT_DURATION,
+  normalizeEmail,
+  reserveAttempt,
+  recordFailure,
+  recordSuccess,
+  releaseAttempt,
+  getLockedUntil,
+  unlockAccount
+};
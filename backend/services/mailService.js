@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing email. The transport is picked with MAIL_TRANSPORT:
+ *  - file (default): each message is written as an .eml file to MAIL_DIR,
+ *    so flows can be tested without a mail server
+ *  - smtp: sent through SMTP_HOST/SMTP_PORT, which can be a local catcher
+ *    such as MailHog during testing
+ * Any object with a nodemailer-style sendMail(message) can be plugged in
+ * with setTransport.
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Smart Maintenance <no-reply@smart-maintenance.local>';
+
+const MAIL_DIR = process.env.MAIL_DIR || path.resolve(__dirname, '..', 'data', 'mail');
+
+let transport = null;
+
+/**
+ * Transport that renders messages with nodemailer and saves them to MAIL_DIR
+ * @returns {Object} - Transport with sendMail(message)
+ */
+const createFileTransport = () => {
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (message) => {
+      const info = await renderer.sendMail(message);
+      const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(MAIL_DIR, `${Date.now()}-${recipient}.eml`);
+
+      await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+      await fs.promises.writeFile(file, info.message);
+      console.log(`Mail to ${message.to} saved to ${file}`);
+      return { ...info, file };
+    }
+  };
+};
+
+/**
+ * Transport that sends messages through an SMTP server
+ * @returns {Object} - nodemailer transport
+ */
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp');
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} - Transport with sendMail(message)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'file';
+
+    if (name === 'smtp') {
+      transport = createSmtpTransport();
+    } else if (name === 'file') {
+      transport = createFileTransport();
+    } else {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+  }
+  return transport;
+};
+
+/**
+ * Replace the mail transport, e.g. with a provider's client or a test double
+ * @param {Object} customTransport - Object with sendMail(message)
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = async ({ to, subject, text }) =>
+  getTransport().sendMail({ from: MAIL_FROM, to, subject, text });
+
+/**
+ * Send the link a new user follows to verify their email address
+ * @param {Object} user - User row
+ * @param {String} link - Verification link
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendVerificationEmail = (user, link) => sendMail({
+  to: user.email,
+  subject: 'Verify your Smart Maintenance email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    link,
+    '',
+    'If you did not create an account, you can ignore this email.'
+  ].join('\n')
+});
+
+/**
+ * Send a password reset token
+ * @param {Object} user - User row
+ * @param {String} token - Reset token
+ * @param {Number} validMinutes - How long the token can be used
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendPasswordResetEmail = (user, token, validMinutes) => sendMail({
+  to: user.email,
+  subject: 'Reset your Smart Maintenance password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `Use this code to choose a new password. It can be used once within the next ${validMinutes} minutes:`,
+    token,
+    '',
+    'If you did not ask to reset your password, you can ignore this email.'
+  ].join('\n')
+});
+
+module.exports = {
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  setTransport
+};
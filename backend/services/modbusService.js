@@ -0,0 +1,296 @@
+/**
+ * Modbus TCP polling driver for sensors behind PLCs.
+ *
+ * Each configured asset names the PLC to poll (host, port, unit id) and a
+ * register map saying which holding or input registers hold which sensor,
+ * how to decode them and how to scale the raw value. Readings go through
+ * the ingestion pipeline like the simulator's, and the health of each PLC
+ * link is broadcast to clients as it changes.
+ */
+const fs = require('fs');
+const path = require('path');
+const ModbusRTU = require('modbus-serial');
+const ingestionService = require('./ingestionService');
+const { getSensorType } = require('./sensorTypeService');
+
+// Registers each data type occupies
+const DATA_TYPE_SIZES = {
+  uint16: 1,
+  int16: 1,
+  uint32: 2,
+  int32: 2,
+  float32: 2
+};
+
+const REGISTER_TABLES = ['holding', 'input'];
+
+// Defaults for settings an asset doesn't specify
+const DEFAULT_PORT = 502;
+const DEFAULT_UNIT_ID = 1;
+const DEFAULT_POLL_INTERVAL = 5000;
+const DEFAULT_TIMEOUT = 2000;
+
+// Shortest poll interval accepted, and the longest wait between reconnection attempts (ms)
+const MIN_POLL_INTERVAL = 100;
+const MAX_RETRY_DELAY = 30000;
+
+// Pollers currently running
+let pollers = [];
+
+/**
+ * Check and complete the register map entry for one sensor
+ * @param {Object} register - Entry from the config file
+ * @param {String} where - Where the entry is, for error messages
+ * @returns {Object} - Register with defaults filled in
+ */
+const normalizeRegister = (register, where) => {
+  const sensorType = String(register.sensorType || '').toUpperCase();
+  const config = getSensorType(sensorType);
+  if (!config) {
+    throw new Error(`${where}: invalid sensorType ${register.sensorType}`);
+  }
+
+  const { address, table = 'holding', dataType = 'uint16', scale = 1, offset = 0, swapWords = false } = register;
+  if (!Number.isInteger(address) || address < 0 || address > 65535) {
+    throw new Error(`${where}: address must be a register number from 0 to 65535`);
+  }
+  if (!REGISTER_TABLES.includes(table)) {
+    throw new Error(`${where}: table must be one of ${REGISTER_TABLES.join(', ')}`);
+  }
+  if (!DATA_TYPE_SIZES[dataType]) {
+    throw new Error(`${where}: dataType must be one of ${Object.keys(DATA_TYPE_SIZES).join(', ')}`);
+  }
+  if (!Number.isFinite(scale) || !Number.isFinite(offset)) {
+    throw new Error(`${where}: scale and offset must be numbers`);
+  }
+
+  // Readings are stored in each sensor type's unit; scale and offset convert to it
+  const unit = register.unit === undefined ? config.unit : register.unit;
+  if (unit !== config.unit) {
+    throw new Error(`${where}: ${sensorType} readings must be in ${config.unit}; use scale and offset to convert`);
+  }
+
+  return { sensorType, address, table, dataType, scale, offset, swapWords: Boolean(swapWords), unit };
+};
+
+/**
+ * Check a Modbus configuration and fill in defaults
+ * @param {Object} config - { pollInterval, timeout, assets: [{ assetId, host, port, unitId, pollInterval, timeout, registers }] }
+ * @returns {Array} - Asset configurations
+ */
+const normalizeConfig = (config) => {
+  if (!config || !Array.isArray(config.assets)) {
+    throw new Error('Modbus config must have an assets array');
+  }
+
+  return config.assets.map((asset, index) => {
+    const where = `assets[${index}]`;
+
+    if (!asset.assetId || !asset.host) {
+      throw new Error(`${where}: assetId and host are required`);
+    }
+    if (!Array.isArray(asset.registers) || asset.registers.length === 0) {
+      throw new Error(`${where}: at least one register is required`);
+    }
+
+    const pollInterval = asset.pollInterval || config.pollInterval || DEFAULT_POLL_INTERVAL;
+    if (!Number.isFinite(pollInterval) || pollInterval < MIN_POLL_INTERVAL) {
+      throw new Error(`${where}: pollInterval must be at least ${MIN_POLL_INTERVAL} ms`);
+    }
+
+    return {
+      assetId: asset.assetId,
+      host: asset.host,
+      port: asset.port || DEFAULT_PORT,
+      unitId: asset.unitId === undefined ? DEFAULT_UNIT_ID : asset.unitId,
+      pollInterval,
+      timeout: asset.timeout || config.timeout || DEFAULT_TIMEOUT,
+      registers: asset.registers.map((register, i) => normalizeRegister(register, `${where}.registers[${i}]`))
+    };
+  });
+};
+
+/**
+ * Read and check a Modbus configuration file
+ * @param {String} file - Path to the JSON file
+ * @returns {Array} - Asset configurations
+ */
+const loadModbusConfig = (file) => {
+  const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  return normalizeConfig(config);
+};
+
+/**
+ * Decode a register value. Two-register values are big-endian, high word
+ * first unless swapWords is set
+ * @param {Buffer} buffer - Register contents as read
+ * @param {String} dataType - One of DATA_TYPE_SIZES
+ * @param {Boolean} swapWords - Whether the low word comes first
+ * @returns {Number} - Raw value
+ */
+const decodeRegister = (buffer, dataType, swapWords) => {
+  let data = buffer;
+  if (swapWords && DATA_TYPE_SIZES[dataType] === 2) {
+    data = Buffer.concat([buffer.subarray(2, 4), buffer.subarray(0, 2)]);
+  }
+
+  switch (dataType) {
+    case 'int16': return data.readInt16BE(0);
+    case 'uint32': return data.readUInt32BE(0);
+    case 'int32': return data.readInt32BE(0);
+    case 'float32': return data.readFloatBE(0);
+    default: return data.readUInt16BE(0);
+  }
+};
+
+/**
+ * Poll one asset's PLC on a schedule
+ * @param {Object} socketService - Socket.IO service
+ * @param {Object} asset - Asset configuration
+ * @returns {Object} - { stop, getStatus }
+ */
+const createPoller = (socketService, asset) => {
+  const client = new ModbusRTU();
+  const source = { id: `modbus:${asset.assetId}`, name: `Modbus ${asset.host}`, assetIds: [asset.assetId] };
+  const sensorTypes = asset.registers.map(register => register.sensorType);
+  const status = {
+    id: source.id,
+    type: 'modbus',
+    assetId: asset.assetId,
+    host: asset.host,
+    port: asset.port,
+    unitId: asset.unitId,
+    connected: false,
+    lastPollAt: null,
+    lastReadingAt: null,
+    lastError: null,
+    consecutiveFailures: 0
+  };
+  let timer = null;
+  let stopped = false;
+
+  // Tell clients when the link comes up, goes down or fails differently
+  const setHealth = (connected, error) => {
+    const lastError = error ? error.message : null;
+    const changed = connected !== status.connected || lastError !== status.lastError;
+
+    status.connected = connected;
+    status.lastError = lastError;
+    status.consecutiveFailures = connected ? 0 : status.consecutiveFailures + 1;
+
+    if (changed) {
+      socketService.emitDataSourceStatus({ ...status }, sensorTypes);
+    }
+  };
+
+  const readRegisters = async () => {
+    const readings = [];
+    const timestamp = new Date().toISOString();
+
+    for (const register of asset.registers) {
+      const length = DATA_TYPE_SIZES[register.dataType];
+      const result = register.table === 'input'
+        ? await client.readInputRegisters(register.address, length)
+        : await client.readHoldingRegisters(register.address, length);
+      const raw = decodeRegister(result.buffer, register.dataType, register.swapWords);
+
+      readings.push({
+        assetId: asset.assetId,
+        sensorType: register.sensorType,
+        value: parseFloat((raw * register.scale + register.offset).toFixed(2)),
+        unit: register.unit,
+        timestamp
+      });
+    }
+    return readings;
+  };
+
+  const poll = async () => {
+    status.lastPollAt = new Date().toISOString();
+
+    try {
+      if (!client.isOpen) {
+        await client.connectTCP(asset.host, { port: asset.port });
+        client.setID(asset.unitId);
+        client.setTimeout(asset.timeout);
+        console.log(`Modbus connected to ${asset.host}:${asset.port} for ${asset.assetId}`);
+      }
+
+      const readings = await readRegisters();
+      setHealth(true, null);
+
+      const { accepted, rejected } = await ingestionService.ingestReadings(socketService, source, readings);
+      if (accepted > 0) status.lastReadingAt = readings[0].timestamp;
+      rejected.forEach(({ index, message }) => {
+        console.warn(`Modbus reading of ${readings[index].sensorType} on ${asset.assetId} rejected: ${message}`);
+      });
+    } catch (err) {
+      if (status.connected || status.consecutiveFailures === 0) {
+        console.error(`Modbus polling of ${asset.host}:${asset.port} for ${asset.assetId} failed:`, err.message);
+      }
+      setHealth(false, err);
+
+      // Start with a fresh connection next time
+      if (client.isOpen) client.close(() => {});
+    }
+
+    if (!stopped) {
+      // Back off while the PLC is unreachable
+      const delay = status.connected
+        ? asset.pollInterval
+        : Math.min(asset.pollInterval * 2 ** (status.consecutiveFailures - 1), MAX_RETRY_DELAY);
+      timer = setTimeout(poll, delay);
+    }
+  };
+
+  poll();
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (client.isOpen) client.close(() => {});
+    },
+    getStatus: () => ({ ...status })
+  };
+};
+
+/**
+ * Start polling every configured asset's PLC
+ * @param {Object} socketService - Socket.IO service used to broadcast readings and link health
+ * @param {Array} assets - Asset configurations from loadModbusConfig
+ * @returns {Object} - { stop, getStatus }
+ */
+const startModbusPolling = (socketService, assets) => {
+  stopModbusPolling();
+  pollers = assets.map(asset => createPoller(socketService, asset));
+  console.log(`Polling ${pollers.length} asset(s) over Modbus TCP`);
+
+  return {
+    stop: stopModbusPolling,
+    getStatus: getModbusStatus
+  };
+};
+
+/**
+ * Stop all polling
+ */
+const stopModbusPolling = () => {
+  pollers.forEach(poller => poller.stop());
+  pollers = [];
+};
+
+/**
+ * Health of each polled PLC link
+ * @returns {Array} - Link statuses
+ */
+const getModbusStatus = () => pollers.map(poller => poller.getStatus());
+
+module.exports = {
+  loadModbusConfig,
+  normalizeConfig,
+  decodeRegister,
+  startModbusPolling,
+  stopModbusPolling,
+  getModbusStatus
+};
@@ -0,0 +1,187 @@
+/**
+ * MQTT bridge for field gateways.
+ *
+ * Subscribes to `<prefix>/<assetId>/<sensorType>` (prefix `plant` by
+ * default) and turns each message into a reading for the ingestion
+ * pipeline, the same one the simulator and POST /api/ingest use. A payload
+ * is either a plain number (`42.5`) or JSON: a number, or an object with
+ * `value` and optional `unit` and `timestamp`. Messages are collected and
+ * ingested in batches, so readings that arrive out of order are sorted out
+ * the same way as a device's batch.
+ */
+const mqtt = require('mqtt');
+const ingestionService = require('./ingestionService');
+
+// How often collected messages are ingested (ms)
+const DEFAULT_FLUSH_INTERVAL = 500;
+
+// Most messages held between flushes; later ones are dropped until the next flush
+const MAX_QUEUE_SIZE = 10000;
+
+// Readings from the bridge may be for any registered asset
+const BRIDGE_SOURCE = { id: 'mqtt', name: 'MQTT bridge', assetIds: [] };
+
+/**
+ * Work out the asset and sensor type a topic is for
+ * @param {String} topic - Topic the message was published on
+ * @param {String} prefix - Topic prefix the bridge subscribes under
+ * @returns {Object|null} - { assetId, sensorType }, or null if the topic doesn't match
+ */
+const parseTopic = (topic, prefix) => {
+  if (!topic.startsWith(`${prefix}/`)) return null;
+
+  const parts = topic.slice(prefix.length + 1).split('/');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+
+  return { assetId: parts[0], sensorType: parts[1] };
+};
+
+/**
+ * Parse a message payload into reading fields
+ * @param {Buffer|String} payload - Message payload
+ * @returns {Object|null} - { value, unit, timestamp }, or null if unreadable
+ */
+const parsePayload = (payload) => {
+  const text = payload.toString().trim();
+  if (!text) return null;
+
+  const number = Number(text);
+  if (Number.isFinite(number)) return { value: number };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+
+  const { value, unit, timestamp } = parsed;
+  return { value, unit, timestamp };
+};
+
+/**
+ * Connect to an MQTT broker and feed the readings published there into the
+ * ingestion pipeline
+ * @param {Object} socketService - Socket.IO service used to broadcast readings
+ * @param {Object} options - { url, topicPrefix, username, password, clientId, qos, flushInterval }
+ * @returns {Object} - { stop, getStats }
+ */
+const startMqttBridge = (socketService, options = {}) => {
+  const {
+    url,
+    topicPrefix = 'plant',
+    username,
+    password,
+    clientId = `smart-maintenance-${process.pid}`,
+    qos = 1,
+    flushInterval = DEFAULT_FLUSH_INTERVAL
+  } = options;
+
+  if (!url) {
+    throw new Error('An MQTT broker URL is required');
+  }
+
+  const prefix = topicPrefix.replace(/\/+$/, '');
+  const subscription = `${prefix}/+/+`;
+  const stats = { connected: false, received: 0, accepted: 0, late: 0, rejected: 0, dropped: 0 };
+  let queue = [];
+  let flushing = null;
+
+  const client = mqtt.connect(url, { clientId, username, password, reconnectPeriod: 5000 });
+
+  client.on('connect', () => {
+    stats.connected = true;
+    console.log(`MQTT bridge connected to ${url}`);
+
+    client.subscribe(subscription, { qos }, (err) => {
+      if (err) {
+        console.error(`MQTT bridge could not subscribe to ${subscription}:`, err.message);
+      } else {
+        console.log(`MQTT bridge subscribed to ${subscription}`);
+      }
+    });
+  });
+
+  client.on('close', () => {
+    stats.connected = false;
+  });
+
+  client.on('error', (err) => {
+    console.error('MQTT bridge error:', err.message);
+  });
+
+  client.on('message', (topic, payload) => {
+    stats.received += 1;
+
+    const target = parseTopic(topic, prefix);
+    const fields = target && parsePayload(payload);
+
+    if (!fields) {
+      stats.rejected += 1;
+      console.warn(`MQTT bridge ignored message on ${topic}: unreadable topic or payload`);
+      return;
+    }
+
+    if (queue.length >= MAX_QUEUE_SIZE) {
+      stats.dropped += 1;
+      return;
+    }
+
+    queue.push({ topic, reading: { ...target, ...fields } });
+  });
+
+  /**
+   * Ingest the messages collected since the last flush. Flushes never
+   * overlap, so batches are applied in the order they arrived
+   * @returns {Promise<void>}
+   */
+  const flush = () => {
+    if (flushing || queue.length === 0) return flushing || Promise.resolve();
+
+    const batch = queue;
+    queue = [];
+
+    flushing = ingestionService.ingestReadings(socketService, BRIDGE_SOURCE, batch.map(item => item.reading))
+      .then(({ accepted, late, rejected }) => {
+        stats.accepted += accepted;
+        stats.late += late;
+        stats.rejected += rejected.length;
+
+        rejected.forEach(({ index, message }) => {
+          console.warn(`MQTT bridge rejected reading on ${batch[index].topic}: ${message}`);
+        });
+      })
+      .catch(err => {
+        console.error('Error ingesting MQTT readings:', err);
+      })
+      .finally(() => {
+        flushing = null;
+      });
+
+    return flushing;
+  };
+
+  const flushTimer = setInterval(flush, flushInterval);
+
+  return {
+    /**
+     * Ingest anything still collected and disconnect from the broker
+     * @returns {Promise<void>}
+     */
+    stop: async () => {
+      clearInterval(flushTimer);
+      await flushing;
+      await flush();
+      await client.endAsync();
+    },
+    getStats: () => ({ ...stats, queued: queue.length })
+  };
+};
+
+module.exports = {
+  startMqttBridge,
+  parseTopic,
+  parsePayload
+};
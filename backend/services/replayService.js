@@ -0,0 +1,266 @@
+/**
+ * Replay of recorded sensor datasets.
+ *
+ * A dataset is a CSV file with a header row naming the columns timestamp,
+ * assetId, sensorType, value and optionally unit, or a JSON array of
+ * readings with the same fields. Its readings are streamed through the
+ * ingestion pipeline in their original rhythm, at real speed or faster, so
+ * a known incident can be played back against the thresholds, alert rules
+ * and dashboard. Readings are stamped with the time they are played, so
+ * nothing is stored ahead of the wall clock; above 1x the gaps between them
+ * shrink by the speed, and hold times and rule windows span that much more of
+ * the recording. A looping replay keeps counting forward on each round.
+ */
+const fs = require('fs');
+const path = require('path');
+const ingestionService = require('./ingestionService');
+
+// Replayed readings may be for any registered asset
+const REPLAY_SOURCE = { id: 'replay', name: 'Dataset replay', assetIds: [] };
+
+const REQUIRED_COLUMNS = ['timestamp', 'assetId', 'sensorType', 'value'];
+
+// Dataset time between the end of one round of a looping replay and the start of the next (ms)
+const LOOP_GAP = 1000;
+
+/**
+ * Split a CSV file into rows of fields. Fields may be quoted to hold commas
+ * @param {String} text - File contents
+ * @returns {Array} - [{ line, fields }] for each non-empty line that isn't a # comment
+ */
+const parseCsvRows = (text) => text.split(/\r?\n/)
+  .map((content, index) => ({ line: index + 1, content: content.trim() }))
+  .filter(({ content }) => content && !content.startsWith('#'))
+  .map(({ line, content }) => ({
+    line,
+    fields: (content.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || [])
+      .map(field => field.replace(/,$/, '').trim())
+      .map(field => (field.startsWith('"') ? field.slice(1, -1).replace(/""/g, '"') : field))
+      .slice(0, -1)
+  }));
+
+/**
+ * Read the readings of a CSV dataset
+ * @param {String} text - File contents
+ * @returns {Array} - [{ line, input }] with each row as an object keyed by column
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const missing = REQUIRED_COLUMNS.filter(column => !header.fields.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return rows.map(({ line, fields }) => {
+    const input = {};
+    header.fields.forEach((column, i) => {
+      input[column] = fields[i];
+    });
+    return { line, input };
+  });
+};
+
+/**
+ * Check a recorded reading and normalize it. Whether the asset exists and
+ * the unit is right is left to the ingestion pipeline at replay time
+ * @param {Object} input - { timestamp, assetId, sensorType, value, unit }
+ * @returns {Object} - { reading } with the time in ms and a numeric value, or { error }
+ */
+const parseRecordedReading = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'reading must be an object' };
+  }
+
+  const rawTime = input.timestamp;
+  const time = typeof rawTime === 'number' || /^\d+$/.test(String(rawTime))
+    ? Number(rawTime)
+    : Date.parse(rawTime);
+  if (!Number.isFinite(time)) {
+    return { error: 'timestamp must be an ISO date or milliseconds since the epoch' };
+  }
+
+  const value = typeof input.value === 'string' && input.value.trim() !== '' ? Number(input.value) : input.value;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { error: 'value must be a number' };
+  }
+
+  if (!input.assetId || !input.sensorType) {
+    return { error: 'assetId and sensorType are required' };
+  }
+
+  return {
+    reading: {
+      time,
+      assetId: String(input.assetId),
+      sensorType: String(input.sensorType).toUpperCase(),
+      value,
+      unit: input.unit || undefined
+    }
+  };
+};
+
+/**
+ * Load a recorded dataset
+ * @param {String} file - Path to a .csv or .json file
+ * @returns {Array} - Readings oldest first ({ time, assetId, sensorType, value, unit })
+ */
+const loadDataset = (file) => {
+  const text = fs.readFileSync(path.resolve(file), 'utf8');
+  let entries;
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    const inputs = Array.isArray(data) ? data : data && data.readings;
+    if (!Array.isArray(inputs)) {
+      throw new Error(`${file}: expected an array of readings or { readings: [...] }`);
+    }
+    entries = inputs.map((input, index) => ({ where: `readings[${index}]`, input }));
+  } else {
+    entries = parseCsv(text).map(({ line, input }) => ({ where: `line ${line}`, input }));
+  }
+
+  const readings = entries.map(({ where, input }) => {
+    const { reading, error } = parseRecordedReading(input);
+    if (error) {
+      throw new Error(`${file}, ${where}: ${error}`);
+    }
+    return reading;
+  });
+
+  if (readings.length === 0) {
+    throw new Error(`${file}: the dataset has no readings`);
+  }
+
+  // Keep the file's order for readings with the same timestamp
+  return readings
+    .map((reading, index) => ({ reading, index }))
+    .sort((a, b) => a.reading.time - b.reading.time || a.index - b.index)
+    .map(({ reading }) => reading);
+};
+
+/**
+ * Stream a dataset through the ingestion pipeline. Readings with the same
+ * timestamp are ingested together
+ * @param {Object} socketService - Socket.IO service used to broadcast readings and alerts
+ * @param {Array} readings - Readings from loadDataset
+ * @param {Object} options - { speed: how many times faster than recorded (1), loop: start over at the end (false) }
+ * @returns {Object} - { stop, getStats, done } where done resolves when a non-looping replay finishes
+ */
+const startReplay = (socketService, readings, { speed = 1, loop = false } = {}) => {
+  if (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0) {
+    throw new Error('Replay speed must be a positive number');
+  }
+  if (!Array.isArray(readings) || readings.length === 0) {
+    throw new Error('There are no readings to replay');
+  }
+
+  // Readings grouped by timestamp
+  const batches = [];
+  readings.forEach(reading => {
+    const last = batches[batches.length - 1];
+    if (last && last.time === reading.time) {
+      last.readings.push(reading);
+    } else {
+      batches.push({ time: reading.time, readings: [reading] });
+    }
+  });
+
+  const firstTime = batches[0].time;
+  const roundLength = batches[batches.length - 1].time - firstTime + LOOP_GAP;
+  const startedAt = Date.now();
+  const stats = {
+    speed,
+    loop,
+    readings: readings.length,
+    sent: 0,
+    accepted: 0,
+    late: 0,
+    rejected: 0,
+    round: 1,
+    position: null,
+    finished: false
+  };
+
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+  let finish;
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+
+  // Where a batch falls in the recording, counted from the start of the replay (ms)
+  const offsetOf = (batch) => (stats.round - 1) * roundLength + batch.time - firstTime;
+
+  // When a batch is played, which is also the time its readings are stamped with
+  const playTimeOf = (batch) => startedAt + offsetOf(batch) / speed;
+
+  const end = () => {
+    stats.finished = true;
+    clearTimeout(timer);
+    finish(stats);
+  };
+
+  const playNext = async () => {
+    const batch = batches[index];
+    const time = Math.round(playTimeOf(batch));
+    const inputs = batch.readings.map(({ assetId, sensorType, value, unit }) => ({
+      assetId,
+      sensorType,
+      value,
+      unit,
+      timestamp: new Date(time).toISOString()
+    }));
+
+    try {
+      const { accepted, late, rejected } = await ingestionService.ingestReadings(socketService, REPLAY_SOURCE, inputs, { now: time });
+      stats.accepted += accepted;
+      stats.late += late;
+      stats.rejected += rejected.length;
+      rejected.forEach(({ index: i, message }) => {
+        console.warn(`Replayed ${inputs[i].sensorType} reading for ${inputs[i].assetId} rejected: ${message}`);
+      });
+    } catch (err) {
+      console.error('Error replaying readings:', err);
+    }
+    stats.sent += inputs.length;
+    stats.position = new Date(batch.time).toISOString();
+
+    if (stopped) return;
+
+    index += 1;
+    if (index === batches.length) {
+      if (!loop) {
+        console.log(`Replay finished: ${stats.accepted} of ${stats.readings} reading(s) accepted`);
+        end();
+        return;
+      }
+      index = 0;
+      stats.round += 1;
+    }
+
+    // Schedule against the start of the replay so waits don't add up to drift
+    const due = playTimeOf(batches[index]);
+    timer = setTimeout(playNext, Math.max(0, due - Date.now()));
+  };
+
+  console.log(`Replaying ${readings.length} reading(s) spanning ${((roundLength - LOOP_GAP) / 1000).toFixed(0)}s at ${speed}x`);
+  timer = setTimeout(playNext, 0);
+
+  return {
+    stop: () => {
+      stopped = true;
+      end();
+    },
+    getStats: () => ({ ...stats }),
+    done
+  };
+};
+
+module.exports = {
+  loadDataset,
+  parseCsv,
+  startReplay
+};
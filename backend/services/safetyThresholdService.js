@@ -1,141 +1,839 @@
-const { writePoint } = require('../config/influxdb');
-const { SENSOR_TYPES } = require('./sensorSimulator');
-
-// Default threshold configuration - can be overridden by environment variables
-const DEFAULT_THRESHOLDS = {
-  VIBRATION: {
-    min: 0,
-    max: 10, // mm/s
-    unit: 'mm/s'
-  },
-  TEMPERATURE: {
-    min: 20,
-    max: 80, // °C
-    unit: '°C'
-  },
-  CURRENT: {
-    min: 0,
-    max: 40, // A
-    unit: 'A'
+const crypto = require('crypto');
+const { writePoint } = require('./influxWriter');
+const { getSensorType, getSensorTypes, validateBands } = require('./sensorTypeService');
+const { getAsset } = require('./assetService');
+const { RULE_TYPES, getActiveRules } = require('./alertRuleService');
+const { loadThresholdChanges, recordThresholdChange } = require('./thresholdHistoryService');
+
+// Each sensor type in the registry brings its default thresholds.
+// min/max are the critical limits and warningMin/warningMax the warning band
+// inside them. An alert stays active until the value has been back inside
+// clearMin..clearMax for holdTime seconds, so a value hovering around a limit
+// doesn't re-alert. Environment variables named <SENSOR_TYPE>_<suffix>, such as
+// VIBRATION_MAX_THRESHOLD, override the defaults.
+const ENV_OVERRIDES = {
+  min: 'MIN_THRESHOLD',
+  max: 'MAX_THRESHOLD',
+  warningMin: 'WARNING_MIN_THRESHOLD',
+  warningMax: 'WARNING_MAX_THRESHOLD',
+  clearMin: 'CLEAR_MIN_THRESHOLD',
+  clearMax: 'CLEAR_MAX_THRESHOLD',
+  holdTime: 'CLEAR_HOLD_SECONDS'
+};
+
+// Alert severities, from least to most severe
+const SEVERITY_LEVELS = ['normal', 'warning', 'critical'];
+
+// Fleet thresholds changed since start-up, keyed by sensor type; the other
+// sensor types use their defaults
+const safetyThresholds = {};
+
+// Per-asset threshold overrides, keyed by asset id and then sensor type
+const assetThresholds = {};
+
+// Active alert episodes, keyed by asset id and then sensor type
+// (or rule:<ruleId> for episodes raised by an alert rule)
+const activeEpisodes = {};
+
+// Fewest readings a history-based rule needs inside its window before it is evaluated
+const MIN_RULE_READINGS = 3;
+
+/**
+ * Get the default thresholds of a sensor type, with any environment overrides applied
+ * @param {Object} definition - Sensor type from the registry
+ * @returns {Object} - Thresholds
+ */
+const getDefaultThresholds = (definition) => {
+  const thresholds = { ...definition.thresholds };
+  
+  Object.entries(ENV_OVERRIDES).forEach(([limit, suffix]) => {
+    const envValue = process.env[`${definition.type}_${suffix}`];
+    if (envValue) {
+      thresholds[limit] = parseFloat(envValue);
+    }
+  });
+  
+  return thresholds;
+};
+
+/**
+ * Get the fleet thresholds of every registered sensor type
+ * @returns {Object} - Thresholds keyed by sensor type
+ */
+const getFleetThresholds = () => {
+  const fleet = {};
+  
+  getSensorTypes().forEach(definition => {
+    fleet[definition.type] = {
+      ...(safetyThresholds[definition.type] || getDefaultThresholds(definition)),
+      // The unit belongs to the sensor type, whatever the thresholds were stored with
+      unit: definition.unit
+    };
+  });
+  
+  return fleet;
+};
+
+/**
+ * Resolve the effective thresholds for an asset (fleet defaults plus its overrides)
+ * @param {String} assetId - The asset to resolve thresholds for
+ * @returns {Object} - Thresholds keyed by sensor type
+ */
+const resolveThresholds = (assetId) => {
+  const overrides = assetThresholds[assetId] || {};
+  const resolved = getFleetThresholds();
+  
+  Object.keys(resolved).forEach(sensorType => {
+    resolved[sensorType] = {
+      ...resolved[sensorType],
+      ...overrides[sensorType]
+    };
+  });
+  
+  return resolved;
+};
+
+/**
+ * Get the values a threshold change applies to: the fleet default of a sensor
+ * type, or an asset's overrides of it
+ * @param {String} sensorType - The sensor type
+ * @param {String} assetId - Optional asset
+ * @returns {Object} - Current values of that level
+ */
+const getThresholdLevel = (sensorType, assetId) => (assetId
+  ? { ...(assetThresholds[assetId] || {})[sensorType] }
+  : { ...getFleetThresholds()[sensorType] });
+
+/**
+ * Replace the values of a threshold level
+ * @param {String} sensorType - The sensor type
+ * @param {String} assetId - Optional asset
+ * @param {Object} values - New values of that level
+ */
+const setThresholdLevel = (sensorType, assetId, values) => {
+  if (assetId) {
+    assetThresholds[assetId] = assetThresholds[assetId] || {};
+    assetThresholds[assetId][sensorType] = { ...values };
+  } else {
+    safetyThresholds[sensorType] = { ...values };
   }
 };
 
-// Store the current thresholds (initialized with defaults)
-let safetyThresholds = { ...DEFAULT_THRESHOLDS };
+/**
+ * Check new values for a threshold level before they are applied
+ * @param {String} sensorType - The sensor type
+ * @param {String} assetId - Optional asset
+ * @param {Object} values - New values of that level
+ * @returns {String|null} - Error message, or null if the values are valid
+ */
+const validateThresholdChange = (sensorType, assetId, values) => {
+  if (!getSensorType(sensorType)) {
+    return `Invalid sensor type: ${sensorType}`;
+  }
+  
+  if (assetId && !getAsset(assetId)) {
+    return `Invalid asset: ${assetId}`;
+  }
+  
+  // An asset override is checked together with the fleet values it leaves in place
+  return validateBands(assetId
+    ? { ...getFleetThresholds()[sensorType], ...values }
+    : values);
+};
 
 /**
- * Update safety thresholds for a specific sensor type
+ * Check an update to some of a threshold's values
  * @param {String} sensorType - The sensor type to update
  * @param {Object} thresholds - New threshold values
+ * @param {String} assetId - Optional asset to override the fleet default for
+ * @returns {String|null} - Error message, or null if the update is valid
  */
-const updateThreshold = (sensorType, thresholds) => {
-  if (!safetyThresholds[sensorType]) {
-    throw new Error(`Invalid sensor type: ${sensorType}`);
+const validateThresholdUpdate = (sensorType, thresholds, assetId) =>
+  validateThresholdChange(sensorType, assetId, {
+    ...getThresholdLevel(sensorType, assetId),
+    ...thresholds
+  });
+
+/**
+ * Validate, record and apply new values for a threshold level
+ * @param {String} sensorType - The sensor type
+ * @param {String} assetId - Optional asset
+ * @param {Object} values - New values of that level
+ * @param {Object} audit - ({ userId, reason, rollbackOf })
+ * @returns {Promise<Object>} - The effective thresholds after the change
+ */
+const applyThresholdChange = async (sensorType, assetId, values, { userId, reason, rollbackOf } = {}) => {
+  const validationError = validateThresholdChange(sensorType, assetId, values);
+  if (validationError) {
+    throw new Error(validationError);
   }
   
-  safetyThresholds[sensorType] = {
-    ...safetyThresholds[sensorType],
+  // Only apply the change once it is on record, so a restart can't lose it
+  const change = await recordThresholdChange({
+    sensorType,
+    assetId,
+    oldValues: getThresholdLevel(sensorType, assetId),
+    newValues: values,
+    userId,
+    reason,
+    rollbackOf
+  });
+  
+  setThresholdLevel(sensorType, assetId, values);
+  
+  const updated = getThresholds(sensorType, assetId);
+  console.log(`Updated safety thresholds for ${sensorType}${assetId ? ` on asset ${assetId}` : ''} (change ${change.id}):`, updated);
+  return updated;
+};
+
+/**
+ * Update safety thresholds for a specific sensor type
+ * @param {String} sensorType - The sensor type to update
+ * @param {Object} thresholds - New threshold values
+ * @param {String} assetId - Optional asset to override the fleet default for
+ * @param {Object} audit - Who made the change and why ({ userId, reason })
+ * @returns {Promise<Object>} - The effective thresholds after the change
+ */
+const updateThreshold = (sensorType, thresholds, assetId, audit = {}) =>
+  applyThresholdChange(sensorType, assetId, {
+    ...getThresholdLevel(sensorType, assetId),
     ...thresholds
-  };
+  }, audit);
+
+/**
+ * Roll a threshold back to the values set by an earlier change
+ * @param {Object} change - The recorded change to return to
+ * @param {Object} audit - Who made the rollback and why ({ userId, reason })
+ * @returns {Promise<Object>} - The effective thresholds after the rollback
+ */
+const rollbackThreshold = (change, { userId, reason } = {}) =>
+  applyThresholdChange(change.sensorType, change.assetId, change.newValues, {
+    userId,
+    reason: reason || `Rollback to change ${change.id}`,
+    rollbackOf: change.id
+  });
+
+/**
+ * Restore the thresholds recorded in the change history, on top of the
+ * defaults and environment overrides. Changes to sensor types that aren't
+ * registered (yet) are kept, and apply once the type is
+ * @returns {Promise<Number>} - Number of changes replayed
+ */
+const loadThresholds = async () => {
+  const changes = await loadThresholdChanges();
   
-  console.log(`Updated safety thresholds for ${sensorType}:`, safetyThresholds[sensorType]);
-  return safetyThresholds[sensorType];
+  changes.forEach(change => setThresholdLevel(change.sensorType, change.assetId, change.newValues));
+  
+  console.log(`Restored ${changes.length} threshold change(s) from store`);
+  return changes.length;
 };
 
 /**
  * Get current safety thresholds for all sensors or a specific sensor
  * @param {String} sensorType - Optional sensor type to get thresholds for
+ * @param {String} assetId - Optional asset to get the effective thresholds for
  * @returns {Object} - Current thresholds
  */
-const getThresholds = (sensorType) => {
+const getThresholds = (sensorType, assetId) => {
+  const thresholds = assetId ? resolveThresholds(assetId) : getFleetThresholds();
+
   if (sensorType) {
-    return safetyThresholds[sensorType] || null;
+    return thresholds[sensorType] || null;
   }
-  return safetyThresholds;
+  return thresholds;
+};
+
+/**
+ * Remove all threshold overrides for an asset
+ * @param {String} assetId - The asset whose overrides should be dropped
+ */
+const clearAssetThresholds = (assetId) => {
+  delete assetThresholds[assetId];
+};
+
+/**
+ * Forget the thresholds and active alert episodes of a sensor type that has
+ * been removed from the registry
+ * @param {String} sensorType - The removed sensor type
+ */
+const clearSensorTypeThresholds = (sensorType) => {
+  delete safetyThresholds[sensorType];
+  Object.values(assetThresholds).forEach(overrides => {
+    delete overrides[sensorType];
+  });
+  Object.values(activeEpisodes).forEach(episodes => {
+    delete episodes[sensorType];
+  });
+};
+
+/**
+ * Drop any active alert episodes for an asset
+ * @param {String} assetId - The asset whose episodes should be dropped
+ */
+const clearAssetEpisodes = (assetId) => {
+  delete activeEpisodes[assetId];
 };
 
 /**
  * Check if a sensor reading is within the safe range
  * @param {String} sensorType - The type of sensor
  * @param {Number} value - The sensor reading value
+ * @param {String} assetId - Optional asset the reading belongs to
  * @returns {Boolean} - True if the reading is safe, false otherwise
  */
-const isReadingSafe = (sensorType, value) => {
-  const threshold = safetyThresholds[sensorType];
+const isReadingSafe = (sensorType, value, assetId) => {
+  const threshold = getThresholds(sensorType, assetId);
   if (!threshold) return true; // No threshold defined means it's safe
   
   return value >= threshold.min && value <= threshold.max;
 };
 
 /**
- * Check sensor readings against safety thresholds and generate alerts if needed
+ * Get the warning band of a threshold, kept inside the critical limits
+ * @param {Object} threshold - Threshold for the sensor
+ * @returns {Object} - ({ warningMin, warningMax })
+ */
+const getWarningBand = (threshold) => ({
+  warningMin: Math.max(threshold.warningMin ?? threshold.min, threshold.min),
+  warningMax: Math.min(threshold.warningMax ?? threshold.max, threshold.max)
+});
+
+/**
+ * Classify a reading against a threshold
+ * @param {Object} threshold - Threshold for the sensor
+ * @param {Number} value - The sensor reading value
+ * @returns {Object} - ({ severity, direction, limit }); direction is 'low' or 'high'
+ *   and limit the level that was crossed, both null for normal readings
+ */
+const classifyReading = (threshold, value) => {
+  const { warningMin, warningMax } = getWarningBand(threshold);
+  
+  if (value > threshold.max) return { severity: 'critical', direction: 'high', limit: threshold.max };
+  if (value < threshold.min) return { severity: 'critical', direction: 'low', limit: threshold.min };
+  if (value > warningMax) return { severity: 'warning', direction: 'high', limit: warningMax };
+  if (value < warningMin) return { severity: 'warning', direction: 'low', limit: warningMin };
+  return { severity: 'normal', direction: null, limit: null };
+};
+
+/**
+ * Get the severity of a sensor reading
+ * @param {String} sensorType - The type of sensor
+ * @param {Number} value - The sensor reading value
+ * @param {String} assetId - Optional asset the reading belongs to
+ * @returns {String} - normal, warning or critical
+ */
+const getSeverity = (sensorType, value, assetId) => {
+  const threshold = getThresholds(sensorType, assetId);
+  if (!threshold) return 'normal';
+  
+  return classifyReading(threshold, value).severity;
+};
+
+/**
+ * Check if a reading is back inside the clear band of a threshold
+ * @param {Object} threshold - Threshold for the sensor
+ * @param {Number} value - The sensor reading value
+ * @returns {Boolean} - True if the value is far enough from the limits to clear an alert
+ */
+const isReadingClear = (threshold, value) => {
+  // The clear band can never be wider than the warning band
+  const { warningMin, warningMax } = getWarningBand(threshold);
+  const clearMin = Math.max(threshold.clearMin ?? warningMin, warningMin);
+  const clearMax = Math.min(threshold.clearMax ?? warningMax, warningMax);
+  
+  return value >= clearMin && value <= clearMax;
+};
+
+/**
+ * How far a reading lies outside the warning band of a threshold
+ * @param {Object} threshold - Threshold for the sensor
+ * @param {Number} value - The sensor reading value
+ * @returns {Number} - Distance beyond the band, 0 if the value is within it
+ */
+const getExcess = (threshold, value) => {
+  const { warningMin, warningMax } = getWarningBand(threshold);
+  
+  if (value > warningMax) return value - warningMax;
+  if (value < warningMin) return warningMin - value;
+  return 0;
+};
+
+/**
+ * Build the message for an alert
+ * @param {Object} alert - Alert with type, assetName, severity, direction, value, unit and threshold
+ * @returns {String} - Alert message
+ */
+const buildAlertMessage = ({ type, assetName, severity, direction, value, unit, threshold }) =>
+  direction === 'low'
+    ? `${type} on ${assetName} fell below ${severity} level: ${value} ${unit} (limit ${threshold} ${unit})`
+    : `${type} on ${assetName} exceeded ${severity} level: ${value} ${unit} (limit ${threshold} ${unit})`;
+
+/**
+ * Queue an alert for InfluxDB without holding up the simulator loop
+ * @param {Object} alert - The alert to record
+ */
+const recordAlertPoint = (alert) => {
+  writePoint('safety_alerts',
+    { type: alert.type, asset_id: alert.assetId, severity: alert.severity, rule_type: alert.ruleType },
+    {
+      value: alert.value,
+      // Rate-of-change alerts have no value threshold
+      ...(alert.threshold !== null && { threshold: alert.threshold }),
+      message: alert.message
+    },
+    alert.timestamp
+  ).catch(err => {
+    console.error('Error storing safety alert in InfluxDB:', err);
+  });
+};
+
+/**
+ * Advance an episode's duration and hold timer with a new reading
+ * @param {Object} episode - The active episode
+ * @param {Boolean} isClear - Whether the reading no longer raises the alert
+ * @param {Number} time - Time of the reading in milliseconds
+ * @param {Number} holdTime - Seconds the reading has to stay clear for (none: clear straight away)
+ * @returns {Boolean} - True once the episode has been clear for the hold time
+ *   (always false for a reading older than the episode's latest one)
+ */
+const advanceEpisode = (episode, isClear, time, holdTime) => {
+  // A late reading can still raise the peak, but doesn't turn the episode's clock back
+  if (time < episode.lastTime) return false;
+  episode.lastTime = time;
+  episode.alert.durationSeconds = Math.round((time - episode.startedAt) / 1000);
+  episode.clearSince = isClear ? (episode.clearSince ?? time) : null;
+  
+  return episode.clearSince !== null && time - episode.clearSince >= (holdTime ?? 0) * 1000;
+};
+
+/**
+ * Build a sensor's time series from the readings history and the current reading
+ * @param {Array} history - Readings history of the asset, newest first
+ * @param {String} sensorType - The type of sensor
+ * @param {Object} reading - The current reading
+ * @returns {Array} - ({ time, value }) points, oldest first
+ */
+const getSeries = (history, sensorType, reading) => {
+  // The same reading can be sampled into the history more than once
+  const points = new Map();
+  
+  history.concat({ [sensorType]: reading }).forEach(entry => {
+    const point = entry[sensorType];
+    if (!point || typeof point.value !== 'number') return;
+    
+    points.set(new Date(point.timestamp || entry.timestamp).getTime(), point.value);
+  });
+  
+  return Array.from(points, ([time, value]) => ({ time, value }))
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Least-squares slope of a series
+ * @param {Array} points - ({ time, value }) points
+ * @returns {Number} - Change in value per minute
+ */
+const getSlope = (points) => {
+  const xs = points.map(point => (point.time - points[0].time) / 60000);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  
+  let covariance = 0;
+  let variance = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (points[i].value - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  
+  return variance === 0 ? 0 : covariance / variance;
+};
+
+/**
+ * Get the points of a series inside a rule's window, or null if the window
+ * isn't covered well enough yet to judge a trend
+ * @param {Array} series - ({ time, value }) points, oldest first
+ * @param {Number} windowSeconds - Length of the window
+ * @param {Number} now - Time of the current reading in milliseconds
+ * @returns {Array|null} - Points inside the window
+ */
+const getWindow = (series, windowSeconds, now) => {
+  const points = series.filter(point => point.time >= now - windowSeconds * 1000);
+  
+  if (points.length < MIN_RULE_READINGS || now - points[0].time < windowSeconds * 500) {
+    return null;
+  }
+  return points;
+};
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+/**
+ * Evaluate an alert rule against a sensor's recent readings
+ * @param {Object} rule - The rule definition
+ * @param {Object} threshold - Threshold for the sensor
+ * @param {Array} series - ({ time, value }) points, oldest first, ending with the current reading
+ * @param {String} unit - Unit of the readings
+ * @returns {Object|null} - ({ direction, limit, condition }) if the rule is triggered;
+ *   limit is the value level involved (null for rate-of-change rules) and
+ *   condition describes what was detected
+ */
+const evaluateRule = (rule, threshold, series, unit) => {
+  const current = series[series.length - 1];
+  
+  switch (rule.type) {
+    case RULE_TYPES.RATE_OF_CHANGE: {
+      const points = getWindow(series, rule.windowSeconds, current.time);
+      if (!points) return null;
+      
+      const slope = getSlope(points);
+      const rising = slope > 0;
+      if (Math.abs(slope) <= rule.maxRate ||
+          (rule.direction === 'rising' && !rising) ||
+          (rule.direction === 'falling' && rising)) {
+        return null;
+      }
+      
+      return {
+        direction: rising ? 'high' : 'low',
+        limit: null,
+        condition: `${rising ? 'rising' : 'falling'} at ${round(Math.abs(slope))} ${unit}/min (limit ${rule.maxRate} ${unit}/min)`
+      };
+    }
+    
+    case RULE_TYPES.SUSTAINED: {
+      const below = rule.direction === 'below';
+      const isBeyond = (point) => (below ? point.value < rule.level : point.value > rule.level);
+      
+      // Walk back from the current reading to where the value crossed the level
+      let since = null;
+      for (let i = series.length - 1; i >= 0 && isBeyond(series[i]); i--) {
+        since = series[i].time;
+      }
+      if (since === null) return null;
+      
+      const heldSeconds = Math.round((current.time - since) / 1000);
+      if (heldSeconds < rule.durationSeconds) return null;
+      
+      return {
+        direction: below ? 'low' : 'high',
+        limit: rule.level,
+        condition: `${below ? 'below' : 'above'} ${rule.level} ${unit} for ${heldSeconds}s (limit ${rule.durationSeconds}s)`
+      };
+    }
+    
+    case RULE_TYPES.TREND: {
+      const points = getWindow(series, rule.windowSeconds, current.time);
+      if (!points) return null;
+      
+      const slope = getSlope(points);
+      const rising = slope > 0;
+      if (slope === 0 ||
+          (rule.direction === 'rising' && !rising) ||
+          (rule.direction === 'falling' && rising)) {
+        return null;
+      }
+      
+      // Project towards the rule's level, or the critical limit in the direction of travel
+      const target = rule.level ?? (rising ? threshold.max : threshold.min);
+      const minutes = (target - current.value) / slope;
+      if (!(minutes > 0 && minutes <= rule.horizonMinutes)) return null;
+      
+      return {
+        direction: rising ? 'high' : 'low',
+        limit: target,
+        condition: `projected to reach ${target} ${unit} in ${round(minutes, 1)} min`
+      };
+    }
+    
+    default:
+      return null;
+  }
+};
+
+/**
+ * Evaluate the asset's alert rules against its readings history and track
+ * their episodes the same way as threshold episodes
  * @param {Object} readings - Sensor readings
- * @returns {Array} - Array of safety alerts, empty if all readings are safe
+ * @param {String} assetId - The asset the readings belong to
+ * @param {Array} history - Readings history of the asset, newest first
+ * @param {Object} thresholds - Effective thresholds of the asset
+ * @param {String} assetName - Name of the asset for alert messages
+ * @returns {Object} - Episodes that were opened, updated and closed ({ opened, updated, closed })
  */
-const checkReadings = async (readings) => {
-  const alerts = [];
+const checkRules = (readings, assetId, history, thresholds, assetName) => {
+  const opened = [];
+  const updated = [];
+  const closed = [];
+  const episodes = activeEpisodes[assetId];
+  const evaluated = new Set();
+  
+  getActiveRules(assetId).forEach(rule => {
+    // Rules without a new reading keep their episode as it is
+    const key = `rule:${rule.id}`;
+    evaluated.add(key);
+    
+    const reading = readings[rule.sensorType];
+    const threshold = thresholds[rule.sensorType];
+    if (!reading || !threshold) return;
+
+    const unit = reading.unit || threshold.unit;
+    const timestamp = reading.timestamp || new Date().toISOString();
+    const time = new Date(timestamp).getTime();
+    const result = evaluateRule(rule, threshold, getSeries(history, rule.sensorType, { ...reading, timestamp }), unit);
+    const episode = episodes[key];
+    
+    if (!episode) {
+      if (!result) return;
+      
+      const alert = {
+        id: crypto.randomUUID(),
+        type: rule.sensorType,
+        assetId,
+        assetName,
+        severity: rule.severity,
+        direction: result.direction,
+        value: reading.value,
+        unit,
+        threshold: result.limit,
+        message: `${rule.sensorType} on ${assetName} ${result.condition}`,
+        timestamp,
+        peakValue: reading.value,
+        durationSeconds: 0,
+        active: true,
+        clearedAt: null,
+        ruleId: rule.id,
+        ruleType: rule.type
+      };
+      
+      episodes[key] = { alert, startedAt: time, lastTime: time, clearSince: null };
+      opened.push(alert);
+      
+      console.log(`SAFETY ALERT: ${alert.message}`);
+      recordAlertPoint(alert);
+      return;
+    }
+    
+    const { alert } = episode;
+    if (time >= episode.lastTime) alert.value = reading.value;
+    
+    // Keep the message current while the rule still fires, e.g. a shrinking time to limit
+    if (result) {
+      alert.threshold = result.limit;
+      alert.message = `${rule.sensorType} on ${assetName} ${result.condition}`;
+    }
+    
+    if (alert.direction === 'low' ? reading.value < alert.peakValue : reading.value > alert.peakValue) {
+      alert.peakValue = reading.value;
+    }
+    
+    if (advanceEpisode(episode, !result, time, threshold.holdTime)) {
+      alert.active = false;
+      alert.clearedAt = timestamp;
+      delete episodes[key];
+      closed.push({ ...alert });
+      
+      console.log(`SAFETY ALERT CLEARED: ${rule.type} rule on ${rule.sensorType} on ${assetName} after ${alert.durationSeconds}s`);
+    } else {
+      updated.push({ ...alert });
+    }
+  });
+  
+  // Close the episodes of rules that have been deleted or disabled
+  Object.keys(episodes)
+    .filter(key => key.startsWith('rule:') && !evaluated.has(key))
+    .forEach(key => {
+      const { alert } = episodes[key];
+      alert.active = false;
+      alert.clearedAt = new Date().toISOString();
+      delete episodes[key];
+      closed.push({ ...alert });
+    });
+  
+  return { opened, updated, closed };
+};
+
+/**
+ * Check sensor readings against safety thresholds and track alert episodes.
+ *
+ * An episode opens the first time a reading leaves the warning band, is updated
+ * with its peak value and duration while it lasts (escalating to critical if
+ * the critical limit is crossed), and closes once readings have stayed inside
+ * the clear band for the threshold's hold time. The asset's alert rules are
+ * then evaluated against the readings history.
+ * @param {Object} readings - Sensor readings
+ * @param {String} assetId - The asset the readings belong to
+ * @param {Array} history - Optional readings history of the asset, newest first
+ * @returns {Object} - Episodes that were opened, updated and closed ({ opened, updated, closed })
+ */
+const checkReadings = async (readings, assetId, history = []) => {
+  const opened = [];
+  const updated = [];
+  const closed = [];
+  const thresholds = getThresholds(null, assetId);
+  const asset = getAsset(assetId);
+  const assetName = asset ? asset.name : assetId;
+  const episodes = activeEpisodes[assetId] = activeEpisodes[assetId] || {};
   
   // Check each sensor reading against its threshold
   for (const [sensorType, reading] of Object.entries(readings)) {
-    if (!isReadingSafe(sensorType, reading.value)) {
-      // Create alert object
+    const threshold = thresholds[sensorType];
+    if (!threshold) continue;
+    
+    const unit = reading.unit || threshold.unit;
+    const timestamp = reading.timestamp || new Date().toISOString();
+    const time = new Date(timestamp).getTime();
+    const { severity, direction, limit } = classifyReading(threshold, reading.value);
+    const episode = episodes[sensorType];
+    
+    if (!episode) {
+      if (severity === 'normal') continue;
+      
+      // Create alert object for the new episode
       const alert = {
+        id: crypto.randomUUID(),
         type: sensorType,
+        assetId,
+        assetName,
+        severity,
+        direction,
         value: reading.value,
-        unit: reading.unit || safetyThresholds[sensorType].unit,
-        threshold: safetyThresholds[sensorType].max,
-        timestamp: reading.timestamp || new Date().toISOString(),
-        message: `${sensorType} exceeded safe level: ${reading.value} ${reading.unit || safetyThresholds[sensorType].unit}`
+        unit,
+        threshold: limit,
+        timestamp,
+        peakValue: reading.value,
+        durationSeconds: 0,
+        active: true,
+        clearedAt: null
       };
+      alert.message = buildAlertMessage(alert);
       
-      alerts.push(alert);
+      episodes[sensorType] = {
+        alert,
+        startedAt: time,
+        lastTime: time,
+        peakExcess: getExcess(threshold, reading.value),
+        clearSince: null
+      };
+      opened.push(alert);
       
       // Log to console
       console.log(`SAFETY ALERT: ${alert.message}`);
+      recordAlertPoint(alert);
+      continue;
+    }
+    
+    const { alert } = episode;
+    if (time >= episode.lastTime) alert.value = reading.value;
+    
+    // Escalate the alert if the reading is now more severe than before
+    if (SEVERITY_LEVELS.indexOf(severity) > SEVERITY_LEVELS.indexOf(alert.severity)) {
+      Object.assign(alert, { severity, direction, threshold: limit });
+      alert.message = buildAlertMessage(alert);
       
-      // Store in InfluxDB
-      try {
-        await writePoint('safety_alerts', 
-          { type: sensorType }, 
-          { 
-            value: reading.value,
-            threshold: safetyThresholds[sensorType].max,
-            message: alert.message
-          }
-        );
-      } catch (err) {
-        console.error('Error storing safety alert in InfluxDB:', err);
-      }
+      console.log(`SAFETY ALERT ESCALATED: ${alert.message}`);
+      recordAlertPoint({ ...alert, timestamp });
+    }
+    
+    // Track the reading furthest outside the safe range
+    const excess = getExcess(threshold, reading.value);
+    if (excess > episode.peakExcess) {
+      alert.peakValue = reading.value;
+      episode.peakExcess = excess;
+    }
+    
+    // Start or reset the hold timer depending on whether the value has cleared
+    if (advanceEpisode(episode, isReadingClear(threshold, reading.value), time, threshold.holdTime)) {
+      alert.active = false;
+      alert.clearedAt = timestamp;
+      delete episodes[sensorType];
+      closed.push({ ...alert });
+      
+      console.log(`SAFETY ALERT CLEARED: ${sensorType} on ${assetName} after ${alert.durationSeconds}s (peak ${alert.peakValue} ${unit})`);
+    } else {
+      updated.push({ ...alert });
     }
   }
   
-  return alerts;
+  const rules = checkRules(readings, assetId, history, thresholds, assetName);
+  
+  return {
+    opened: opened.concat(rules.opened),
+    updated: updated.concat(rules.updated),
+    closed: closed.concat(rules.closed)
+  };
 };
 
-// Initialize thresholds from environment variables if available
-const initializeThresholds = () => {
-  Object.keys(safetyThresholds).forEach(sensorType => {
-    const minEnvVar = `${sensorType}_MIN_THRESHOLD`;
-    const maxEnvVar = `${sensorType}_MAX_THRESHOLD`;
+/**
+ * Pick up the alert episodes that were still open when the server stopped, so
+ * new readings go on updating and clearing them. Episodes of removed assets or
+ * sensor types, and those replaced by an episode opened since start-up, can't
+ * go on and are handed back to be closed as stale
+ * @param {Array} alerts - Stored alerts that are still active
+ * @returns {Array} - The stale alerts, marked inactive
+ */
+const restoreEpisodes = (alerts) => {
+  const stale = [];
+  const now = new Date().toISOString();
+  
+  alerts.forEach(stored => {
+    const key = stored.ruleId ? `rule:${stored.ruleId}` : stored.type;
+    const episodes = activeEpisodes[stored.assetId] = activeEpisodes[stored.assetId] || {};
+    const current = episodes[key];
+    if (current && current.alert.id === stored.id) return;
     
-    if (process.env[minEnvVar]) {
-      safetyThresholds[sensorType].min = parseFloat(process.env[minEnvVar]);
+    const threshold = getAsset(stored.assetId) && getThresholds(null, stored.assetId)[stored.type];
+    if (current || !threshold) {
+      stale.push({ ...stored, active: false, clearedAt: now });
+      return;
     }
     
-    if (process.env[maxEnvVar]) {
-      safetyThresholds[sensorType].max = parseFloat(process.env[maxEnvVar]);
-    }
+    const alert = {
+      id: stored.id,
+      type: stored.type,
+      assetId: stored.assetId,
+      assetName: stored.assetName,
+      severity: stored.severity,
+      direction: stored.direction,
+      value: stored.value,
+      unit: stored.unit,
+      threshold: stored.threshold,
+      message: stored.message,
+      timestamp: stored.timestamp,
+      peakValue: stored.peakValue,
+      durationSeconds: stored.durationSeconds || 0,
+      active: true,
+      clearedAt: null,
+      ...(stored.ruleId && { ruleId: stored.ruleId, ruleType: stored.ruleType })
+    };
+    const startedAt = new Date(stored.timestamp).getTime();
+    
+    episodes[key] = {
+      alert,
+      startedAt,
+      lastTime: startedAt + alert.durationSeconds * 1000,
+      clearSince: null,
+      ...(!stored.ruleId && { peakExcess: getExcess(threshold, stored.peakValue) })
+    };
   });
   
-  console.log('Safety thresholds initialized:', safetyThresholds);
+  console.log(`Restored ${alerts.length - stale.length} open alert episode(s), ${stale.length} stale`);
+  return stale;
 };
 
-// Initialize thresholds on module load
-initializeThresholds();
+console.log('Safety thresholds initialized:', getFleetThresholds());
 
 module.exports = {
   checkReadings,
+  restoreEpisodes,
+  loadThresholds,
+  validateThresholdChange,
+  validateThresholdUpdate,
   updateThreshold,
+  rollbackThreshold,
   getThresholds,
-  isReadingSafe
+  clearAssetThresholds,
+  clearAssetEpisodes,
+  clearSensorTypeThresholds,
+  isReadingSafe,
+  getSeverity
 }; 
\ No newline at end of file
@@ -0,0 +1,343 @@
+/**
+ * Fault scenarios for the sensor simulator.
+ *
+ * A scenario names a fault pattern (drift, ramp, spike, dropout, stuck or
+ * noise) with a duration and an intensity, optionally for one sensor type.
+ * Scenarios come from a JSON library (backend/config/scenarios.json unless
+ * SIMULATOR_SCENARIOS points elsewhere), which also says how often the
+ * simulator starts one on its own. Faults can also be started and cleared
+ * on demand through the API. The main thread keeps the active faults and
+ * hands them to the simulation worker, which applies them to its readings.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const simulatorClock = require('./simulatorClock');
+const { getSensorType } = require('./sensorTypeService');
+
+const DEFAULT_LIBRARY = path.resolve(__dirname, '../config/scenarios.json');
+
+const PATTERNS = ['drift', 'ramp', 'spike', 'dropout', 'stuck', 'noise'];
+
+// Defaults for scenarios that don't say
+const DEFAULT_DURATION = 120;
+const DEFAULT_INTENSITY = 1.2;
+
+// Longest fault accepted (s) and the strongest intensity
+const MAX_DURATION = 24 * 60 * 60;
+const MAX_INTENSITY = 10;
+
+// Share of a ramp spent climbing before it levels off
+const RAMP_PORTION = 0.3;
+
+// Scenario library, loaded on first use
+let library = null;
+
+// Active faults keyed by id
+const faults = new Map();
+
+// When the schedule next starts a fault, keyed by asset id and sensor type
+const nextScheduled = {};
+
+/**
+ * Validate a fault's pattern, duration and intensity
+ * @param {Object} fault - { pattern, duration, intensity }
+ * @returns {String|null} - Error message, or null if the fault is valid
+ */
+const validateFault = ({ pattern, duration, intensity }) => {
+  if (!PATTERNS.includes(pattern)) {
+    return `pattern must be one of: ${PATTERNS.join(', ')}`;
+  }
+  if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0 || duration > MAX_DURATION) {
+    return `duration must be a number of seconds up to ${MAX_DURATION}`;
+  }
+  if (typeof intensity !== 'number' || !Number.isFinite(intensity) || intensity <= 0 || intensity > MAX_INTENSITY) {
+    return `intensity must be a positive number up to ${MAX_INTENSITY}`;
+  }
+  return null;
+};
+
+/**
+ * Check a scenario library and fill in defaults
+ * @param {Object} config - { schedule: { enabled, intervalMinutes, scenarios }, scenarios: { name: { ... } } }
+ * @returns {Object} - { schedule, scenarios }
+ */
+const normalizeLibrary = (config) => {
+  if (!config || typeof config.scenarios !== 'object' || Array.isArray(config.scenarios)) {
+    throw new Error('Scenario library must have a scenarios object');
+  }
+
+  const scenarios = {};
+  Object.entries(config.scenarios).forEach(([name, scenario]) => {
+    const where = `scenarios.${name}`;
+    const sensorType = scenario.sensorType ? String(scenario.sensorType).toUpperCase() : null;
+    if (sensorType && !getSensorType(sensorType)) {
+      throw new Error(`${where}: invalid sensorType ${scenario.sensorType}`);
+    }
+
+    const normalized = {
+      name,
+      description: scenario.description || '',
+      sensorType,
+      pattern: scenario.pattern,
+      duration: scenario.duration === undefined ? DEFAULT_DURATION : scenario.duration,
+      intensity: scenario.intensity === undefined ? DEFAULT_INTENSITY : scenario.intensity
+    };
+    const validationError = validateFault(normalized);
+    if (validationError) {
+      throw new Error(`${where}: ${validationError}`);
+    }
+    scenarios[name] = normalized;
+  });
+
+  const { enabled = false, intervalMinutes = [120, 180], scenarios: scheduled = [] } = config.schedule || {};
+  const [minInterval, maxInterval] = intervalMinutes;
+  if (!Number.isFinite(minInterval) || !Number.isFinite(maxInterval) || minInterval <= 0 || maxInterval < minInterval) {
+    throw new Error('schedule.intervalMinutes must be [min, max] with 0 < min <= max');
+  }
+  const unknown = scheduled.filter(name => !scenarios[name]);
+  if (unknown.length > 0) {
+    throw new Error(`schedule.scenarios: unknown scenario ${unknown.join(', ')}`);
+  }
+
+  return {
+    schedule: { enabled: Boolean(enabled), intervalMinutes: [minInterval, maxInterval], scenarios: scheduled },
+    scenarios
+  };
+};
+
+/**
+ * Read a scenario library file and make it the one in use
+ * @param {String} file - Path to the JSON file
+ * @returns {Object} - { schedule, scenarios }
+ */
+const loadScenarios = (file) => {
+  const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  library = normalizeLibrary(config);
+  console.log(`Loaded ${Object.keys(library.scenarios).length} simulator scenario(s) from ${file}`);
+  return library;
+};
+
+/**
+ * Get the scenario library, loading it the first time
+ * @returns {Object} - { schedule, scenarios }
+ */
+const getLibrary = () => library || loadScenarios(process.env.SIMULATOR_SCENARIOS || DEFAULT_LIBRARY);
+
+/**
+ * Get the scenarios of the library
+ * @returns {Array} - Scenarios
+ */
+const getScenarios = () => Object.values(getLibrary().scenarios);
+
+/**
+ * Get the automatic fault schedule
+ * @returns {Object} - { enabled, intervalMinutes, scenarios }
+ */
+const getSchedule = () => getLibrary().schedule;
+
+/**
+ * Get the faults still running, ending any whose time is up
+ * @param {String} assetId - Only faults on this asset (optional)
+ * @returns {Array} - Active faults, oldest first
+ */
+const getActiveFaults = (assetId) => {
+  const now = simulatorClock.now();
+
+  faults.forEach((fault, id) => {
+    if (new Date(fault.endsAt).getTime() <= now) {
+      faults.delete(id);
+      console.log(`Ended ${fault.scenario || fault.pattern} fault on ${fault.assetId} ${fault.sensorType}`);
+    }
+  });
+
+  return [...faults.values()].filter(fault => !assetId || fault.assetId === assetId);
+};
+
+/**
+ * Work out a fault from a request, taking the fields it doesn't give from
+ * its scenario
+ * @param {Object} options - { assetId, sensorType, scenario, pattern, duration, intensity }
+ * @returns {Object} - { fault, error }; error is a message if the fault can't be started
+ */
+const resolveFault = (options) => {
+  const scenario = options.scenario ? getLibrary().scenarios[options.scenario] : null;
+  if (options.scenario && !scenario) {
+    return { error: `Unknown scenario: ${options.scenario}` };
+  }
+  if (!scenario && !options.pattern) {
+    return { error: 'Please provide a scenario or a pattern' };
+  }
+
+  const sensorType = String(options.sensorType || (scenario && scenario.sensorType) || '').toUpperCase();
+  if (!sensorType) {
+    return { error: 'Please provide a sensorType' };
+  }
+  if (!getSensorType(sensorType)) {
+    return { error: `Invalid sensor type: ${options.sensorType}` };
+  }
+
+  const defaults = scenario || { pattern: null, duration: DEFAULT_DURATION, intensity: DEFAULT_INTENSITY };
+  const fault = {
+    assetId: options.assetId,
+    sensorType,
+    scenario: scenario ? scenario.name : null,
+    pattern: options.pattern || defaults.pattern,
+    duration: options.duration === undefined ? defaults.duration : options.duration,
+    intensity: options.intensity === undefined ? defaults.intensity : options.intensity
+  };
+
+  const validationError = validateFault(fault);
+  return validationError ? { error: validationError } : { fault };
+};
+
+/**
+ * Start a fault on one sensor of an asset, replacing any fault already
+ * running there
+ * @param {Object} definition - Fault from resolveFault
+ * @param {Object} origin - { source: 'manual' | 'schedule', startedBy }
+ * @returns {Object} - The fault
+ */
+const startFault = (definition, { source = 'manual', startedBy = null } = {}) => {
+  // One fault per sensor at a time
+  getActiveFaults(definition.assetId)
+    .filter(fault => fault.sensorType === definition.sensorType)
+    .forEach(fault => faults.delete(fault.id));
+
+  const now = simulatorClock.now();
+  const fault = {
+    id: crypto.randomUUID(),
+    ...definition,
+    source,
+    startedBy,
+    startedAt: new Date(now).toISOString(),
+    endsAt: new Date(now + definition.duration * 1000).toISOString()
+  };
+  faults.set(fault.id, fault);
+
+  console.log(`Starting ${fault.scenario || fault.pattern} fault on ${fault.assetId} ${fault.sensorType}, ` +
+              `duration: ${fault.duration}s, intensity: ${fault.intensity}`);
+  return fault;
+};
+
+/**
+ * End a fault early
+ * @param {String} id - Fault id
+ * @returns {Object|null} - The fault, or null if it isn't active
+ */
+const clearFault = (id) => {
+  const fault = getActiveFaults().find(active => active.id === id);
+  if (!fault) return null;
+
+  faults.delete(id);
+  console.log(`Cleared ${fault.scenario || fault.pattern} fault on ${fault.assetId} ${fault.sensorType}`);
+  return fault;
+};
+
+/**
+ * Start the faults the schedule has due. Each sensor of each asset gets a
+ * scheduled scenario for its type at a random point in the schedule's
+ * interval; the next one is counted from when the last one ends
+ * @param {Array} assetIds - Assets being simulated
+ * @param {Array} sensorTypes - Sensor types being simulated
+ */
+const runSchedule = (assetIds, sensorTypes) => {
+  const { enabled, intervalMinutes, scenarios } = getSchedule();
+  const now = simulatorClock.now();
+
+  // Forget assets that are no longer simulated
+  Object.keys(nextScheduled).forEach(assetId => {
+    if (!assetIds.includes(assetId)) delete nextScheduled[assetId];
+  });
+  if (!enabled) return;
+
+  const [minInterval, maxInterval] = intervalMinutes;
+  const nextTime = (from) => from + (minInterval + simulatorClock.random() * (maxInterval - minInterval)) * 60 * 1000;
+  const active = getActiveFaults();
+
+  assetIds.forEach(assetId => {
+    const schedule = nextScheduled[assetId] = nextScheduled[assetId] || {};
+
+    sensorTypes.forEach(sensorType => {
+      // Faults started through the API push the next scheduled one back
+      const running = active.find(fault => fault.assetId === assetId && fault.sensorType === sensorType);
+      if (running) {
+        const endsAt = new Date(running.endsAt).getTime();
+        if (!schedule[sensorType] || schedule[sensorType] < endsAt) {
+          schedule[sensorType] = nextTime(endsAt);
+        }
+        return;
+      }
+
+      if (!schedule[sensorType]) {
+        schedule[sensorType] = nextTime(now);
+        return;
+      }
+      if (now < schedule[sensorType]) return;
+
+      const candidates = scenarios.filter(name => {
+        const scenario = getLibrary().scenarios[name];
+        return !scenario.sensorType || scenario.sensorType === sensorType;
+      });
+      if (candidates.length === 0) {
+        schedule[sensorType] = nextTime(now);
+        return;
+      }
+
+      const scenario = candidates[Math.floor(simulatorClock.random() * candidates.length)];
+      const fault = startFault(resolveFault({ assetId, sensorType, scenario }).fault, { source: 'schedule' });
+      schedule[sensorType] = nextTime(new Date(fault.endsAt).getTime());
+    });
+  });
+};
+
+/**
+ * Apply a fault to a reading. The intensity is a multiple of the headroom
+ * between the sensor's base value and its safe maximum, so 1 brings the
+ * reading up to the limit and more takes it past
+ * @param {Object} fault - Active fault
+ * @param {Object} config - Simulation settings of the sensor type
+ * @param {Number} value - Reading without the fault
+ * @param {Object} state - Per-fault state kept between readings
+ * @param {Number} now - Current simulated time in ms
+ * @param {Function} random - Random number generator for the noise pattern
+ * @returns {Number|null} - Reading with the fault, or null if the sensor reports nothing
+ */
+const applyFault = (fault, config, value, state, now = Date.now(), random = Math.random) => {
+  const startedAt = new Date(fault.startedAt).getTime();
+  const progress = Math.min(1, Math.max(0, (now - startedAt) / (fault.duration * 1000)));
+  const peak = (config.safeMax - config.baseValue) * fault.intensity;
+
+  switch (fault.pattern) {
+    case 'drift':
+      return value + peak * progress;
+    case 'ramp':
+      return value + peak * Math.min(1, progress / RAMP_PORTION);
+    case 'spike':
+      return value + peak * (1 - Math.abs(progress * 2 - 1));
+    case 'dropout':
+      return null;
+    case 'stuck':
+      if (state.value === undefined) state.value = value;
+      return state.value;
+    case 'noise':
+      return value + (random() * 2 - 1) * peak;
+    default:
+      return value;
+  }
+};
+
+module.exports = {
+  PATTERNS,
+  loadScenarios,
+  normalizeLibrary,
+  validateFault,
+  resolveFault,
+  getScenarios,
+  getSchedule,
+  getActiveFaults,
+  startFault,
+  clearFault,
+  runSchedule,
+  applyFault
+};
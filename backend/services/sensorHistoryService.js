@@ -0,0 +1,135 @@
+const {
+  flux,
+  fluxDateTime,
+  fluxDuration,
+  fluxExpression,
+  fluxInteger
+} = require('@influxdata/influxdb-client');
+const { queryApi, bucket } = require('../config/influxdb');
+const { getSensorTypes } = require('./sensorTypeService');
+
+// Relative time bounds such as "-6h" or "-30m"
+const RELATIVE_TIME_PATTERN = /^-\d+(ms|s|m|h|d|w)$/;
+
+// Aggregation windows such as "30s", "5m" or "1h"
+const WINDOW_PATTERN = /^\d+(s|m|h|d)$/;
+
+// Aggregate functions that can be applied per window
+const AGGREGATIONS = ['mean', 'min', 'max', 'median', 'last'];
+
+/**
+ * Check whether a time bound is a relative duration or a parseable date
+ * @param {String} value - Time bound from the query string
+ * @returns {Boolean} - True if the value can be used in a range() call
+ */
+const isValidTimeBound = (value) =>
+  RELATIVE_TIME_PATTERN.test(value) || !isNaN(Date.parse(value));
+
+/**
+ * Convert a time bound into a Flux value
+ * @param {String} value - Relative duration or absolute date
+ * @returns {Object} - Flux parameter
+ */
+const toFluxTime = (value) => (
+  RELATIVE_TIME_PATTERN.test(value)
+    ? fluxDuration(value)
+    : fluxDateTime(new Date(value).toISOString())
+);
+
+/**
+ * Validate history query parameters
+ * @param {Object} params - Query parameters ({ start, stop, window, aggregation })
+ * @returns {String|null} - Error message, or null if the parameters are valid
+ */
+const validateHistoryQuery = ({ start, stop, window, aggregation }) => {
+  if (start && !isValidTimeBound(start)) {
+    return 'start must be a relative duration (e.g. -6h) or an ISO timestamp';
+  }
+  if (stop && !isValidTimeBound(stop)) {
+    return 'stop must be a relative duration (e.g. -1h) or an ISO timestamp';
+  }
+  if (window && !WINDOW_PATTERN.test(window)) {
+    return 'window must be a duration such as 30s, 5m or 1h';
+  }
+  if (aggregation && !AGGREGATIONS.includes(aggregation)) {
+    return `aggregation must be one of: ${AGGREGATIONS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Build the Flux query for a history request
+ * @param {Object} options - Query options
+ * @returns {Object} - Parameterized Flux query
+ */
+const buildHistoryQuery = ({
+  assetId,
+  assetIds = [],
+  sensorType,
+  start = '-1h',
+  stop,
+  window,
+  aggregation = 'mean',
+  limit
+}) => {
+  const range = stop
+    ? flux`|> range(start: ${toFluxTime(start)}, stop: ${toFluxTime(stop)})`
+    : flux`|> range(start: ${toFluxTime(start)})`;
+  const assetFilter = assetId
+    ? flux`|> filter(fn: (r) => r.asset_id == ${assetId})`
+    : assetIds.length > 0
+      ? flux`|> filter(fn: (r) => contains(value: r.asset_id, set: ${assetIds}))`
+      : fluxExpression('');
+  const sensorFilter = sensorType
+    ? flux`|> filter(fn: (r) => r.sensor_type == ${sensorType})`
+    : fluxExpression('');
+  const aggregate = window
+    ? flux`|> aggregateWindow(every: ${fluxDuration(window)}, fn: ${fluxExpression(aggregation)}, createEmpty: false)`
+    : fluxExpression('');
+
+  return flux`from(bucket: ${bucket})
+  ${range}
+  |> filter(fn: (r) => r._measurement == "sensor_readings" and r._field == "value")
+  ${assetFilter}
+  ${sensorFilter}
+  ${aggregate}
+  |> pivot(rowKey: ["_time", "asset_id"], columnKey: ["sensor_type"], valueColumn: "_value")
+  |> group()
+  |> sort(columns: ["_time"], desc: true)
+  |> limit(n: ${fluxInteger(limit)})`;
+};
+
+/**
+ * Query sensor readings history from InfluxDB
+ * @param {Object} options - Query options ({ assetId, assetIds, sensorType, start, stop, window, aggregation, limit })
+ * @returns {Promise<Array>} - History entries, newest first, shaped like the in-memory history
+ */
+const queryReadingsHistory = async (options) => {
+  const rows = await queryApi.collectRows(buildHistoryQuery(options));
+
+  return rows.map(row => {
+    const entry = {
+      timestamp: row._time,
+      assetId: row.asset_id
+    };
+
+    getSensorTypes().forEach(({ type, unit }) => {
+      if (row[type] !== undefined && row[type] !== null) {
+        entry[type] = {
+          value: parseFloat(Number(row[type]).toFixed(2)),
+          unit,
+          timestamp: row._time
+        };
+      }
+    });
+
+    return entry;
+  });
+};
+
+module.exports = {
+  AGGREGATIONS,
+  validateHistoryQuery,
+  buildHistoryQuery,
+  queryReadingsHistory
+};
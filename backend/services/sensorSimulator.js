@@ -1,39 +1,13 @@
 // Import controller's updateLatestReadings function (will be added after controller is updated)
 const sensorController = require('../controllers/sensorController');
-const safetyThresholdService = require('./safetyThresholdService');
-const safetyController = require('../controllers/safetyController');
+const assetService = require('./assetService');
+const scenarioService = require('./scenarioService');
+const simulatorClock = require('./simulatorClock');
+const sensorTypeService = require('./sensorTypeService');
 const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const path = require('path');
 
-// Configuration for sensor simulation
-const SENSOR_TYPES = {
-  VIBRATION: {
-    min: 0,
-    max: 15,
-    safeMax: 10,
-    baseValue: 5.0,       // Reduced from 6.5 to keep further from threshold
-    normalVariation: 1.0, // Reduced from 1.5 to prevent values getting close to threshold
-    unit: 'mm/s'
-  },
-  TEMPERATURE: {
-    min: 20,
-    max: 100,
-    safeMax: 80,
-    baseValue: 55.0,      // Reduced from 60 to keep further from threshold
-    normalVariation: 5.0, // Reduced from 8 to prevent values getting close to threshold
-    unit: '°C'
-  },
-  CURRENT: {
-    min: 0,
-    max: 50,
-    safeMax: 40,
-    baseValue: 28.0,      // Reduced from 30 to keep further from threshold
-    normalVariation: 3.0, // Reduced from 5 to prevent values getting close to threshold
-    unit: 'A'
-  }
-};
-
-// Variable to store latest readings
+// Variable to store latest readings, keyed by asset id
 let latestReadings = {};
 
 // The interval between data generations in milliseconds
@@ -43,106 +17,89 @@ let sensorInterval = 1000;
 const REDUCE_FREQUENCY = true;
 const UPDATE_INTERVAL = 3000; // Only update frontend every 3 seconds
 
-// Check if this is a worker thread
-if (!isMainThread && workerData) {
-  // Track anomaly state for each sensor
-  const anomalyState = {
-    VIBRATION: { active: false, nextAnomalyTime: 0, duration: 0 },
-    TEMPERATURE: { active: false, nextAnomalyTime: 0, duration: 0 },
-    CURRENT: { active: false, nextAnomalyTime: 0, duration: 0 }
-  };
-
-  // Schedule the next anomaly for a sensor type
-  const scheduleNextAnomaly = (sensorType) => {
-    // Random time between 2-3 hours in milliseconds
-    const hoursUntilNextAnomaly = 2 + Math.random();
-    const nextAnomalyTime = Date.now() + (hoursUntilNextAnomaly * 60 * 60 * 1000);
-    
-    // Duration of anomaly: 2-5 minutes
-    const anomalyDuration = (2 + Math.random() * 3) * 60 * 1000;
-    
-    anomalyState[sensorType] = {
-      active: false,
-      nextAnomalyTime,
-      duration: anomalyDuration
-    };
-    
-    console.log(`Scheduled next ${sensorType} anomaly in ${hoursUntilNextAnomaly.toFixed(1)} hours, ` +
-              `duration: ${(anomalyDuration/60000).toFixed(1)} minutes`);
-  };
-
-  // Initialize all anomaly schedules
-  Object.keys(SENSOR_TYPES).forEach(scheduleNextAnomaly);
-
-  // Generate a sensor reading with occasional anomalies
-  const generateReading = (sensorType) => {
-    const config = SENSOR_TYPES[sensorType];
-    const state = anomalyState[sensorType];
-    const now = Date.now();
-    const timestamp = new Date().toISOString();
+/**
+ * Create a reading generator. Everything random comes from the given random
+ * number generator, and everything time-based from the time passed in, so
+ * a seeded generator fed the same times produces the same readings.
+ * Readings are stamped with stampedAt, which defaults to the simulated time;
+ * the simulator passes the wall clock so a fast or shifted clock never
+ * writes readings into the future
+ * @param {Function} random - Returns numbers in [0, 1) like Math.random
+ * @returns {Function} - (assetIds, faults, now, sensorTypes, stampedAt) => readings keyed by asset id then sensor type
+ */
+const createReadingGenerator = (random = Math.random) => {
+  // State the active faults keep between readings (such as a stuck value), keyed by fault id
+  const faultState = {};
+  
+  // Generate a sensor reading, with the fault running on the sensor if there is one.
+  // Returns null while the fault keeps the sensor from reporting
+  const generateReading = (sensorType, fault, now, stampedAt) => {
+    const config = sensorType.simulation;
+    const time = new Date(now);
+    const timestamp = new Date(stampedAt).toISOString();
     let value;
-    
-    // Check if it's time to start an anomaly
-    if (!state.active && now >= state.nextAnomalyTime) {
-      state.active = true;
-      state.endTime = now + state.duration;
-      console.log(`Starting ${sensorType} anomaly, duration: ${(state.duration/60000).toFixed(1)} minutes`);
-    }
-    
-    // Check if current anomaly should end
-    if (state.active && now >= state.endTime) {
-      state.active = false;
-      scheduleNextAnomaly(sensorType);
-    }
-    
-    // Generate time-based sine wave pattern for natural variation (24 hour cycle)
-    const hourOfDay = new Date().getHours() + (new Date().getMinutes() / 60);
+
+    // Generate time-based sine wave pattern for natural variation (24 hour cycle, in UTC
+    // so a run doesn't depend on the machine's time zone)
+    const hourOfDay = time.getUTCHours() + (time.getUTCMinutes() / 60);
     const dailyCyclePosition = (hourOfDay / 24) * 2 * Math.PI;
     const timeBasedVariation = Math.sin(dailyCyclePosition) * (config.normalVariation * 0.5);
     
     // Add some random noise
-    const noise = (Math.random() * 2 - 1) * (config.normalVariation * 0.3);
+    const noise = (random() * 2 - 1) * (config.normalVariation * 0.3);
     
-    if (state.active) {
-      // Gradual build-up to exceed threshold during anomaly
-      const anomalyProgress = (now - (state.endTime - state.duration)) / state.duration;
-      const anomalyShape = Math.sin(anomalyProgress * Math.PI); // 0 to 1 to 0 pattern
-      
-      // Peak anomaly value goes slightly above threshold
-      const anomalyExcess = (config.safeMax - config.baseValue) * 1.2;
-      const anomalyContribution = anomalyShape * anomalyExcess;
-      
-      value = config.baseValue + timeBasedVariation + noise + anomalyContribution;
-    } else {
-      // Normal operation - stay below threshold with natural variations
-      value = config.baseValue + timeBasedVariation + noise;
+    // Normal operation - stay below threshold with natural variations
+    value = config.baseValue + timeBasedVariation + noise;
+    
+    if (fault) {
+      faultState[fault.id] = faultState[fault.id] || {};
+      value = scenarioService.applyFault(fault, config, value, faultState[fault.id], now, random);
+      if (value === null) return null;
     }
     
     // Ensure values stay within absolute min/max
-    value = Math.max(config.min, Math.min(config.max, value));
+    value = Math.max(sensorType.min, Math.min(sensorType.max, value));
     
     return {
       value: parseFloat(value.toFixed(2)),
-      unit: config.unit,
+      unit: sensorType.unit,
       timestamp: timestamp
     };
   };
 
-  // Generate readings for all sensor types
-  const generateAllReadings = () => {
+  // Generate readings for all sensor types of every requested asset. The main thread
+  // passes the registered types, as types created through the API only live there
+  return (assetIds, faults = [], now = Date.now(), sensorTypes = sensorTypeService.getSensorTypes(), stampedAt = now) => {
     const readings = {};
     
-    Object.keys(SENSOR_TYPES).forEach(type => {
-      readings[type] = generateReading(type);
+    // Forget faults that have ended
+    Object.keys(faultState).forEach(id => {
+      if (!faults.some(fault => fault.id === id)) delete faultState[id];
+    });
+    
+    assetIds.forEach(assetId => {
+      readings[assetId] = {};
+      sensorTypes.forEach(sensorType => {
+        const fault = faults.find(active => active.assetId === assetId && active.sensorType === sensorType.type);
+        const reading = generateReading(sensorType, fault, now, stampedAt);
+        if (reading) readings[assetId][sensorType.type] = reading;
+      });
     });
     
     return readings;
   };
+};
+
+// Check if this is a worker thread
+if (!isMainThread && workerData) {
+  const seed = workerData.seed;
+  const generateAllReadings = createReadingGenerator(seed === null ? Math.random : simulatorClock.createRandom(seed));
 
   // Listen for messages from the main thread
   parentPort.on('message', (message) => {
     if (message.cmd === 'generate') {
-      const readings = generateAllReadings();
+      const readings = generateAllReadings(message.assetIds || [], message.faults || [], message.now,
+        message.sensorTypes, message.stampedAt);
       parentPort.postMessage({ type: 'readings', data: readings });
     }
   });
@@ -166,7 +123,7 @@ if (!isMainThread && workerData) {
     // Create a new worker
     worker = new Worker(workerPath, { 
       workerData: { 
-        sensorTypes: SENSOR_TYPES
+        seed: simulatorClock.getClockSettings().seed
       }
     });
     
@@ -201,12 +158,21 @@ if (!isMainThread && workerData) {
    * Start the sensor simulator
    * @param {Object} socketService - Socket.IO service instance
    * @param {Number} interval - Interval in milliseconds between readings
+   * @param {Object} clock - Clock and seed settings ({ seed, speed, mode, start }, see simulatorClock)
    */
-  const startSimulator = (socketService, interval = 1000) => {
+  const startSimulator = (socketService, interval = 1000, clock = {}) => {
     // Store the interval value
     sensorInterval = interval;
     
+    // Set up the clock before the worker, which takes the seed with it
+    simulatorClock.configureClock(clock);
+    const { seed, speed, mode } = simulatorClock.getClockSettings();
+    
     console.log(`Starting sensor simulator with interval: ${interval}ms`);
+    if (seed !== null || speed !== 1 || mode !== 'wall') {
+      console.log(`Simulator clock: ${mode} at ${speed}x from ${new Date(simulatorClock.now()).toISOString()}` +
+                  (seed === null ? '' : `, seed: ${seed}`));
+    }
     
     // Create the worker for sensor data generation
     const worker = createWorker();
@@ -217,35 +183,42 @@ if (!isMainThread && workerData) {
     // Generate and send sensor readings at regular intervals
     const simulatorInterval = setInterval(async () => {
       try {
-        // Request new readings from the worker
-        worker.postMessage({ cmd: 'generate' });
+        // Required here: the ingestion service loads the sensor controller, which loads this module
+        const ingestionService = require('./ingestionService');
+        
+        // Request new readings from the worker for every monitored asset that
+        // isn't receiving real data from a device
+        const assetIds = assetService.getAssetIds().filter(id => !ingestionService.isReceivingDeviceData(id));
+        
+        // Start any scheduled faults that are due, and pass on the ones running on simulated assets
+        const sensorTypes = sensorTypeService.getSensorTypes();
+        simulatorClock.advance(interval);
+        scenarioService.runSchedule(assetIds, sensorTypes.map(sensorType => sensorType.type));
+        const faults = scenarioService.getActiveFaults().filter(fault => assetIds.includes(fault.assetId));
+        // The simulated time drives the waveforms and faults; readings are stamped with the wall clock
+        worker.postMessage({ cmd: 'generate', assetIds, faults, now: simulatorClock.now(), sensorTypes, stampedAt: Date.now() });
+        
+        // Don't overwrite device data with readings generated before it arrived
+        Object.keys(latestReadings)
+          .filter(id => !assetIds.includes(id))
+          .forEach(id => delete latestReadings[id]);
         
         // Skip frontend updates if we're reducing frequency and it's not time yet
         const now = Date.now();
         if (REDUCE_FREQUENCY && (now - lastFrontendUpdate < UPDATE_INTERVAL)) {
           // Still update the controller for API access
-          sensorController.updateLatestReadings(latestReadings);
+          Object.entries(latestReadings).forEach(([assetId, readings]) => {
+            sensorController.updateLatestReadings(assetId, readings);
+          });
           return;
         }
         
         // Update last frontend update time
         lastFrontendUpdate = now;
         
-        // Update controller with latest readings for API access
-        sensorController.updateLatestReadings(latestReadings);
-        
-        // Check for safety alerts using the safety threshold service
-        const safetyAlerts = await safetyThresholdService.checkReadings(latestReadings);
-        
-        // Emit all readings via Socket.IO
-        socketService.emitSensorReadings(latestReadings);
-        
-        // If there are safety alerts, emit them and process them
-        if (safetyAlerts.length > 0) {
-          socketService.emitMultipleSafetyAlerts(safetyAlerts);
-          safetyController.processAlerts(safetyAlerts);
-        }
-        
+        // Cache, check and broadcast the readings of every simulated asset
+        await ingestionService.publishReadings(socketService, latestReadings);
+
       } catch (error) {
         console.error('Error in sensor simulator:', error);
       }
@@ -263,6 +236,6 @@ if (!isMainThread && workerData) {
   // Export only in main thread
   module.exports = {
     startSimulator,
-    SENSOR_TYPES
+    createReadingGenerator
   };
 } 
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * Registry of sensor types.
+ *
+ * A sensor type is data: its unit and measuring range, how clients display
+ * it, the default thresholds alerts are raised at and how the simulator
+ * generates its readings. The built-in types come from a JSON file
+ * (backend/config/sensorTypes.json unless SENSOR_TYPES_CONFIG points
+ * elsewhere); admins can add more through the API, which are kept in the
+ * Supabase sensor_types table. Thresholds, alert checks, ingestion, the
+ * simulator and the dashboard all read the types from here.
+ */
+const fs = require('fs');
+const path = require('path');
+const supabase = require('../config/supabase');
+
+const DEFAULT_CONFIG = path.resolve(__dirname, '../config/sensorTypes.json');
+
+// Sensor type names are used as InfluxDB field names and in environment variables
+const TYPE_PATTERN = /^[A-Z][A-Z0-9_]{0,31}$/;
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// Display defaults for types that don't say
+const DEFAULT_ICON = 'gauge';
+const DEFAULT_COLOR = '#9E9E9E';
+
+// Seconds a reading has to stay clear before an alert closes, unless the type says
+const DEFAULT_HOLD_TIME = 30;
+
+// Types from the config file, loaded on first use
+let configured = null;
+
+// Types created through the API, keyed by type
+const stored = new Map();
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Limits of a threshold. A threshold may leave out the optional ones: the clear
+// band falls back to the warning band, and a missing hold time clears an alert
+// straight away
+const THRESHOLD_LIMITS = ['min', 'max', 'warningMin', 'warningMax', 'clearMin', 'clearMax', 'holdTime'];
+const OPTIONAL_LIMITS = ['clearMin', 'clearMax', 'holdTime'];
+
+/**
+ * Check that a threshold's values are numbers and its bands nest: the clear
+ * band inside the warning band, and the warning band inside the critical limits
+ * @param {Object} threshold - Threshold to validate
+ * @returns {String|null} - Error message, or null if the threshold is valid
+ */
+const validateBands = (threshold) => {
+  const invalidLimit = THRESHOLD_LIMITS.find(limit =>
+    !(OPTIONAL_LIMITS.includes(limit) && threshold[limit] == null) && !isNumber(threshold[limit]));
+  if (invalidLimit) {
+    return `${invalidLimit} must be a number`;
+  }
+
+  const { min, max, warningMin, warningMax } = threshold;
+  const clearMin = threshold.clearMin ?? warningMin;
+  const clearMax = threshold.clearMax ?? warningMax;
+  if (!(min <= warningMin && warningMin <= clearMin && clearMin <= clearMax &&
+        clearMax <= warningMax && warningMax <= max)) {
+    return 'Thresholds must satisfy min <= warningMin <= clearMin <= clearMax <= warningMax <= max';
+  }
+  if (threshold.holdTime < 0) {
+    return 'holdTime must not be negative';
+  }
+  return null;
+};
+
+/**
+ * Fill in the defaults of a sensor type definition
+ * @param {String} type - Sensor type, e.g. OIL_PRESSURE
+ * @param {Object} definition - { name, unit, min, max, icon, color, thresholds, simulation }
+ * @returns {Object} - Sensor type
+ */
+const normalizeSensorType = (type, definition = {}) => {
+  const { min, max, warningMin = min, warningMax = max, ...limits } = definition.thresholds || {};
+  const thresholds = {
+    min,
+    max,
+    warningMin,
+    warningMax,
+    clearMin: warningMin,
+    clearMax: warningMax,
+    holdTime: DEFAULT_HOLD_TIME,
+    ...limits
+  };
+
+  // Simulate around the middle of the warning band unless told otherwise
+  const simulation = {
+    baseValue: (warningMin + warningMax) / 2,
+    normalVariation: (warningMax - warningMin) / 10,
+    safeMax: max,
+    ...definition.simulation
+  };
+
+  return {
+    type: String(type || '').toUpperCase(),
+    name: definition.name || String(type || '').toUpperCase(),
+    unit: definition.unit,
+    min: definition.min,
+    max: definition.max,
+    icon: definition.icon || DEFAULT_ICON,
+    color: definition.color || DEFAULT_COLOR,
+    thresholds,
+    simulation
+  };
+};
+
+/**
+ * Validate a sensor type
+ * @param {Object} sensorType - Sensor type from normalizeSensorType
+ * @returns {String|null} - Error message, or null if the sensor type is valid
+ */
+const validateSensorType = ({ type, name, unit, min, max, color, thresholds, simulation }) => {
+  if (!TYPE_PATTERN.test(type)) {
+    return 'type must be up to 32 letters, digits or underscores, starting with a letter';
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name must be a non-empty string';
+  }
+  if (typeof unit !== 'string' || !unit.trim()) {
+    return 'unit is required';
+  }
+  if (!isNumber(min) || !isNumber(max) || min >= max) {
+    return 'min and max must be numbers with min < max';
+  }
+  if (!COLOR_PATTERN.test(color)) {
+    return 'color must be a hex color such as #2196F3';
+  }
+
+  const thresholdsError = validateBands(thresholds);
+  if (thresholdsError) {
+    return `Invalid thresholds: ${thresholdsError}`;
+  }
+
+  const invalidSetting = ['baseValue', 'normalVariation', 'safeMax'].find(setting => !isNumber(simulation[setting]));
+  if (invalidSetting) {
+    return `simulation.${invalidSetting} must be a number`;
+  }
+  if (simulation.baseValue < min || simulation.baseValue > max) {
+    return 'simulation.baseValue must lie between min and max';
+  }
+  if (simulation.normalVariation < 0) {
+    return 'simulation.normalVariation must not be negative';
+  }
+  return null;
+};
+
+/**
+ * Read a sensor type config file and make its types the built-in ones
+ * @param {String} file - Path to the JSON file ({ sensorTypes: { TYPE: { ... } } })
+ * @returns {Array} - The sensor types in the file
+ */
+const loadSensorTypeConfig = (file) => {
+  const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (!config || typeof config.sensorTypes !== 'object' || Array.isArray(config.sensorTypes)) {
+    throw new Error(`${file}: expected a sensorTypes object`);
+  }
+
+  const types = new Map();
+  Object.entries(config.sensorTypes).forEach(([type, definition]) => {
+    const sensorType = { ...normalizeSensorType(type, definition), source: 'config' };
+    const validationError = validateSensorType(sensorType);
+    if (validationError) {
+      throw new Error(`${file}, sensorTypes.${type}: ${validationError}`);
+    }
+    types.set(sensorType.type, sensorType);
+  });
+
+  configured = types;
+  console.log(`Loaded ${types.size} sensor type(s) from ${file}`);
+  return Array.from(types.values());
+};
+
+const getConfigured = () => {
+  if (!configured) {
+    loadSensorTypeConfig(process.env.SENSOR_TYPES_CONFIG || DEFAULT_CONFIG);
+  }
+  return configured;
+};
+
+/**
+ * Get every sensor type, the built-in ones first
+ * @returns {Array} - Sensor types
+ */
+const getSensorTypes = () => Array.from(getConfigured().values()).concat(Array.from(stored.values()));
+
+/**
+ * Look up a sensor type
+ * @param {String} type - Sensor type
+ * @returns {Object|null} - The sensor type, or null if it isn't registered
+ */
+const getSensorType = (type) => getConfigured().get(type) || stored.get(type) || null;
+
+/**
+ * Convert a row from the Supabase sensor_types table into a sensor type
+ * @param {Object} row - Database row
+ * @returns {Object} - Sensor type
+ */
+const toSensorType = (row) => ({
+  ...normalizeSensorType(row.type, {
+    name: row.name,
+    unit: row.unit,
+    min: row.range_min,
+    max: row.range_max,
+    icon: row.icon,
+    color: row.color,
+    thresholds: row.thresholds,
+    simulation: row.simulation
+  }),
+  source: 'store',
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Convert a sensor type into the columns of the sensor_types table
+ * @param {Object} sensorType - Sensor type
+ * @returns {Object} - Row values
+ */
+const toRow = ({ name, unit, min, max, icon, color, thresholds, simulation }) => ({
+  name,
+  unit,
+  range_min: min,
+  range_max: max,
+  icon,
+  color,
+  thresholds,
+  simulation
+});
+
+/**
+ * Load the sensor types created through the API from Supabase. Stored
+ * types that clash with a built-in one are skipped
+ * @returns {Promise<Array>} - Loaded sensor types
+ */
+const loadSensorTypes = async () => {
+  const { data, error } = await supabase
+    .from('sensor_types')
+    .select('*')
+    .order('type');
+
+  if (error) {
+    throw new Error(`Error loading sensor types: ${error.message}`);
+  }
+
+  stored.clear();
+  data.forEach(row => {
+    if (getConfigured().has(row.type)) {
+      console.warn(`Stored sensor type ${row.type} is also defined in the config file; using the config file`);
+      return;
+    }
+    stored.set(row.type, toSensorType(row));
+  });
+
+  console.log(`Loaded ${stored.size} sensor type(s) from store`);
+  return Array.from(stored.values());
+};
+
+/**
+ * Register a new sensor type
+ * @param {Object} sensorType - Validated sensor type from normalizeSensorType
+ * @param {String} userId - Admin creating the type
+ * @returns {Promise<Object>} - Created sensor type
+ */
+const createSensorType = async (sensorType, userId) => {
+  const { data, error } = await supabase
+    .from('sensor_types')
+    .insert([{ type: sensorType.type, ...toRow(sensorType), created_by: userId }])
+    .select();
+
+  if (error) {
+    throw new Error(`Error creating sensor type: ${error.message}`);
+  }
+
+  const created = toSensorType(data[0]);
+  stored.set(created.type, created);
+  return created;
+};
+
+/**
+ * Replace the definition of a sensor type created through the API
+ * @param {Object} sensorType - Validated sensor type from normalizeSensorType
+ * @returns {Promise<Object>} - Updated sensor type
+ */
+const updateSensorType = async (sensorType) => {
+  const { data, error } = await supabase
+    .from('sensor_types')
+    .update({ ...toRow(sensorType), updated_at: new Date().toISOString() })
+    .eq('type', sensorType.type)
+    .select();
+
+  if (error) {
+    throw new Error(`Error updating sensor type: ${error.message}`);
+  }
+
+  const updated = toSensorType(data[0]);
+  stored.set(updated.type, updated);
+  return updated;
+};
+
+/**
+ * Remove a sensor type created through the API
+ * @param {String} type - Sensor type
+ * @returns {Promise<void>}
+ */
+const deleteSensorType = async (type) => {
+  const { error } = await supabase
+    .from('sensor_types')
+    .delete()
+    .eq('type', type);
+
+  if (error) {
+    throw new Error(`Error deleting sensor type: ${error.message}`);
+  }
+
+  stored.delete(type);
+};
+
+module.exports = {
+  loadSensorTypeConfig,
+  loadSensorTypes,
+  normalizeSensorType,
+  validateBands,
+  validateSensorType,
+  getSensorTypes,
+  getSensorType,
+  createSensorType,
+  updateSensorType,
+  deleteSensorType
+};
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// Lifetime of an access token in seconds; clients renew it with their refresh token
+const ACCESS_TOKEN_TTL = 15 * 60;
+
+// Lifetime of a session in seconds, extended each time its refresh token is used
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+// Session ids are UUIDs; anything else can't match a stored session
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Sessions revoked recently enough that access tokens issued for them may
+// still be unexpired, mapped to when those tokens run out
+const revokedSessions = new Map();
+
+/**
+ * Convert a row from the Supabase sessions table into a session object.
+ * The refresh token hash never leaves this module
+ * @param {Object} row - Database row
+ * @returns {Object} - Session
+ */
+const toSession = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  device: row.device,
+  ipAddress: row.ip_address,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at,
+  revokedAt: row.revoked_at
+});
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {String} secret - Secret part of a refresh token
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Generate a new refresh token secret
+ * @returns {String} - Random secret
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Split a refresh token into its session id and secret
+ * @param {String} refreshToken - Refresh token ("<sessionId>.<secret>")
+ * @returns {Object|null} - { sessionId, secret }, or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!UUID_PATTERN.test(sessionId) || !secret) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Time a session expires if it is used now
+ * @returns {String} - ISO timestamp
+ */
+const getExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString();
+
+/**
+ * Remember revoked sessions until their last access tokens have expired
+ * @param {Array} sessionIds - Revoked sessions
+ * @param {Number} revokedAt - When they were revoked (ms)
+ */
+const rememberRevoked = (sessionIds, revokedAt = Date.now()) => {
+  const until = revokedAt + ACCESS_TOKEN_TTL * 1000;
+  sessionIds.forEach(id => revokedSessions.set(id, until));
+};
+
+/**
+ * Check whether a session has been revoked while its access tokens may still
+ * be valid
+ * @param {String} sessionId - Session id from an access token
+ * @returns {Boolean} - True if revoked
+ */
+const isSessionRevoked = (sessionId) => {
+  const until = revokedSessions.get(sessionId);
+  if (until === undefined) return false;
+
+  if (until <= Date.now()) {
+    revokedSessions.delete(sessionId);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Load sessions revoked within the access token lifetime, so tokens for them
+ * stay rejected after a restart
+ * @returns {Promise<Number>} - Number of sessions loaded
+ */
+const loadRevokedSessions = async () => {
+  const since = new Date(Date.now() - ACCESS_TOKEN_TTL * 1000).toISOString();
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('id, revoked_at')
+    .gte('revoked_at', since);
+
+  if (error) {
+    throw new Error(`Error loading revoked sessions: ${error.message}`);
+  }
+
+  data.forEach(row => rememberRevoked([row.id], new Date(row.revoked_at).getTime()));
+  return data.length;
+};
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {String} userId - The user
+ * @param {Object} client - Optional client details ({ device, ipAddress })
+ * @returns {Promise<Object>} - { session, refreshToken }
+ */
+const createSession = async (userId, { device, ipAddress } = {}) => {
+  const secret = generateSecret();
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .insert([{
+      user_id: userId,
+      refresh_token_hash: hashSecret(secret),
+      device: device || null,
+      ip_address: ipAddress || null,
+      last_used_at: now,
+      expires_at: getExpiry()
+    }])
+    .select();
+
+  if (error) {
+    throw new Error(`Error creating session: ${error.message}`);
+  }
+
+  const session = toSession(data[0]);
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+/**
+ * Exchange a refresh token for a new one. Each refresh token works once:
+ * presenting one that has already been rotated means it was copied, so the
+ * whole session is revoked
+ * @param {String} refreshToken - Refresh token ("<sessionId>.<secret>")
+ * @param {Object} client - Optional client details ({ device, ipAddress })
+ * @returns {Promise<Object|null>} - { session, refreshToken }, or null if the token is invalid
+ */
+const rotateSession = async (refreshToken, { device, ipAddress } = {}) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const { sessionId, secret } = parsed;
+
+  const { data: row, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error || !row || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const nextSecret = generateSecret();
+  const changes = {
+    refresh_token_hash: hashSecret(nextSecret),
+    last_used_at: new Date().toISOString(),
+    expires_at: getExpiry()
+  };
+  if (device) changes.device = device;
+  if (ipAddress) changes.ip_address = ipAddress;
+
+  // Only rotate if the stored hash still matches, so two requests can't both
+  // redeem the same token
+  const { data, error: updateError } = await supabase
+    .from('sessions')
+    .update(changes)
+    .eq('id', sessionId)
+    .eq('refresh_token_hash', hashSecret(secret))
+    .select();
+
+  if (updateError) {
+    throw new Error(`Error rotating session: ${updateError.message}`);
+  }
+
+  if (data.length === 0) {
+    console.warn(`Refresh token reused for session ${sessionId}, revoking it`);
+    await revokeSession(sessionId);
+    return null;
+  }
+
+  const session = toSession(data[0]);
+  return { session, refreshToken: `${session.id}.${nextSecret}` };
+};
+
+/**
+ * Get the session a refresh token belongs to, if the token is current
+ * @param {String} refreshToken - Refresh token
+ * @returns {Promise<Object|null>} - Session, or null if the token is invalid
+ */
+const getSessionByToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', parsed.sessionId)
+    .eq('refresh_token_hash', hashSecret(parsed.secret))
+    .maybeSingle();
+
+  if (error || !data) return null;
+  return toSession(data);
+};
+
+/**
+ * Get a user's active sessions, most recently used first
+ * @param {String} userId - The user
+ * @returns {Promise<Array>} - Sessions
+ */
+const getUserSessions = async (userId) => {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Error loading sessions: ${error.message}`);
+  }
+
+  return data.map(toSession);
+};
+
+/**
+ * Revoke sessions matching a query
+ * @param {Function} filter - Adds conditions to the update query
+ * @returns {Promise<Array>} - Revoked sessions
+ */
+const revokeWhere = async (filter) => {
+  const revokedAt = new Date();
+  const { data, error } = await filter(
+    supabase
+      .from('sessions')
+      .update({ revoked_at: revokedAt.toISOString() })
+      .is('revoked_at', null)
+  ).select();
+
+  if (error) {
+    throw new Error(`Error revoking sessions: ${error.message}`);
+  }
+
+  rememberRevoked(data.map(row => row.id), revokedAt.getTime());
+  return data.map(toSession);
+};
+
+/**
+ * Revoke a session; its refresh token stops working and its access tokens
+ * are rejected
+ * @param {String} sessionId - The session
+ * @param {String} userId - Optional owner the session must belong to
+ * @returns {Promise<Object|null>} - Revoked session, or null if there was no active session
+ */
+const revokeSession = async (sessionId, userId) => {
+  if (!UUID_PATTERN.test(sessionId)) return null;
+
+  const [session] = await revokeWhere(query => {
+    const bySession = query.eq('id', sessionId);
+    return userId ? bySession.eq('user_id', userId) : bySession;
+  });
+  return session || null;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one (e.g. the current device)
+ * @param {String} userId - The user
+ * @param {String} keepSessionId - Optional session to keep
+ * @returns {Promise<Array>} - Revoked sessions
+ */
+const revokeUserSessions = async (userId, keepSessionId) => revokeWhere(query => {
+  const byUser = query.eq('user_id', userId);
+  return keepSessionId ? byUser.neq('id', keepSessionId) : byUser;
+});
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  createSession,
+  rotateSession,
+  getSessionByToken,
+  getUserSessions,
+  revokeSession,
+  revokeUserSessions,
+  isSessionRevoked,
+  loadRevokedSessions
+};
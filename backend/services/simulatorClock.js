@@ -0,0 +1,107 @@
+/**
+ * Clock and random numbers for the sensor simulator.
+ *
+ * By default the simulator follows the wall clock and Math.random. With a
+ * seed, random numbers come from a deterministic generator instead, so two
+ * runs with the same seed produce the same readings. The clock can run
+ * faster than real time (`speed`), start at a chosen time (`start`), or be
+ * virtual: then it only moves when the simulator advances it by one tick,
+ * which makes a run independent of how quickly the machine executes it.
+ */
+
+const CLOCK_MODES = ['wall', 'virtual'];
+
+let settings = { seed: null, speed: 1, mode: 'wall', start: null };
+let random = Math.random;
+
+// Wall time the clock was configured at, and the simulated time it started from (ms)
+let origin = Date.now();
+let startTime = origin;
+
+// Simulated time of a virtual clock (ms)
+let virtualTime = origin;
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {String|Number} seed - Any string or number
+ * @returns {Function} - Returns numbers in [0, 1) like Math.random
+ */
+const createRandom = (seed) => {
+  // Hash the seed into 32 bits
+  const text = String(seed);
+  let state = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    state = Math.imul(state ^ text.charCodeAt(i), 3432918353);
+    state = (state << 13) | (state >>> 19);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Validate clock settings
+ * @param {Object} options - { seed, speed, mode, start }
+ * @returns {String|null} - Error message, or null if the settings are valid
+ */
+const validateClockSettings = ({ speed, mode, start }) => {
+  if (speed !== undefined && (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0)) {
+    return 'speed must be a positive number';
+  }
+  if (mode !== undefined && !CLOCK_MODES.includes(mode)) {
+    return `clock mode must be one of: ${CLOCK_MODES.join(', ')}`;
+  }
+  if (start !== undefined && start !== null && !Number.isFinite(new Date(start).getTime())) {
+    return 'start must be an ISO date or milliseconds since the epoch';
+  }
+  return null;
+};
+
+/**
+ * Set up the clock and random numbers, restarting the clock
+ * @param {Object} options - { seed, speed, mode, start }; anything left out goes back to the default
+ */
+const configureClock = ({ seed = null, speed = 1, mode = 'wall', start = null } = {}) => {
+  const validationError = validateClockSettings({ speed, mode, start });
+  if (validationError) {
+    throw new Error(`Invalid simulator clock: ${validationError}`);
+  }
+
+  settings = { seed: seed === null || seed === '' ? null : String(seed), speed, mode, start };
+  random = settings.seed === null ? Math.random : createRandom(settings.seed);
+
+  origin = Date.now();
+  startTime = start === null ? origin : new Date(start).getTime();
+  virtualTime = startTime;
+};
+
+/**
+ * Current simulated time
+ * @returns {Number} - Milliseconds since the epoch
+ */
+const now = () => (settings.mode === 'virtual'
+  ? virtualTime
+  : startTime + (Date.now() - origin) * settings.speed);
+
+/**
+ * Move a virtual clock on by one simulator tick; a wall clock moves by itself
+ * @param {Number} interval - Real length of the tick (ms), scaled by the clock's speed
+ */
+const advance = (interval) => {
+  if (settings.mode === 'virtual') virtualTime += interval * settings.speed;
+};
+
+module.exports = {
+  CLOCK_MODES,
+  createRandom,
+  validateClockSettings,
+  configureClock,
+  now,
+  advance,
+  random: () => random(),
+  getClockSettings: () => ({ ...settings, now: new Date(now()).toISOString() })
+};
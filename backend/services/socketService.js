@@ -1,10 +1,24 @@
 /**
  * Socket.IO service for handling real-time communication
  */
+const { verifyToken } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { getAsset } = require('./assetService');
+const { getUserAssetIds, isAssetAllowed } = require('./userAssetService');
 
-// Store active connections for managing subscriptions
+// Store active connections (session expiry timer); the verified user lives
+// in socket.data.user
 const activeConnections = new Map();
 
+// Permission a user needs to join each channel's rooms
+const CHANNEL_PERMISSIONS = {
+  sensorReadings: 'sensors:read',
+  safetyAlerts: 'alerts:read'
+};
+
+// Longest delay setTimeout supports; sessions expiring later aren't timed
+const MAX_TIMER_DELAY = 2147483647;
+
 // Socket.IO instance (will be set during initialization)
 let io = null;
 
@@ -26,84 +40,323 @@ const initialize = (ioInstance) => {
     emitSensorReadings,
     emitSafetyAlert,
     emitMultipleSafetyAlerts,
+    emitSafetyAlertUpdates,
+    emitClearedSafetyAlerts,
+    emitAlertUpdate,
+    emitDataSourceStatus,
     getActiveConnections: () => activeConnections.size
   };
 };
 
+/**
+ * Read the JWT a client sent with its handshake, either in the auth payload
+ * (io(url, { auth: { token } })) or as a Bearer Authorization header
+ * @param {Object} handshake - Socket.IO handshake
+ * @returns {String|null} - The token
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+  
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+  return null;
+};
+
+/**
+ * Handshake middleware that only lets clients with a valid token connect
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Socket.IO next middleware function
+ */
+const authenticateHandshake = (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  
+  try {
+    if (!token) throw new Error('No token');
+    socket.data.user = verifyToken(token);
+    next();
+  } catch (err) {
+    console.log(`Rejected socket connection: ${err.message}`);
+    next(new Error('Not authorized'));
+  }
+};
+
+/**
+ * Disconnect a client once its token expires
+ * @param {Object} socket - Client socket
+ * @param {Object} connection - Stored connection
+ */
+const scheduleExpiry = (socket, connection) => {
+  clearTimeout(connection.expiryTimer);
+  
+  const { exp } = socket.data.user;
+  const delay = exp * 1000 - Date.now();
+  if (!exp || delay > MAX_TIMER_DELAY) return;
+  
+  connection.expiryTimer = setTimeout(() => {
+    socket.emit('sessionExpired', { message: 'Session expired, please sign in again' });
+    socket.disconnect(true);
+  }, Math.max(delay, 0));
+};
+
+/**
+ * Name of the room for a channel, narrowed to an asset and optionally one of
+ * its sensor types: "sensorReadings", "sensorReadings:<assetId>" or
+ * "sensorReadings:<assetId>:<sensorType>"
+ * @param {String} channel - sensorReadings or safetyAlerts
+ * @param {String} assetId - Optional asset
+ * @param {String} sensorType - Optional sensor type (requires an asset)
+ * @returns {String} - The room name
+ */
+const getRoomName = (channel, assetId, sensorType) =>
+  [channel, assetId, sensorType].filter(Boolean).join(':');
+
+/**
+ * Turn a subscribe/unsubscribe request into a room. Requests are either a
+ * channel name or { channel, assetId, sensorType }
+ * @param {String|Object} request - Subscription request
+ * @param {Boolean} checkTargets - Also check that the asset and sensor type exist
+ * @returns {Object} - { channel, assetId, room } or { error }
+ */
+const parseSubscription = (request, checkTargets = true) => {
+  const { channel, assetId, sensorType } = typeof request === 'string'
+    ? { channel: request }
+    : (request || {});
+  
+  if (!CHANNEL_PERMISSIONS[channel]) {
+    return { channel, error: `Unknown channel: ${channel}` };
+  }
+  if (sensorType && !assetId) {
+    return { channel, error: 'sensorType requires an assetId' };
+  }
+  
+  if (checkTargets) {
+    // Required here rather than at the top: the threshold service loads the
+    // simulator, which loads controllers that depend on this module
+    const { getThresholds } = require('./safetyThresholdService');
+    
+    if (assetId && !getAsset(assetId)) {
+      return { channel, error: `Invalid asset: ${assetId}` };
+    }
+    if (sensorType && !getThresholds(sensorType)) {
+      return { channel, error: `Invalid sensor type: ${sensorType}` };
+    }
+  }
+  
+  return { channel, assetId, room: getRoomName(channel, assetId, sensorType) };
+};
+
+/**
+ * Check whether a user may be in a room. The role must grant the channel,
+ * and users assigned to assets only get the rooms of those assets; users
+ * without assignments get the whole fleet
+ * @param {Object} user - Decoded user
+ * @param {Array} assetIds - Assets the user is assigned to
+ * @param {String} channel - sensorReadings or safetyAlerts
+ * @param {String} assetId - Asset the room is narrowed to, if any
+ * @returns {Boolean} - True if the user may be in the room
+ */
+const isRoomAllowed = (user, assetIds, channel, assetId) =>
+  hasPermission(user.role, CHANNEL_PERMISSIONS[channel]) && isAssetAllowed(assetIds, assetId);
+
+/**
+ * Leave every room a user is no longer allowed in, e.g. after signing in as
+ * someone else. If the assignments can't be read, every channel room is left
+ * @param {Object} socket - Client socket
+ * @param {Object} user - Decoded user
+ */
+const leaveForbiddenRooms = async (socket, user) => {
+  let assetIds = null;
+  try {
+    assetIds = await getUserAssetIds(user.id);
+  } catch (err) {
+    console.error(`Error checking asset assignments of ${user.email}:`, err.message);
+  }
+  
+  for (const room of socket.rooms) {
+    const [channel, assetId] = room.split(':');
+    if (CHANNEL_PERMISSIONS[channel] && !(assetIds && isRoomAllowed(user, assetIds, channel, assetId))) {
+      socket.leave(room);
+    }
+  }
+};
+
 /**
  * Set up Socket.IO event handlers
  */
 const setupEventHandlers = () => {
+  io.use(authenticateHandshake);
+  
   io.on('connection', (socket) => {
-    console.log(`Client connected: ${socket.id}`);
+    const { user } = socket.data;
+    console.log(`Client connected: ${socket.id} (${user.email})`);
     
-    // Store connection with default subscriptions
-    activeConnections.set(socket.id, {
+    // Nothing is streamed until the client subscribes to the rooms it shows
+    const connection = {
       id: socket.id,
-      subscriptions: {
-        sensorReadings: true,
-        safetyAlerts: true
-      },
-      user: null
-    });
+      expiryTimer: null
+    };
+    activeConnections.set(socket.id, connection);
+    scheduleExpiry(socket, connection);
     
-    // Handle subscription management
-    socket.on('subscribe', (channel) => {
-      console.log(`Client ${socket.id} subscribed to ${channel}`);
-      const connection = activeConnections.get(socket.id);
-      if (connection) {
-        connection.subscriptions[channel] = true;
+    // Handle subscription management; an optional acknowledgement callback
+    // receives the outcome as well
+    socket.on('subscribe', async (request, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const { channel, assetId, room, error } = parseSubscription(request);
+      
+      let message = error;
+      if (!message) {
+        try {
+          const assetIds = await getUserAssetIds(socket.data.user.id);
+          if (!isRoomAllowed(socket.data.user, assetIds, channel, assetId)) {
+            message = `Not permitted to subscribe to ${room}`;
+          }
+        } catch (err) {
+          console.error(`Error checking subscription of ${socket.id}:`, err.message);
+          message = 'Could not check subscription permissions, try again shortly';
+        }
       }
+      if (message) {
+        socket.emit('subscriptionError', { channel, request, message });
+        respond({ success: false, message });
+        return;
+      }
+      
+      console.log(`Client ${socket.id} subscribed to ${room}`);
+      socket.join(room);
+      respond({ success: true, room });
     });
     
-    socket.on('unsubscribe', (channel) => {
-      console.log(`Client ${socket.id} unsubscribed from ${channel}`);
-      const connection = activeConnections.get(socket.id);
-      if (connection) {
-        connection.subscriptions[channel] = false;
+    socket.on('unsubscribe', (request, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      // Don't require the asset to still exist to leave its room
+      const { room, error } = parseSubscription(request, false);
+      if (error) {
+        respond({ success: false, message: error });
+        return;
       }
+      
+      console.log(`Client ${socket.id} unsubscribed from ${room}`);
+      socket.leave(room);
+      respond({ success: true, room });
     });
     
-    // Handle authentication
-    socket.on('authenticate', (userData) => {
-      console.log(`Client ${socket.id} authenticated as ${userData.name || userData.email}`);
-      const connection = activeConnections.get(socket.id);
-      if (connection) {
-        connection.user = userData;
+    // Swap in a new token (e.g. after signing in again) without reconnecting
+    socket.on('authenticate', async (data = {}) => {
+      let verified;
+      try {
+        verified = verifyToken(data.token);
+      } catch (err) {
+        socket.emit('authenticated', { success: false, message: 'Invalid or expired token' });
+        socket.disconnect(true);
+        return;
       }
       
+      socket.data.user = verified;
+      console.log(`Client ${socket.id} authenticated as ${verified.email}`);
+      scheduleExpiry(socket, connection);
+      await leaveForbiddenRooms(socket, verified);
+      
       // Acknowledge authentication
-      socket.emit('authenticated', { success: true });
+      socket.emit('authenticated', {
+        success: true,
+        user: { id: verified.id, email: verified.email, role: verified.role }
+      });
     });
     
     // Handle disconnection
     socket.on('disconnect', () => {
       console.log(`Client disconnected: ${socket.id}`);
+      clearTimeout(connection.expiryTimer);
       activeConnections.delete(socket.id);
     });
   });
 };
 
 /**
- * Emit sensor readings to subscribed clients
- * @param {Object} readings - Sensor readings data
+ * Emit sensor readings for an asset to the rooms subscribed to them. The
+ * fleet-wide and asset rooms get every reading; each sensor type room gets
+ * only its own, and only if the socket isn't already getting the full set.
+ * Anomaly events that opened or ended with these readings go to everyone
+ * receiving their sensor; anomalies aren't alerts, so they travel with the readings
+ * @param {String} assetId - Asset the readings belong to
+ * @param {Object} readings - Sensor readings data, keyed by sensor type
+ * @param {Array} anomalies - Optional anomaly events from the anomaly service
  */
-const emitSensorReadings = (readings) => {
+const emitSensorReadings = (assetId, readings, anomalies = []) => {
   if (!io) {
     console.error('Socket.IO not initialized');
     return;
   }
   
-  // Emit to all clients subscribed to sensorReadings
-  for (const [socketId, connection] of activeConnections.entries()) {
-    if (connection.subscriptions.sensorReadings) {
-      io.to(socketId).emit('sensorReadings', readings);
-    }
+  const fullRooms = ['sensorReadings', getRoomName('sensorReadings', assetId)];
+  io.to(fullRooms).emit('sensorReadings', { assetId, readings });
+  
+  Object.entries(readings).forEach(([sensorType, reading]) => {
+    io.to(getRoomName('sensorReadings', assetId, sensorType))
+      .except(fullRooms)
+      .emit('sensorReadings', { assetId, readings: { [sensorType]: reading } });
+  });
+  
+  anomalies.forEach(anomaly => {
+    io.to([...fullRooms, getRoomName('sensorReadings', assetId, anomaly.sensorType)])
+      .emit('sensorAnomaly', anomaly);
+  });
+};
+
+/**
+ * Rooms that should receive an alert, from the fleet-wide room down to the
+ * alert's asset and sensor type
+ * @param {Object} alert - Safety alert
+ * @returns {Array} - Room names
+ */
+const getAlertRooms = (alert) => [
+  'safetyAlerts',
+  getRoomName('safetyAlerts', alert.assetId),
+  getRoomName('safetyAlerts', alert.assetId, alert.type)
+];
+
+/**
+ * Emit a batch of alerts so each room receives only the alerts for its
+ * asset or sensor type, in one message per room
+ * @param {String} event - Event name
+ * @param {Array} alerts - Alerts to emit
+ */
+const emitAlertBatch = (event, alerts) => {
+  if (!io) {
+    console.error('Socket.IO not initialized');
+    return;
+  }
+  
+  if (alerts.length === 0) return;
+  
+  io.to('safetyAlerts').emit(event, alerts);
+  
+  // Group the alerts by the narrower rooms, remembering which rooms above
+  // each one already receive them
+  const groups = new Map();
+  alerts.forEach(alert => {
+    const [fleetRoom, assetRoom, sensorRoom] = getAlertRooms(alert);
+    [[assetRoom, [fleetRoom]], [sensorRoom, [fleetRoom, assetRoom]]].forEach(([room, covered]) => {
+      if (!groups.has(room)) {
+        groups.set(room, { covered, alerts: [] });
+      }
+      groups.get(room).alerts.push(alert);
+    });
+  });
+  
+  for (const [room, group] of groups.entries()) {
+    io.to(room).except(group.covered).emit(event, group.alerts);
   }
 };
 
 /**
- * Emit a safety alert to subscribed clients
+ * Emit a safety alert to the rooms subscribed to it
  * @param {Object} alert - Safety alert data
  */
 const emitSafetyAlert = (alert) => {
@@ -112,37 +365,74 @@ const emitSafetyAlert = (alert) => {
     return;
   }
   
-  // Emit to all clients subscribed to safetyAlerts
-  for (const [socketId, connection] of activeConnections.entries()) {
-    if (connection.subscriptions.safetyAlerts) {
-      io.to(socketId).emit('safetyAlert', alert);
-    }
-  }
+  // A socket in several of the rooms still gets the alert once
+  io.to(getAlertRooms(alert)).emit('safetyAlert', alert);
 };
 
 /**
- * Emit multiple safety alerts to subscribed clients
+ * Emit multiple safety alerts to the rooms subscribed to them
  * @param {Array} alerts - Array of safety alert data
  */
 const emitMultipleSafetyAlerts = (alerts) => {
+  emitAlertBatch('safetyAlerts', alerts);
+};
+
+/**
+ * Emit progress (current value, peak value, duration) of ongoing alert episodes
+ * @param {Array} alerts - Array of updated alerts
+ */
+const emitSafetyAlertUpdates = (alerts) => {
+  emitAlertBatch('safetyAlertsUpdated', alerts);
+};
+
+/**
+ * Emit alert episodes that have closed because their readings cleared
+ * @param {Array} alerts - Array of closed alerts
+ */
+const emitClearedSafetyAlerts = (alerts) => {
+  emitAlertBatch('safetyAlertsCleared', alerts);
+};
+
+/**
+ * Emit a change to an alert's lifecycle state (acknowledged, resolved or
+ * assigned) so every dashboard shows the same status
+ * @param {Object} alert - Updated alert
+ */
+const emitAlertUpdate = (alert) => {
   if (!io) {
     console.error('Socket.IO not initialized');
     return;
   }
   
-  if (alerts.length > 0) {
-    // Emit to all clients subscribed to safetyAlerts
-    for (const [socketId, connection] of activeConnections.entries()) {
-      if (connection.subscriptions.safetyAlerts) {
-        io.to(socketId).emit('safetyAlerts', alerts);
-      }
-    }
+  io.to(getAlertRooms(alert)).emit('alertUpdated', alert);
+};
+
+/**
+ * Emit the health of a data source such as a PLC link to everyone receiving
+ * readings for its asset
+ * @param {Object} status - Data source status ({ id, type, assetId, connected, ... })
+ * @param {Array} sensorTypes - Sensor types the source provides
+ */
+const emitDataSourceStatus = (status, sensorTypes = []) => {
+  if (!io) {
+    console.error('Socket.IO not initialized');
+    return;
   }
+  
+  io.to([
+    'sensorReadings',
+    getRoomName('sensorReadings', status.assetId),
+    ...sensorTypes.map(type => getRoomName('sensorReadings', status.assetId, type))
+  ]).emit('dataSourceStatus', status);
 };
 
 module.exports = {
   initialize,
   emitSensorReadings,
   emitSafetyAlert,
-  emitMultipleSafetyAlerts
+  emitMultipleSafetyAlerts,
+  emitSafetyAlertUpdates,
+  emitClearedSafetyAlerts,
+  emitAlertUpdate,
+  emitDataSourceStatus
 }; 
\ No newline at end of file
@@ -0,0 +1,120 @@
+const supabase = require('../config/supabase');
+
+// Number of changes returned by a history request unless a limit is given
+const DEFAULT_HISTORY_LIMIT = 100;
+
+// Change ids are UUIDs; anything else can't match a stored change
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Convert a row from the Supabase threshold_changes table into a change object
+ * @param {Object} row - Database row
+ * @returns {Object} - Threshold change
+ */
+const toChange = (row) => ({
+  id: row.id,
+  sensorType: row.sensor_type,
+  assetId: row.asset_id,
+  oldValues: row.old_values,
+  newValues: row.new_values,
+  changedBy: row.changed_by,
+  reason: row.reason,
+  rollbackOf: row.rollback_of,
+  createdAt: row.created_at
+});
+
+/**
+ * Load every recorded threshold change, oldest first, so the current
+ * thresholds can be rebuilt by replaying them
+ * @returns {Promise<Array>} - Threshold changes
+ */
+const loadThresholdChanges = async () => {
+  const { data, error } = await supabase
+    .from('threshold_changes')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error loading threshold changes: ${error.message}`);
+  }
+
+  return data.map(toChange);
+};
+
+/**
+ * Record a threshold change. The change is only applied once it has been stored
+ * @param {Object} change - ({ sensorType, assetId, oldValues, newValues, userId, reason, rollbackOf })
+ * @returns {Promise<Object>} - Stored change
+ */
+const recordThresholdChange = async ({ sensorType, assetId, oldValues, newValues, userId, reason, rollbackOf }) => {
+  const { data, error } = await supabase
+    .from('threshold_changes')
+    .insert([{
+      sensor_type: sensorType,
+      asset_id: assetId || null,
+      old_values: oldValues,
+      new_values: newValues,
+      changed_by: userId || null,
+      reason: reason || null,
+      rollback_of: rollbackOf || null
+    }])
+    .select();
+
+  if (error) {
+    throw new Error(`Error storing threshold change: ${error.message}`);
+  }
+
+  return toChange(data[0]);
+};
+
+/**
+ * Get recorded threshold changes, newest first
+ * @param {Object} filters - Optional filters ({ sensorType, assetId, limit })
+ * @returns {Promise<Array>} - Threshold changes
+ */
+const getThresholdHistory = async ({ sensorType, assetId, limit = DEFAULT_HISTORY_LIMIT } = {}) => {
+  let query = supabase
+    .from('threshold_changes')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (sensorType) query = query.eq('sensor_type', sensorType);
+  if (assetId) query = query.eq('asset_id', assetId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Error fetching threshold history: ${error.message}`);
+  }
+
+  return data.map(toChange);
+};
+
+/**
+ * Get a single recorded threshold change
+ * @param {String} changeId - Change id
+ * @returns {Promise<Object|null>} - The change, or null if it is unknown
+ */
+const getThresholdChange = async (changeId) => {
+  if (!UUID_PATTERN.test(changeId)) return null;
+
+  const { data, error } = await supabase
+    .from('threshold_changes')
+    .select('*')
+    .eq('id', changeId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Error fetching threshold change: ${error.message}`);
+  }
+
+  return data[0] ? toChange(data[0]) : null;
+};
+
+module.exports = {
+  loadThresholdChanges,
+  recordThresholdChange,
+  getThresholdHistory,
+  getThresholdChange
+};
@@ -0,0 +1,79 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Get the ids of the assets a user is assigned to
+ * @param {String} userId - The user
+ * @returns {Promise<Array>} - Asset ids
+ */
+const getUserAssetIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_assets')
+    .select('asset_id')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Error fetching user assets: ${error.message}`);
+  }
+
+  return data.map(row => row.asset_id);
+};
+
+/**
+ * Check whether a user's assignments cover an asset. Users without
+ * assignments may see every asset
+ * @param {Array} assetIds - The user's assigned asset ids
+ * @param {String} assetId - The asset
+ * @returns {Boolean} - True if the user may see the asset
+ */
+const isAssetAllowed = (assetIds, assetId) => assetIds.length === 0 || assetIds.includes(assetId);
+
+/**
+ * Replace the assets a user is assigned to
+ * @param {String} userId - The user
+ * @param {Array} assetIds - Asset ids
+ * @returns {Promise<Array>} - The assigned asset ids
+ */
+const setUserAssets = async (userId, assetIds) => {
+  const { error: deleteError } = await supabase
+    .from('user_assets')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    throw new Error(`Error updating user assets: ${deleteError.message}`);
+  }
+
+  if (assetIds.length > 0) {
+    const { error } = await supabase
+      .from('user_assets')
+      .insert(assetIds.map(assetId => ({ user_id: userId, asset_id: assetId })));
+
+    if (error) {
+      throw new Error(`Error updating user assets: ${error.message}`);
+    }
+  }
+
+  return assetIds;
+};
+
+/**
+ * Remove every assignment to an asset, e.g. when the asset is deleted
+ * @param {String} assetId - The asset
+ */
+const clearAssetAssignments = async (assetId) => {
+  const { error } = await supabase
+    .from('user_assets')
+    .delete()
+    .eq('asset_id', assetId);
+
+  if (error) {
+    throw new Error(`Error removing asset assignments: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getUserAssetIds,
+  isAssetAllowed,
+  setUserAssets,
+  clearAssetAssignments
+};
@@ -0,0 +1,75 @@
+// Test script for the EWMA anomaly detection, run against seeded simulator readings
+require('dotenv').config();
+
+// The anomaly service loads the Supabase and InfluxDB clients, which need settings even though nothing reaches them
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+process.env.INFLUXDB_URL = process.env.INFLUXDB_URL || 'http://localhost:8086';
+
+const simulatorClock = require('../services/simulatorClock');
+const { createReadingGenerator } = require('../services/sensorSimulator');
+const anomalyService = require('../services/anomalyService');
+
+let failures = 0;
+const check = (description, passed, details) => {
+  if (passed) {
+    console.log(`✅ ${description}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${description}`, details === undefined ? '' : details);
+  }
+};
+
+async function main() {
+  console.log('=== Anomaly Detection Test ===');
+
+  const generate = createReadingGenerator(simulatorClock.createRandom('anomaly'));
+  const start = Date.parse('2025-01-01T00:00:00Z');
+  const opened = [];
+  const closed = [];
+  let warmBand = null;
+
+  // Ten minutes of normal readings, then a minute with the temperature 12 °C
+  // up (still under every threshold), then five minutes back to normal
+  for (let second = 0; second < 16 * 60; second++) {
+    const { default: readings } = generate(['default'], [], start + second * 1000);
+    if (second >= 600 && second < 660) {
+      readings.TEMPERATURE = { ...readings.TEMPERATURE, value: readings.TEMPERATURE.value + 12 };
+    }
+
+    const result = anomalyService.checkReadings(readings, 'default');
+    opened.push(...result.opened);
+    closed.push(...result.closed);
+
+    if (second === 20) {
+      check('Baselines have no band while warming up', result.bands.TEMPERATURE === null, result.bands);
+    }
+    if (second === 599) {
+      warmBand = result.bands.TEMPERATURE;
+    }
+  }
+
+  check('A warm baseline has a band around the simulated value',
+    warmBand && warmBand.lower < 55 && warmBand.upper > 55 && warmBand.upper < 67, warmBand);
+  check('Normal readings raise no anomalies', opened.every(event => Date.parse(event.timestamp) >= start + 600000), opened);
+
+  const anomaly = opened.find(event => event.sensorType === 'TEMPERATURE');
+  check('The temperature jump opens a high anomaly', anomaly && anomaly.direction === 'high' &&
+    anomaly.zScore > anomalyService.SIGMA, anomaly);
+  check('No other sensor opens an anomaly', opened.every(event => event.sensorType === 'TEMPERATURE'), opened);
+  check('The anomaly ends once readings are back inside the band',
+    anomaly && closed.some(event => event.id === anomaly.id && !event.active && event.endedAt), closed);
+
+  const band = anomalyService.getBaselines('default').TEMPERATURE;
+  check('A minute-long jump barely moves the baseline', band && Math.abs(band.mean - warmBand.mean) < 2, { warmBand, band });
+  check('Ended anomalies are listed as inactive',
+    anomalyService.getAnomalies({ assetId: 'default', active: false }).some(event => anomaly && event.id === anomaly.id));
+
+  console.log(failures === 0 ? '\nAll anomaly checks passed.' : `\n${failures} check(s) failed.`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('❌ Anomaly test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+// Test script for the degradation forecast, run against synthetic histories
+require('dotenv').config();
+
+// The forecast loads the Supabase and InfluxDB clients, which need settings even though nothing reaches them
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+process.env.INFLUXDB_URL = process.env.INFLUXDB_URL || 'http://localhost:8086';
+
+const simulatorClock = require('../services/simulatorClock');
+const sensorHistoryService = require('../services/sensorHistoryService');
+const { getSensorType, getSensorTypes } = require('../services/sensorTypeService');
+const { getThresholds } = require('../services/safetyThresholdService');
+
+const NOW = Date.parse('2025-01-08T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// Stand-in for InfluxDB that answers with the history built below
+let history = [];
+sensorHistoryService.queryReadingsHistory = async () => history;
+
+const { forecastSensor, forecastAsset } = require('../services/forecastService');
+
+let failures = 0;
+const check = (description, passed, details) => {
+  if (passed) {
+    console.log(`✅ ${description}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${description}`, details === undefined ? '' : details);
+  }
+};
+
+// A week of hourly points starting at a value, changing by perDay, with seeded noise
+const series = (start, perDay, noise, seed, hours = 168) => {
+  const random = simulatorClock.createRandom(seed);
+  return Array.from({ length: hours }, (_, i) => {
+    const time = NOW - (hours - 1 - i) * HOUR;
+    const elapsedDays = (time - (NOW - (hours - 1) * HOUR)) / (24 * HOUR);
+    return { time, value: start + perDay * elapsedDays + (random() * 2 - 1) * noise };
+  });
+};
+
+const forecast = (type, points) => forecastSensor(points, getThresholds(type), getSensorType(type), NOW);
+
+async function main() {
+  console.log('=== Degradation Forecast Test ===');
+
+  // Vibration rising 0.5 mm/s a day from 4 reaches 7.5 now and the 10 mm/s limit in 5 days
+  const rising = forecast('VIBRATION', series(4, 0.5, 0.3, 'rising'));
+  check('A rising vibration is degrading towards its maximum', rising.status === 'degrading' &&
+    rising.direction === 'high' && rising.limit === 10, rising);
+  check('The crossing is projected about 5 days out', Math.abs(rising.daysToThreshold - 5) < 0.5, rising);
+  check('The confidence interval brackets the projection and is reasonably tight',
+    rising.confidenceInterval.earliestDays < rising.daysToThreshold &&
+    rising.confidenceInterval.latestDays > rising.daysToThreshold &&
+    rising.confidenceInterval.latestDays - rising.confidenceInterval.earliestDays < 2, rising.confidenceInterval);
+
+  const noisy = forecast('VIBRATION', series(4, 0.5, 1.5, 'noisy'));
+  check('Noisier readings widen the confidence interval',
+    noisy.confidenceInterval && rising.confidenceInterval &&
+    noisy.confidenceInterval.latestDays - noisy.confidenceInterval.earliestDays >
+    rising.confidenceInterval.latestDays - rising.confidenceInterval.earliestDays, noisy);
+
+  const flat = forecast('VIBRATION', series(5, 0, 1, 'flat'));
+  check('A flat vibration is stable with no crossing', flat.status === 'stable' && flat.daysToThreshold === null, flat);
+
+  const cooling = forecast('TEMPERATURE', series(60, -3, 1, 'cooling'));
+  check('A falling temperature with no low limit above its range is stable', cooling.status === 'stable', cooling);
+
+  const short = forecast('TEMPERATURE', series(55, 1, 1, 'short', 5));
+  check('A few hours of history is not enough', short.status === 'insufficient_data', short);
+
+  const hot = forecast('TEMPERATURE', series(78, 2, 0.5, 'hot'));
+  check('A reading already past the limit is due now', hot.status === 'exceeded' && hot.daysToThreshold === 0, hot);
+
+  // Temperature rising 2 °C a day reaches 80 °C in about 4 days, before the vibration
+  const vibration = series(4, 0.5, 0.3, 'asset-vibration');
+  const temperature = series(58, 2, 0.5, 'asset-temperature');
+  history = vibration.map((point, i) => ({
+    timestamp: new Date(point.time).toISOString(),
+    assetId: 'default',
+    VIBRATION: { value: point.value },
+    TEMPERATURE: { value: temperature[i].value }
+  })).reverse();
+
+  const assetForecast = await forecastAsset('default', { now: NOW });
+  check('The asset forecast covers every registered sensor type',
+    Object.keys(assetForecast.sensors).join() === getSensorTypes().map(sensorType => sensorType.type).join(),
+    Object.keys(assetForecast.sensors));
+  check('Sensors without history have too little data',
+    assetForecast.sensors.CURRENT && assetForecast.sensors.CURRENT.status === 'insufficient_data', assetForecast.sensors.CURRENT);
+  check('The days to service come from the sensor that crosses first',
+    assetForecast.limitingSensor === 'TEMPERATURE' &&
+    assetForecast.daysToService === assetForecast.sensors.TEMPERATURE.daysToThreshold &&
+    assetForecast.daysToService < assetForecast.sensors.VIBRATION.daysToThreshold, assetForecast);
+
+  const named = await forecastAsset('default', { sensorTypes: ['TEMPERATURE', 'NOT_REGISTERED'], now: NOW });
+  check('Sensor types that aren\'t registered are skipped', Object.keys(named.sensors).join() === 'TEMPERATURE', named.sensors);
+
+  console.log(failures === 0 ? '\nAll forecast checks passed.' : `\n${failures} check(s) failed.`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('❌ Forecast test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+// Test script for the InfluxDB write and history query paths, run against a local stand-in
+require('dotenv').config();
+
+// Sensor types load the Supabase client, which needs settings even though nothing reaches it
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+
+const { startInfluxStandIn } = require('./influxdb-stand-in');
+
+let failures = 0;
+const check = (description, passed, details) => {
+  if (passed) {
+    console.log(`✅ ${description}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${description}`, details === undefined ? '' : details);
+  }
+};
+
+// A pivoted, windowed answer as InfluxDB sends it; the second row has no vibration reading
+const HISTORY_CSV = [
+  '#datatype,string,long,dateTime:RFC3339,string,double,double',
+  '#group,false,false,false,false,false,false',
+  '#default,_result,,,,,',
+  ',result,table,_time,asset_id,TEMPERATURE,VIBRATION',
+  ',,0,2025-01-01T01:00:00Z,default,56.4567,5.123',
+  ',,0,2025-01-01T00:55:00Z,default,55.1,',
+  ''
+].join('\r\n');
+
+async function main() {
+  console.log('=== InfluxDB Pipeline Test ===');
+
+  const influx = await startInfluxStandIn({ query: () => HISTORY_CSV });
+
+  // The client and writer read their settings when first loaded
+  process.env.INFLUXDB_URL = influx.url;
+  process.env.INFLUXDB_TOKEN = 'test-token';
+  process.env.INFLUXDB_ORG = 'test-org';
+  process.env.INFLUXDB_BUCKET = 'test-bucket';
+
+  const { writePoint, flush, getWriterStats, shutdown } = require('../services/influxWriter');
+  const { queryReadingsHistory } = require('../services/sensorHistoryService');
+
+  await writePoint('sensor_readings',
+    { sensor_type: 'TEMPERATURE', asset_id: 'pump 1' },
+    { value: 55.5, is_safe: true },
+    '2025-01-01T00:00:00.000Z');
+  await writePoint('safety_alerts',
+    { type: 'VIBRATION', asset_id: 'default', severity: 'critical' },
+    { value: 11.2, threshold: 10, message: 'Vibration above 10, "critical"' },
+    '2025-01-01T00:00:01.000Z');
+  await flush();
+
+  const lines = influx.writes.flat();
+  check('Queued points are sent in one write', influx.writes.length === 1 && lines.length === 2, influx.writes);
+  check('A reading is written as line protocol with escaped tags and millisecond time',
+    lines[0] === 'sensor_readings,asset_id=pump\\ 1,sensor_type=TEMPERATURE is_safe=T,value=55.5 1735689600000', lines[0]);
+  check('String fields are quoted and escaped',
+    lines[1] === 'safety_alerts,asset_id=default,severity=critical,type=VIBRATION message="Vibration above 10, \\"critical\\"",threshold=10,value=11.2 1735689601000', lines[1]);
+  check('The writer counts what it wrote', getWriterStats().written === 2 && getWriterStats().queueDepth === 0, getWriterStats());
+
+  const rows = await queryReadingsHistory({
+    assetId: 'default',
+    start: '2025-01-01T00:00:00Z',
+    stop: '2025-01-01T02:00:00Z',
+    window: '5m',
+    aggregation: 'mean',
+    limit: 100
+  });
+
+  const query = influx.queries[0] || '';
+  check('The range becomes a Flux range', query.includes('range(start: time(v: "2025-01-01T00:00:00.000Z"), stop: time(v: "2025-01-01T02:00:00.000Z"))'), query);
+  check('The asset becomes a filter', query.includes('r.asset_id == "default"'), query);
+  check('The window becomes an aggregateWindow', query.includes('aggregateWindow(every: duration(v: "5m"), fn: mean, createEmpty: false)'), query);
+  check('The limit is applied', query.includes('limit(n: 100)'), query);
+
+  check('Each row becomes a history entry', rows.length === 2 &&
+    rows[0].timestamp === '2025-01-01T01:00:00Z' && rows[0].assetId === 'default', rows);
+  check('Values are rounded and carry their sensor type\'s unit',
+    rows[0].TEMPERATURE && rows[0].TEMPERATURE.value === 56.46 && rows[0].TEMPERATURE.unit === '°C' &&
+    rows[0].VIBRATION && rows[0].VIBRATION.value === 5.12 && rows[0].VIBRATION.unit === 'mm/s', rows[0]);
+  check('A sensor missing from a row is left out', rows[1].TEMPERATURE && rows[1].VIBRATION === undefined, rows[1]);
+
+  shutdown();
+  await influx.close();
+
+  console.log(failures === 0 ? '\nAll InfluxDB pipeline checks passed.' : `\n${failures} check(s) failed.`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('❌ InfluxDB pipeline test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+// Local stand-in for the InfluxDB v2 HTTP API, implementing the line protocol
+// write endpoint and the Flux query endpoint the backend uses
+const http = require('http');
+
+/**
+ * Start the stand-in on a free local port
+ * @param {Object} options - Optional handlers:
+ *   write(lines, req) returns an HTTP status (or a promise of one) to answer a
+ *   write with (default 204), or 'reset' to drop the connection the way an
+ *   unreachable server would;
+ *   query(flux, req) returns the annotated CSV to answer a query with
+ * @returns {Promise<Object>} - { url, writes, queries, close } where writes
+ *   holds the line protocol lines of each accepted write and queries each Flux query
+ */
+const startInfluxStandIn = (options = {}) => new Promise(resolve => {
+  const writes = [];
+  const queries = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'POST' && pathname === '/api/v2/write') {
+        const lines = body.split('\n').filter(Boolean);
+        Promise.resolve(options.write ? options.write(lines, req) : 204).then(status => {
+          if (status === 'reset') {
+            req.socket.destroy();
+            return;
+          }
+          if (status < 300) {
+            writes.push(lines);
+            res.writeHead(status);
+            res.end();
+            return;
+          }
+          res.writeHead(status, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ code: status < 500 ? 'invalid' : 'internal error', message: `stand-in answered ${status}` }));
+        });
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === '/api/v2/query') {
+        const { query } = JSON.parse(body);
+        queries.push(query);
+        res.writeHead(200, { 'content-type': 'text/csv; charset=utf-8' });
+        res.end(options.query ? options.query(query, req) : '');
+        return;
+      }
+
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ code: 'not found', message: `${req.method} ${pathname}` }));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      writes,
+      queries,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startInfluxStandIn };
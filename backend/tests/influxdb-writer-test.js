@@ -0,0 +1,134 @@
+// Test script for the InfluxDB write pipeline's retry, spool, replay and
+// shutdown paths, run against a local stand-in that can fail on demand
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startInfluxStandIn } = require('./influxdb-stand-in');
+
+const SPOOL_FILE = path.join(os.tmpdir(), `influxdb-writer-test-${process.pid}.lp`);
+
+// How the stand-in answers writes: a status code, 'reset', or 'poison' to
+// reject only batches holding a poison point
+let mode = 204;
+let delay = 0;
+
+let failures = 0;
+const check = (description, passed, details) => {
+  if (passed) {
+    console.log(`✅ ${description}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${description}`, details === undefined ? '' : details);
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  console.log('=== InfluxDB Writer Test ===');
+
+  const influx = await startInfluxStandIn({
+    write: async (lines) => {
+      if (delay) await wait(delay);
+      if (mode === 'poison') {
+        return lines.some(line => line.startsWith('poison')) ? 400 : 204;
+      }
+      return mode;
+    }
+  });
+
+  // The writer reads its settings when first loaded; small batches so the spool replays in several
+  process.env.INFLUXDB_URL = influx.url;
+  process.env.INFLUXDB_TOKEN = 'test-token';
+  process.env.INFLUXDB_ORG = 'test-org';
+  process.env.INFLUXDB_SPOOL_FILE = SPOOL_FILE;
+  process.env.INFLUXDB_BATCH_SIZE = '2';
+  process.env.INFLUXDB_FLUSH_INTERVAL = '60000';
+
+  const { writePoint, flush, getWriterStats, shutdown } = require('../services/influxWriter');
+  const written = () => influx.writes.flat();
+  const point = (measurement) => writePoint(measurement, { asset_id: 'default' }, { value: 1 });
+
+  // A batch the database refuses is dropped rather than retried
+  mode = 400;
+  await point('invalid');
+  await flush();
+  let stats = getWriterStats();
+  check('A rejected batch is dropped and counted', stats.rejected === 1 && stats.queueDepth === 0 &&
+    stats.spoolBytes === 0 && stats.consecutiveFailures === 0, stats);
+
+  // A server error is retried once the backoff has passed
+  mode = 503;
+  await point('retried');
+  await flush();
+  stats = getWriterStats();
+  check('A server error keeps the batch queued', stats.queueDepth === 1 && stats.consecutiveFailures === 1, stats);
+
+  mode = 204;
+  await flush();
+  check('Nothing is sent while backing off', written().length === 0, written());
+  await wait(1100);
+  await flush();
+  check('The batch is written once the backoff has passed',
+    written().some(line => line.startsWith('retried')) && getWriterStats().consecutiveFailures === 0, getWriterStats());
+
+  // An unreachable database has its points spooled after repeated failures
+  mode = 'reset';
+  await point('spooled');
+  await flush();
+  await wait(1100);
+  await flush();
+  await wait(2100);
+  await flush();
+  stats = getWriterStats();
+  check('Points are spooled once the database has been unreachable for a while',
+    stats.consecutiveFailures === 3 && stats.queueDepth === 0 && stats.spoolBytes > 0 && !stats.databaseAvailable, stats);
+
+  // Points queued while backing off go to the spool too, poison included
+  await point('queued');
+  await point('poison');
+  await flush();
+  check('Points queued while the database is down are spooled',
+    fs.readFileSync(SPOOL_FILE, 'utf8').split('\n').filter(Boolean).length === 3, fs.readFileSync(SPOOL_FILE, 'utf8'));
+
+  // On recovery the spool is replayed; the batch the database refuses doesn't block the rest
+  mode = 'poison';
+  await wait(4100);
+  await flush();
+  stats = getWriterStats();
+  check('The spool is replayed on recovery', ['spooled', 'queued'].every(name =>
+    written().some(line => line.startsWith(name))) && stats.replayed === 2, stats);
+  check('A rejected batch in the spool is dropped instead of kept',
+    stats.rejected === 2 && stats.spoolBytes === 0 && !written().some(line => line.startsWith('poison')), stats);
+
+  // Shutdown waits for a write under way
+  mode = 204;
+  delay = 300;
+  await point('in-flight');
+  flush();
+  await shutdown();
+  check('Shutdown waits for the write under way', written().some(line => line.startsWith('in-flight')) &&
+    getWriterStats().spoolBytes === 0, getWriterStats());
+
+  // ...and keeps its batch if that write fails
+  mode = 503;
+  await point('kept');
+  flush();
+  await shutdown();
+  const spooled = fs.existsSync(SPOOL_FILE) ? fs.readFileSync(SPOOL_FILE, 'utf8') : '';
+  check('A batch whose write fails during shutdown is spooled', spooled.startsWith('kept'), spooled);
+
+  fs.rmSync(SPOOL_FILE, { force: true });
+  await influx.close();
+
+  console.log(failures === 0 ? '\nAll InfluxDB writer checks passed.' : `\n${failures} check(s) failed.`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  fs.rmSync(SPOOL_FILE, { force: true });
+  console.error('❌ InfluxDB writer test failed:', err);
+  process.exit(1);
+});
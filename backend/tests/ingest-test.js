@@ -0,0 +1,89 @@
+// Test script for device ingestion, run against the live pipeline with a stand-in for Socket.IO
+require('dotenv').config();
+
+// The pipeline loads the Supabase and InfluxDB clients, which need settings even though these readings never reach them
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+process.env.INFLUXDB_URL = process.env.INFLUXDB_URL || 'http://localhost:8086';
+
+const { ingestReadings } = require('../services/ingestionService');
+const { getAssetReadings } = require('../controllers/sensorController');
+const { getSensorType } = require('../services/sensorTypeService');
+
+// Stand-in for the Socket.IO service that records what would be broadcast
+const emitted = [];
+const openedAlerts = [];
+const clearedAlerts = [];
+const socketService = {
+  emitSensorReadings: (assetId, readings) => emitted.push({ assetId, readings: { ...readings } }),
+  emitMultipleSafetyAlerts: (alerts) => openedAlerts.push(...alerts),
+  emitSafetyAlertUpdates: () => {},
+  emitClearedSafetyAlerts: (alerts) => clearedAlerts.push(...alerts)
+};
+
+// A gateway that may send readings for any asset
+const device = { assetIds: [] };
+
+let failures = 0;
+const check = (description, passed, details) => {
+  if (passed) {
+    console.log(`✅ ${description}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${description}`, details === undefined ? '' : details);
+  }
+};
+
+async function main() {
+  console.log('=== Ingestion Test ===');
+
+  const now = Date.now();
+  const at = (secondsAgo) => new Date(now - secondsAgo * 1000).toISOString();
+
+  // A critical temperature spike followed by a normal reading in the same batch
+  const result = await ingestReadings(socketService, device, [
+    { assetId: 'default', sensorType: 'TEMPERATURE', value: 55, timestamp: at(5) },
+    { assetId: 'default', sensorType: 'TEMPERATURE', value: 90, timestamp: at(4) },
+    { assetId: 'default', sensorType: 'TEMPERATURE', value: 56, timestamp: at(3) }
+  ], { now });
+
+  check('Every reading is accepted', result.accepted === 3 && result.late === 0, result);
+
+  const spike = openedAlerts.find(alert => alert.type === 'TEMPERATURE' && alert.assetId === 'default');
+  check('The spike opens an alert although a normal reading follows it',
+    spike && spike.severity === 'critical' && spike.peakValue === 90, openedAlerts);
+  check('The newest reading becomes the latest value',
+    (getAssetReadings('default') || {}).TEMPERATURE.value === 56, getAssetReadings('default'));
+  check('Only the newest reading is broadcast',
+    emitted.length === 1 && emitted[0].readings.TEMPERATURE.value === 56, emitted);
+
+  // A late vibration spike, older than the live reading, still raises its alert
+  await ingestReadings(socketService, device, [
+    { assetId: 'default', sensorType: 'VIBRATION', value: 3, timestamp: at(1) }
+  ], { now });
+  const late = await ingestReadings(socketService, device, [
+    { assetId: 'default', sensorType: 'VIBRATION', value: 12, timestamp: at(2) }
+  ], { now });
+
+  check('The older reading counts as late', late.late === 1, late);
+  check('A late spike opens an alert',
+    openedAlerts.some(alert => alert.type === 'VIBRATION' && alert.peakValue === 12), openedAlerts);
+  check('A late reading leaves the latest value alone',
+    getAssetReadings('default').VIBRATION.value === 3, getAssetReadings('default'));
+
+  // Without a hold time, the temperature alert clears with the next normal reading
+  delete getSensorType('TEMPERATURE').thresholds.holdTime;
+  await ingestReadings(socketService, device, [
+    { assetId: 'default', sensorType: 'TEMPERATURE', value: 57, timestamp: at(0) }
+  ], { now });
+  check('An alert without a hold time clears as soon as the reading is back in the clear band',
+    spike && clearedAlerts.some(alert => alert.id === spike.id && !alert.active), clearedAlerts);
+
+  console.log(failures === 0 ? '\nAll ingestion checks passed.' : `\n${failures} check(s) failed.`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('❌ Ingestion test failed:', err);
+  process.exit(1);
+});
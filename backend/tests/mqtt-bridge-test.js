@@ -0,0 +1,90 @@
+// Test script for the MQTT bridge, run against an in-process Aedes broker
+require('dotenv').config();
+
+// The pipeline loads the Supabase and InfluxDB clients, which need settings even though these readings never reach them
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+process.env.INFLUXDB_URL = process.env.INFLUXDB_URL || 'http://localhost:8086';
+
+const net = require('net');
+const mqtt = require('mqtt');
+const { startMqttBridge } = require('../services/mqttBridge');
+const { getAssetReadings } = require('../controllers/sensorController');
+
+// Stand-in for the Socket.IO service that records what would be broadcast
+const emitted = [];
+const socketService = {
+  emitSensorReadings: (assetId, readings) => emitted.push({ assetId, readings }),
+  emitMultipleSafetyAlerts: () => {},
+  emitSafetyAlertUpdates: () => {},
+  emitClearedSafetyAlerts: () => {}
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let failures = 0;
+const check = (description, passed, details) => {
+  if (passed) {
+    console.log(`✅ ${description}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${description}`, details === undefined ? '' : details);
+  }
+};
+
+async function main() {
+  console.log('=== MQTT Bridge Test ===');
+
+  // Start a broker on a free local port
+  const { Aedes } = await import('aedes');
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `mqtt://127.0.0.1:${server.address().port}`;
+  console.log(`Broker listening on ${url}`);
+
+  const bridge = startMqttBridge(socketService, { url, flushInterval: 100 });
+  const gateway = await mqtt.connectAsync(url, { clientId: 'test-gateway' });
+  await wait(300);
+
+  check('Bridge connects to the broker', bridge.getStats().connected);
+
+  const now = Date.now();
+  await gateway.publishAsync('plant/default/temperature', '61.5', { qos: 1 });
+  await gateway.publishAsync('plant/default/VIBRATION', JSON.stringify({ value: 4.2, unit: 'mm/s' }), { qos: 1 });
+  await gateway.publishAsync('plant/default/CURRENT', JSON.stringify({ value: 25, timestamp: new Date(now - 10000).toISOString() }), { qos: 1 });
+  await gateway.publishAsync('plant/default/CURRENT', JSON.stringify({ value: 23, timestamp: new Date(now - 15000).toISOString() }), { qos: 1 });
+  await wait(300);
+
+  // Arrives after a newer reading has been applied
+  await gateway.publishAsync('plant/default/CURRENT', JSON.stringify({ value: 24, timestamp: new Date(now - 20000).toISOString() }), { qos: 1 });
+  await gateway.publishAsync('plant/default/CURRENT', 'not a number', { qos: 1 });
+  await gateway.publishAsync('plant/unknown-asset/CURRENT', '10', { qos: 1 });
+  await gateway.publishAsync('plant/default/TEMPERATURE', JSON.stringify({ value: 60, unit: '°F' }), { qos: 1 });
+  await wait(500);
+
+  const readings = getAssetReadings('default') || {};
+  check('Plain numeric payload becomes a reading', readings.TEMPERATURE && readings.TEMPERATURE.value === 61.5, readings.TEMPERATURE);
+  check('JSON payload becomes a reading', readings.VIBRATION && readings.VIBRATION.value === 4.2, readings.VIBRATION);
+  check('Out-of-order readings keep the newest one', readings.CURRENT && readings.CURRENT.value === 25, readings.CURRENT);
+  check('Readings are broadcast', emitted.some(entry => entry.assetId === 'default'), emitted);
+
+  const stats = bridge.getStats();
+  check('Every message is counted', stats.received === 8, stats);
+  check('Valid readings are accepted', stats.accepted === 5, stats);
+  check('The older reading counts as late', stats.late === 1, stats);
+  check('Unreadable payloads, unknown assets and wrong units are rejected', stats.rejected === 3, stats);
+
+  await gateway.endAsync();
+  await bridge.stop();
+  await new Promise(resolve => broker.close(resolve));
+  server.close();
+
+  console.log(failures === 0 ? '\nAll MQTT bridge checks passed.' : `\n${failures} check(s) failed.`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('❌ MQTT bridge test failed:', err);
+  process.exit(1);
+});
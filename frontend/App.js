@@ -10,6 +10,8 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import LoginScreen from './src/screens/LoginScreen';
 import RegisterScreen from './src/screens/RegisterScreen';
 import DashboardScreen from './src/screens/DashboardScreen';
+import SessionsScreen from './src/screens/SessionsScreen';
+import SensorDetailsScreen from './src/screens/SensorDetailsScreen';
 
 // Context
 import { AuthProvider, useAuth } from './src/context/AuthContext';
@@ -47,6 +49,16 @@ const AppStack = () => (
       component={DashboardScreen} 
       options={{ title: 'Smart Maintenance' }} 
     />
+    <Stack.Screen 
+      name="Sessions" 
+      component={SessionsScreen} 
+      options={{ title: 'Signed-in Devices' }} 
+    />
+    <Stack.Screen 
+      name="SensorDetails" 
+      component={SensorDetailsScreen} 
+      options={({ route }) => ({ title: `${route.params.name || route.params.type} Details` })} 
+    />
   </Stack.Navigator>
 );
 
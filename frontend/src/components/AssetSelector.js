@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text, Menu, IconButton } from 'react-native-paper';
+
+/**
+ * Component for choosing which piece of equipment the dashboard shows
+ */
+const AssetSelector = ({ assets = [], selectedAssetId, onAssetChange }) => {
+  const [menuVisible, setMenuVisible] = useState(false);
+
+  // Get the name of the currently selected asset
+  const getSelectedLabel = () => {
+    const selected = assets.find(asset => asset.id === selectedAssetId);
+    return selected ? selected.name : 'Select asset';
+  };
+
+  // Handle opening the menu
+  const openMenu = () => setMenuVisible(true);
+
+  // Handle closing the menu
+  const closeMenu = () => setMenuVisible(false);
+
+  // Handle selecting an asset from the menu
+  const handleSelect = (assetId) => {
+    onAssetChange(assetId);
+    closeMenu();
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Asset</Text>
+      <Menu
+        visible={menuVisible}
+        onDismiss={closeMenu}
+        anchor={
+          <TouchableOpacity style={styles.dropdownButton} onPress={openMenu}>
+            <Text style={styles.selectedText} numberOfLines={1}>
+              {getSelectedLabel()}
+            </Text>
+            <IconButton
+              icon="chevron-down"
+              size={16}
+              style={styles.dropdownIcon}
+              color="#2196F3"
+            />
+          </TouchableOpacity>
+        }
+      >
+        {assets.map(asset => (
+          <Menu.Item
+            key={asset.id}
+            onPress={() => handleSelect(asset.id)}
+            title={asset.name}
+            description={asset.location}
+            titleStyle={[
+              styles.menuItemText,
+              selectedAssetId === asset.id ? styles.selectedMenuItemText : null
+            ]}
+            style={selectedAssetId === asset.id ? styles.selectedMenuItem : null}
+          />
+        ))}
+      </Menu>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'flex-end',
+    marginBottom: 6,
+  },
+  dropdownButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    borderRadius: 12,
+    paddingVertical: 2,
+    paddingLeft: 10,
+    paddingRight: 0,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    height: 24,
+    maxWidth: 160,
+  },
+  selectedText: {
+    fontWeight: 'bold',
+    fontSize: 12,
+    color: '#2196F3',
+  },
+  dropdownIcon: {
+    margin: 0,
+    padding: 0,
+    width: 20,
+    height: 20,
+  },
+  selectedMenuItem: {
+    backgroundColor: 'rgba(33, 150, 243, 0.1)',
+  },
+  menuItemText: {
+    fontSize: 14,
+  },
+  selectedMenuItemText: {
+    fontWeight: 'bold',
+  },
+  label: {
+    fontSize: 10,
+    color: '#757575',
+    marginBottom: 2,
+    textAlign: 'right',
+  }
+});
+
+export default AssetSelector;
@@ -10,13 +10,17 @@ import {
 import { Card, Button, ActivityIndicator, Icon } from 'react-native-paper';
 
 /**
- * Component to display connection status with retry functionality
+ * Component to display connection status with retry functionality.
+ * Used for the server connection and, with a label, for links such as PLCs
+ * that feed an asset
  */
 const ConnectionStatus = ({ 
   isConnected, 
   isReconnecting = false,
   onRetry,
   lastSyncTime,
+  label,
+  errorMessage,
   showDetails = true,
   style
 }) => {
@@ -37,7 +41,7 @@ const ConnectionStatus = ({
       color: '#F44336',
       text: 'Disconnected',
       icon: 'wifi-off',
-      details: 'Unable to connect to server'
+      details: errorMessage || 'Unable to connect to server'
     },
     reconnecting: {
       color: '#FFC107',
@@ -50,7 +54,8 @@ const ConnectionStatus = ({
   // Determine current status
   const currentStatus = isReconnecting ? 
     'reconnecting' : (isConnected ? 'connected' : 'disconnected');
-  const { color, text, icon, details } = statusInfo[currentStatus];
+  const { color, text: statusText, icon, details } = statusInfo[currentStatus];
+  const text = label ? `${label}: ${statusText}` : statusText;
   
   // Reconnecting animation
   useEffect(() => {
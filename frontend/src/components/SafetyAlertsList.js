@@ -10,29 +10,45 @@ import {
 } from 'react-native';
 import { Button, Card, Divider, Icon } from 'react-native-paper';
 
-// Define colors for different sensor types
-const alertColors = {
-  VIBRATION: '#9C27B0', // Purple
-  TEMPERATURE: '#F44336', // Red
-  CURRENT: '#FF9800', // Orange
+// Color and icon for alerts of a sensor type the server sent no metadata for
+const defaultAlertColor = '#757575'; // Gray
+const defaultAlertIcon = 'alert-circle';
+
+// Colors for alert severities; these take precedence over the sensor type color
+const severityColors = {
+  warning: '#FFA000', // Amber
+  critical: '#D32F2F' // Dark red
+};
+
+// Colors for the alert lifecycle states
+const statusColors = {
+  open: '#F44336', // Red
+  acknowledged: '#FF9800', // Orange
+  resolved: '#4CAF50', // Green
   default: '#757575' // Gray as fallback
 };
 
-// Icons for different sensor types
-const alertIcons = {
-  VIBRATION: 'vibrate',
-  TEMPERATURE: 'thermometer',
-  CURRENT: 'flash',
-  default: 'alert-circle'
+// Labels for alerts raised by an alert rule rather than a threshold band
+const ruleTypeLabels = {
+  rateOfChange: 'RATE',
+  sustained: 'SUSTAINED',
+  trend: 'TREND'
 };
 
+// Format an alert duration in seconds as e.g. "4m 20s"
+const formatDuration = (seconds = 0) =>
+  seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+
 /**
- * Component to display a list of safety alerts
+ * Component to display a list of safety alerts. Sensor names, colors and
+ * icons come from the sensor type metadata (GET /api/sensors/types)
  */
 const SafetyAlertsList = ({ 
   alerts = [], 
+  sensorTypes = [],
   onClearAll, 
   onAcknowledge,
+  onResolve,
   maxAlerts = 5,
   showHeader = true,
   containerStyle = {},
@@ -58,9 +74,10 @@ const SafetyAlertsList = ({
 
   // Render a single alert item
   const renderAlertItem = ({ item, index }) => {
-    // Get color based on alert type
-    const color = alertColors[item.type] || alertColors.default;
-    const icon = alertIcons[item.type] || alertIcons.default;
+    // Get color based on alert severity, falling back to the alert's sensor type
+    const meta = sensorTypes.find(sensorType => sensorType.type === item.type) || {};
+    const color = severityColors[item.severity] || meta.color || defaultAlertColor;
+    const icon = meta.icon || defaultAlertIcon;
     
     // Format timestamp
     const time = new Date(item.timestamp);
@@ -71,8 +88,10 @@ const SafetyAlertsList = ({
         alert={item} 
         color={color} 
         icon={icon}
+        typeName={meta.name || item.type}
         formattedTime={formattedTime}
         onAcknowledge={onAcknowledge}
+        onResolve={onResolve}
         isNew={index === 0}
       />
     );
@@ -101,7 +120,7 @@ const SafetyAlertsList = ({
         <FlatList
           data={alerts.slice(0, maxAlerts)}
           renderItem={renderAlertItem}
-          keyExtractor={(item) => `${item.type}-${item.timestamp}`}
+          keyExtractor={(item) => item.id || `${item.type}-${item.timestamp}`}
           ItemSeparatorComponent={() => <Divider style={styles.divider} />}
           contentContainerStyle={styles.listContent}
         />
@@ -119,7 +138,7 @@ const SafetyAlertsList = ({
 /**
  * Single alert item component with animation
  */
-const AlertItem = ({ alert, color, icon, formattedTime, onAcknowledge, isNew }) => {
+const AlertItem = ({ alert, color, icon, typeName, formattedTime, onAcknowledge, onResolve, isNew }) => {
   // Animation value for new alerts
   const [fadeAnim] = React.useState(new Animated.Value(isNew ? 0 : 1));
   const [scaleAnim] = React.useState(new Animated.Value(isNew ? 0.95 : 1));
@@ -158,19 +177,38 @@ const AlertItem = ({ alert, color, icon, formattedTime, onAcknowledge, isNew })
       <View style={styles.alertHeader}>
         <View style={styles.alertTypeContainer}>
           <Icon source={icon} size={16} color={color} />
-          <Text style={[styles.alertType, { color }]}>{alert.type}</Text>
+          <Text style={[styles.alertType, { color }]}>{typeName}</Text>
+          {alert.severity && (
+            <View style={[styles.severityBadge, { backgroundColor: color }]}>
+              <Text style={styles.severityText}>{alert.severity.toUpperCase()}</Text>
+            </View>
+          )}
+          {alert.ruleType && (
+            <View style={[styles.severityBadge, { backgroundColor: statusColors.default }]}>
+              <Text style={styles.severityText}>{ruleTypeLabels[alert.ruleType] || alert.ruleType.toUpperCase()}</Text>
+            </View>
+          )}
         </View>
         <Text style={styles.alertTime}>{formattedTime}</Text>
       </View>
       
+      {alert.status && (
+        <Text style={[styles.alertStatus, { color: statusColors[alert.status] || statusColors.default }]}>
+          {alert.status}{alert.assignedTo ? ' • assigned' : ''}
+        </Text>
+      )}
+      
       <Text style={styles.alertMessage}>{alert.message}</Text>
       
       <View style={styles.alertFooter}>
         <Text style={styles.alertValue}>
-          Value: {alert.value} {alert.unit} (Threshold: {alert.threshold} {alert.unit})
+          Value: {alert.value} {alert.unit}
+          {alert.threshold != null && ` (Threshold: ${alert.threshold} ${alert.unit})`}
+          {alert.peakValue != null &&
+            `\nPeak: ${alert.peakValue} ${alert.unit} • ${alert.active ? 'ongoing for' : 'lasted'} ${formatDuration(alert.durationSeconds)}`}
         </Text>
         
-        {onAcknowledge && (
+        {onAcknowledge && (!alert.status || alert.status === 'open') && (
           <Button 
             mode="text" 
             compact 
@@ -181,6 +219,18 @@ const AlertItem = ({ alert, color, icon, formattedTime, onAcknowledge, isNew })
             Acknowledge
           </Button>
         )}
+        
+        {onResolve && alert.status === 'acknowledged' && (
+          <Button 
+            mode="text" 
+            compact 
+            onPress={() => onResolve(alert)}
+            style={styles.acknowledgeButton}
+            labelStyle={{ fontSize: 12 }}
+          >
+            Resolve
+          </Button>
+        )}
       </View>
     </Animated.View>
   );
@@ -217,10 +267,27 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 4,
   },
+  severityBadge: {
+    marginLeft: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 8,
+  },
+  severityText: {
+    color: 'white',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
   alertTime: {
     fontSize: 12,
     color: '#757575',
   },
+  alertStatus: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    textTransform: 'capitalize',
+    marginBottom: 4,
+  },
   alertMessage: {
     marginBottom: 8,
   },
@@ -1,15 +1,82 @@
 import React, { useState, useEffect } from 'react';
 import { StyleSheet, View, Text, TouchableOpacity, Animated } from 'react-native';
-import { Card, Title, Paragraph, Button, IconButton, ProgressBar } from 'react-native-paper';
+import { Card, Title, Paragraph, Button, Icon, IconButton, ProgressBar } from 'react-native-paper';
 import SensorChart from './SensorChart';
 
-const SensorCard = ({ 
-  type, 
-  data = {}, 
-  historicalData = [], 
+// Colors and badge labels for each severity
+const severityStyles = {
+  warning: { color: '#FFA000', backgroundColor: '#FFF8E1', label: 'WARNING' },
+  critical: { color: '#F44336', backgroundColor: '#FFEBEE', label: 'CRITICAL' }
+};
+
+// Badge color for readings outside the sensor's rolling baseline band
+const ANOMALY_COLOR = '#9C27B0';
+
+/**
+ * Work out the severity of a reading from the sensor's thresholds
+ * (min/max are the critical limits, warningMin/warningMax the warning band)
+ */
+const getSeverity = (value, thresholds, isSafe) => {
+  if (!thresholds || typeof value !== 'number') {
+    return isSafe === false ? 'critical' : 'normal';
+  }
+  
+  if (value > thresholds.max || value < thresholds.min) return 'critical';
+  if (value > thresholds.warningMax || value < thresholds.warningMin) return 'warning';
+  return 'normal';
+};
+
+/**
+ * Whether a reading is outside the baseline band the backend judged it
+ * against; unusual for this machine even if it is within the thresholds
+ */
+const isAnomalous = (value, baseline) =>
+  !!baseline && typeof value === 'number' && (value > baseline.upper || value < baseline.lower);
+
+/**
+ * Describe a sensor's degradation forecast as an estimated time to service,
+ * or null if there is nothing to estimate yet
+ */
+const getServiceEstimate = (forecast) => {
+  if (!forecast) return null;
+  
+  switch (forecast.status) {
+    case 'exceeded':
+      return { text: 'Service now: past the critical limit', color: severityStyles.critical.color };
+    case 'degrading': {
+      const { earliestDays, latestDays } = forecast.confidenceInterval;
+      const color = forecast.daysToThreshold < 7 ? severityStyles.warning.color : '#555';
+      return {
+        text: `Est. ${forecast.daysToThreshold} days to service (${earliestDays}–${latestDays})`,
+        color
+      };
+    }
+    case 'stable':
+      return { text: 'No degradation trend', color: '#757575' };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Format a low/high limit pair, leaving out a lower limit of 0
+ */
+const formatLimits = (low, high) => (low > 0 ? `${low}–${high}` : `${high}`);
+
+/**
+ * Card for one sensor of an asset. Its name, icon, colour and thresholds
+ * come from the sensor type metadata (GET /api/sensors/types), and its
+ * service estimate from the asset's forecast (GET /api/assets/:id/forecast)
+ */
+const SensorCard = ({
+  type,
+  data = {},
+  historicalData = [],
   onViewDetails,
-  thresholdValue
+  meta = {},
+  forecast
 }) => {
+  const thresholds = meta.thresholds;
   const [expanded, setExpanded] = useState(false);
   const [expandAnim] = useState(new Animated.Value(0));
   
@@ -34,53 +101,32 @@ const SensorCard = ({
     setExpanded(!expanded);
   };
   
-  // Define colors and icons based on sensor type and safety
+  // Severity of the current reading
+  const severity = getSeverity(data.value, thresholds, data.isSafe);
+  const anomalous = isAnomalous(data.value, data.baseline);
+  const serviceEstimate = getServiceEstimate(forecast);
+  
+  // Define colors and icons from the sensor type metadata, overridden by severity
   const getSensorConfig = () => {
-    // Ensure data.isSafe is defined
-    const isSafe = data.isSafe !== undefined ? data.isSafe : true;
+    const color = meta.color || '#9E9E9E';
     
-    // Default colors
-    const defaultConfig = {
-      title: type || 'Unknown',
-      color: isSafe ? '#9E9E9E' : '#F44336',
-      backgroundColor: isSafe ? '#F5F5F5' : '#FFEBEE',
-      icon: '📊',
-      threshold: thresholdValue || 50
+    let config = {
+      title: meta.name || type || 'Unknown',
+      color,
+      // A light tint of the sensor colour (10% opacity)
+      backgroundColor: meta.color ? `${meta.color}1A` : '#F5F5F5',
+      icon: meta.icon || 'chart-line'
     };
     
-    // Return early if type is not defined
-    if (!type) {
-      return defaultConfig;
+    if (severityStyles[severity]) {
+      config = {
+        ...config,
+        color: severityStyles[severity].color,
+        backgroundColor: severityStyles[severity].backgroundColor
+      };
     }
     
-    switch (type.toUpperCase()) {
-      case 'VIBRATION':
-        return {
-          title: 'Vibration',
-          color: isSafe ? '#2196F3' : '#F44336',
-          backgroundColor: isSafe ? '#E3F2FD' : '#FFEBEE',
-          icon: '📳',
-          threshold: thresholdValue || 10
-        };
-      case 'TEMPERATURE':
-        return {
-          title: 'Temperature',
-          color: isSafe ? '#4CAF50' : '#F44336',
-          backgroundColor: isSafe ? '#E8F5E9' : '#FFEBEE',
-          icon: '🌡️',
-          threshold: thresholdValue || 80
-        };
-      case 'CURRENT':
-        return {
-          title: 'Current',
-          color: isSafe ? '#FF9800' : '#F44336',
-          backgroundColor: isSafe ? '#FFF3E0' : '#FFEBEE',
-          icon: '⚡',
-          threshold: thresholdValue || 40
-        };
-      default:
-        return defaultConfig;
-    }
+    return config;
   };
 
   // Get the configuration for this sensor
@@ -102,18 +148,25 @@ const SensorCard = ({
       <Card.Content>
         <View style={styles.headerRow}>
           <View style={styles.titleContainer}>
-            <Text style={styles.icon}>{config.icon}</Text>
+            <View style={styles.icon}>
+              <Icon source={config.icon} size={22} color={config.color} />
+            </View>
             <Title style={[styles.title, { color: config.color }]}>
               {config.title}
             </Title>
           </View>
           <View style={styles.headerControls}>
+            {anomalous && (
+              <View style={[styles.statusBadge, styles.anomalyBadge]}>
+                <Text style={styles.statusText}>ANOMALY</Text>
+              </View>
+            )}
             <View style={[
-              styles.statusBadge, 
-              { backgroundColor: data.isSafe !== false ? '#4CAF50' : '#F44336' }
+              styles.statusBadge,
+              { backgroundColor: severityStyles[severity] ? severityStyles[severity].color : '#4CAF50' }
             ]}>
               <Text style={styles.statusText}>
-                {data.isSafe !== false ? 'SAFE' : 'ALERT'}
+                {severityStyles[severity] ? severityStyles[severity].label : 'SAFE'}
               </Text>
             </View>
             
@@ -132,12 +185,26 @@ const SensorCard = ({
             <Text style={styles.unit}>{data.unit || ''}</Text>
           </View>
           
-          <View style={styles.thresholdContainer}>
-            <Text style={styles.thresholdLabel}>Threshold</Text>
-            <Text style={styles.thresholdValue}>{config.threshold} {data.unit || ''}</Text>
-          </View>
+          {thresholds && (
+            <View style={styles.thresholdContainer}>
+              <Text style={styles.thresholdLabel}>Warning</Text>
+              <Text style={[styles.thresholdValue, { color: severityStyles.warning.color }]}>
+                {formatLimits(thresholds.warningMin, thresholds.warningMax)} {data.unit || ''}
+              </Text>
+              <Text style={styles.thresholdLabel}>Critical</Text>
+              <Text style={[styles.thresholdValue, { color: severityStyles.critical.color }]}>
+                {formatLimits(thresholds.min, thresholds.max)} {data.unit || ''}
+              </Text>
+            </View>
+          )}
         </View>
 
+        {serviceEstimate && (
+          <Text style={[styles.serviceEstimate, { color: serviceEstimate.color }]}>
+            {serviceEstimate.text}
+          </Text>
+        )}
+        
         {/* Display timestamp information in a consistent way */}
         <View style={styles.timeInfo}>
           {data.sampled ? (
@@ -171,7 +238,7 @@ const SensorCard = ({
               unit={data?.unit || ''} 
               historicalData={Array.isArray(historicalData) ? historicalData : []}
               color={config?.color || '#2196F3'}
-              thresholdValue={thresholdValue || config.threshold}
+              thresholds={thresholds}
             />
           )}
         </Animated.View>
@@ -212,7 +279,6 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   icon: {
-    fontSize: 20,
     marginRight: 8,
   },
   title: {
@@ -224,6 +290,10 @@ const styles = StyleSheet.create({
     paddingVertical: 4,
     borderRadius: 12,
   },
+  anomalyBadge: {
+    backgroundColor: ANOMALY_COLOR,
+    marginRight: 6,
+  },
   statusText: {
     color: 'white',
     fontWeight: 'bold',
@@ -264,6 +334,10 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#555',
   },
+  serviceEstimate: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
   timeInfo: {
     marginTop: 5,
     marginBottom: 5,
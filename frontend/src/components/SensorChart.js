@@ -12,6 +12,49 @@ const MAX_CHART_POINTS = 12;
 // Minimum time between chart recalculations (ms)
 const MIN_RECALCULATION_INTERVAL = 10000; // 10 seconds
 
+// Line colors for the threshold levels
+const WARNING_LINE_COLOR = 'rgba(255, 160, 0, 0.6)';
+const CRITICAL_LINE_COLOR = 'rgba(255, 0, 0, 0.5)';
+
+// Line color for the edges of the rolling baseline band
+const BASELINE_LINE_COLOR = 'rgba(156, 39, 176, 0.45)';
+
+/**
+ * Get the threshold lines to draw. Lower limits of 0 are left out since they
+ * are just the floor of the scale.
+ */
+export const getThresholdLines = (thresholds) => {
+  if (!thresholds) return [];
+  
+  return [
+    { label: 'Critical Max', value: thresholds.max, color: CRITICAL_LINE_COLOR },
+    { label: 'Warning Max', value: thresholds.warningMax, color: WARNING_LINE_COLOR },
+    { label: 'Warning Min', value: thresholds.warningMin, color: WARNING_LINE_COLOR },
+    { label: 'Critical Min', value: thresholds.min, color: CRITICAL_LINE_COLOR }
+  ].filter(line => typeof line.value === 'number' && line.value > 0);
+};
+
+/**
+ * Get the edges of the baseline band the backend judged each reading
+ * against. Points without a band (older readings, or a baseline still
+ * warming up) take the nearest band so the lines stay continuous.
+ */
+const getBaselineLines = (points) => {
+  const firstBand = points.find(point => point.baseline);
+  if (!firstBand) return [];
+  
+  let band = firstBand.baseline;
+  const bands = points.map(point => {
+    band = point.baseline || band;
+    return band;
+  });
+  
+  return [
+    { label: 'Baseline High', data: bands.map(entry => entry.upper) },
+    { label: 'Baseline Low', data: bands.map(entry => entry.lower) }
+  ];
+};
+
 // Memoized function to avoid recalculations
 const formatTimestamp = (timestamp) => {
   const time = new Date(timestamp);
@@ -42,7 +85,7 @@ const SensorChart = ({
   unit = '', 
   historicalData = [], 
   color = '#2196F3',
-  thresholdValue = null
+  thresholds = null
 }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -130,19 +173,18 @@ const SensorChart = ({
         };
       }
       
-      // Calculate min and max values for Y-axis with threshold at top
+      // Calculate min and max values for Y-axis with the critical limit near the top
       let minValue = 0;
       let maxValue = 0;
+      const thresholdLines = getThresholdLines(thresholds);
+      const baselineLines = getBaselineLines(chartPoints);
+      const criticalMax = thresholds && typeof thresholds.max === 'number' ? thresholds.max : null;
       
-      // If we have a threshold, use it as the maximum
-      if (thresholdValue && typeof thresholdValue === 'number') {
-        // Set the max value to exactly the threshold value
-        // This will place the threshold line at the top of the chart
-        maxValue = thresholdValue;
-        
+      // If we have a critical limit, scale the chart around it
+      if (criticalMax) {
         // Add 20% padding to ensure the threshold line is visible
-        // This places the threshold at approximately 80% of the chart height
-        maxValue = maxValue * 1.2;
+        // This places the critical limit at approximately 80% of the chart height
+        maxValue = Math.max(criticalMax * 1.2, ...chartPoints.map(item => item.value));
         
         // Set minimum to 0 or the lowest value if negative
         minValue = Math.min(0, ...chartPoints.map(item => item.value));
@@ -173,25 +215,34 @@ const SensorChart = ({
         maxValue: maxValue
       };
       
-      // Add threshold line if provided, as a separate configuration
-      if (thresholdValue && typeof thresholdValue === 'number') {
-        formattedChartData.legend = [`${type} Readings`, `Max Threshold`];
+      // Add warning and critical threshold lines and the baseline band, each as a separate dataset
+      if (thresholdLines.length > 0 || baselineLines.length > 0) {
+        formattedChartData.legend = [
+          `${type} Readings`,
+          ...thresholdLines.map(line => line.label),
+          ...baselineLines.map(line => line.label)
+        ];
         
-        // Ensure threshold is properly visible in the chart
-        // Create constant threshold line that will be visible at correct value
-        const constantThreshold = Array(chartPoints.length).fill(thresholdValue);
-        
-        // Add threshold dataset
-        formattedChartData.datasets.push({
-          data: constantThreshold,
-          color: () => 'rgba(255, 0, 0, 0.5)',
-          strokeWidth: 2, // Make line thicker so it's more visible
-          strokeDashArray: [5, 5]
+        thresholdLines.forEach(line => {
+          // Constant line at the threshold value
+          formattedChartData.datasets.push({
+            data: Array(chartPoints.length).fill(line.value),
+            color: () => line.color,
+            strokeWidth: 2, // Make line thicker so it's more visible
+            strokeDashArray: [5, 5],
+            withDots: false
+          });
         });
         
-        // Ensure the max value includes the threshold
-        // This fixes cases where the threshold might not be visible
-        formattedChartData.maxValue = Math.max(maxValue, thresholdValue * 1.2);
+        baselineLines.forEach(line => {
+          formattedChartData.datasets.push({
+            data: line.data,
+            color: () => BASELINE_LINE_COLOR,
+            strokeWidth: 1,
+            strokeDashArray: [2, 4],
+            withDots: false
+          });
+        });
       }
       
       // Update references
@@ -206,7 +257,7 @@ const SensorChart = ({
       setLoading(false);
       return chartDataCacheRef.current || null;
     }
-  }, [historicalData, currentValue, thresholdValue, type, color]);
+  }, [historicalData, currentValue, thresholds, type, color]);
 
   // Update loading state only when necessary
   useEffect(() => {
@@ -370,7 +421,7 @@ export default React.memo(SensorChart, (prevProps, nextProps) => {
   return (
     prevProps.type === nextProps.type &&
     Math.abs(prevProps.currentValue - nextProps.currentValue) < 0.1 &&
-    prevProps.thresholdValue === nextProps.thresholdValue &&
+    prevProps.thresholds === nextProps.thresholds &&
     prevProps.color === nextProps.color &&
     prevProps.unit === nextProps.unit &&
     // Only check data length as a simple proxy for data change
@@ -1,6 +1,6 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import api from '../services/api';
+import api, { refreshSession as refreshStoredSession, setSessionListener } from '../services/api';
 
 // Create Authentication Context
 const AuthContext = createContext();
@@ -13,17 +13,37 @@ export const AuthProvider = ({ children }) => {
     isLoading: true,
     isAuthenticated: false
   });
-
+  
+  // Follow token refreshes made by the API client, and sign out once the
+  // session can no longer be renewed
+  useEffect(() => {
+    setSessionListener((session) => {
+      if (session) {
+        setAuthState(prev => ({ ...prev, token: session.token, user: session.user }));
+      } else {
+        setAuthState({
+          token: null,
+          user: null,
+          isLoading: false,
+          isAuthenticated: false
+        });
+      }
+    });
+    
+    return () => setSessionListener(null);
+  }, []);
+  
   // Login user
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
       
       if (response.data.status === 'success') {
-        const { token, user } = response.data;
+        const { token, refreshToken, user } = response.data;
         
-        // Store token and user data in AsyncStorage
+        // Store tokens and user data in AsyncStorage
         await AsyncStorage.setItem('token', token);
+        await AsyncStorage.setItem('refreshToken', refreshToken);
         await AsyncStorage.setItem('user', JSON.stringify(user));
         
         // Update auth state
@@ -56,10 +76,11 @@ export const AuthProvider = ({ children }) => {
       const response = await api.post('/auth/register', { name, email, password });
       
       if (response.data.status === 'success') {
-        const { token, user } = response.data;
+        const { token, refreshToken, user } = response.data;
         
-        // Store token and user data in AsyncStorage
+        // Store tokens and user data in AsyncStorage
         await AsyncStorage.setItem('token', token);
+        await AsyncStorage.setItem('refreshToken', refreshToken);
         await AsyncStorage.setItem('user', JSON.stringify(user));
         
         // Update auth state
@@ -89,8 +110,17 @@ export const AuthProvider = ({ children }) => {
   // Logout user
   const logout = async () => {
     try {
-      // Remove token and user data from AsyncStorage
+      // Revoke the session on the server, but sign out locally even if that fails
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (refreshToken) {
+        await api.post('/auth/logout', { refreshToken }).catch(error => {
+          console.error('Logout request failed:', error);
+        });
+      }
+      
+      // Remove tokens and user data from AsyncStorage
       await AsyncStorage.removeItem('token');
+      await AsyncStorage.removeItem('refreshToken');
       await AsyncStorage.removeItem('user');
       
       // Update auth state
@@ -108,14 +138,33 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Renew the access token, e.g. when the socket reports it has expired.
+  // Resolves false (and signs out) if the session has ended
+  const refreshSession = async () => {
+    try {
+      await refreshStoredSession();
+      return true;
+    } catch (error) {
+      console.error('Session refresh error:', error);
+      return false;
+    }
+  };
+  
+  // Check whether the user's role grants a permission (e.g. 'alerts:acknowledge');
+  // the server sends the permissions along with the user when signing in
+  const hasPermission = (permission) =>
+    Boolean(authState.user?.permissions?.includes(permission));
+  
   return (
-    <AuthContext.Provider 
-      value={{ 
-        authState, 
-        setAuthState, 
-        login, 
-        register, 
-        logout 
+    <AuthContext.Provider
+      value={{
+        authState,
+        setAuthState,
+        login,
+        register,
+        logout,
+        refreshSession,
+        hasPermission
       }}
     >
       {children}
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import socketService from '../services/socketService';
+import api from '../services/api';
 import { useAuth } from './AuthContext';
 
 // Create context with default values that match what DashboardScreen expects
@@ -9,9 +10,11 @@ const defaultContext = {
   sensorHistory: {},
   safetyAlerts: [],
   lastAlert: null,
+  dataSources: {},
   subscribe: () => console.warn('Socket context not initialized'),
   unsubscribe: () => console.warn('Socket context not initialized'),
-  clearAlerts: () => console.warn('Socket context not initialized')
+  clearAlerts: () => console.warn('Socket context not initialized'),
+  updateAlert: () => console.warn('Socket context not initialized')
 };
 
 const SocketContext = createContext(defaultContext);
@@ -20,7 +23,7 @@ const SocketContext = createContext(defaultContext);
  * Socket provider component
  */
 export const SocketProvider = ({ children }) => {
-  const { user } = useAuth();
+  const { authState, refreshSession } = useAuth();
   const [isConnected, setIsConnected] = useState(false);
   const [sensorData, setSensorData] = useState({});
   const [safetyAlerts, setSafetyAlerts] = useState([]);
@@ -30,13 +33,20 @@ export const SocketProvider = ({ children }) => {
   
   // Add history state for sensor readings
   const [sensorHistory, setSensorHistory] = useState({});
+  
+  // Health of the links feeding assets (e.g. PLCs), keyed by source id
+  const [dataSources, setDataSources] = useState({});
 
-  // Connect to socket when component mounts
+  // Connect to socket once signed in; the server checks the token during the handshake
   useEffect(() => {
+    if (!authState.token) {
+      return;
+    }
+    
     const connectSocket = async () => {
       try {
         console.log('SocketContext: Connecting to socket...');
-        await socketService.connect();
+        await socketService.connect(authState.token);
         setIsConnected(true);
         setIsInitialized(true);
         console.log('SocketContext: Connected successfully');
@@ -45,10 +55,29 @@ export const SocketProvider = ({ children }) => {
         socketService.on('sensorReadings', handleSensorReadings);
         socketService.on('safetyAlerts', handleSafetyAlerts);
         socketService.on('safetyAlert', handleSafetyAlert);
+        socketService.on('safetyAlertsUpdated', handleAlertEpisodes);
+        socketService.on('safetyAlertsCleared', handleAlertEpisodes);
+        socketService.on('alertUpdated', handleAlertUpdated);
+        socketService.on('dataSourceStatus', handleDataSourceStatus);
         socketService.on('disconnect', () => setIsConnected(false));
         
+        // Changes are pushed as they happen; fetch the current state once
+        fetchDataSources();
+        
+        // The server disconnects the socket when the access token expires;
+        // the renewed token reconnects it (or signs out if the session ended)
+        socketService.on('sessionExpired', () => {
+          console.log('SocketContext: Access token expired, refreshing session');
+          refreshSession();
+        });
+      
       } catch (error) {
         console.error('SocketContext: Failed to connect to socket:', error);
+        
+        // A stored token may have expired while the app was closed
+        if (error.message === 'Not authorized') {
+          refreshSession();
+        }
         setError(error);
         setIsConnected(false);
         setIsInitialized(true); // Still mark as initialized so we return the context
@@ -64,58 +93,53 @@ export const SocketProvider = ({ children }) => {
         socketService.off('sensorReadings');
         socketService.off('safetyAlerts');
         socketService.off('safetyAlert');
+        socketService.off('safetyAlertsUpdated');
+        socketService.off('safetyAlertsCleared');
+        socketService.off('alertUpdated');
+        socketService.off('dataSourceStatus');
+        socketService.off('sessionExpired');
         socketService.disconnect();
       }
+      setIsConnected(false);
     };
-  }, []);
-
-  // Authenticate socket when user changes
-  useEffect(() => {
-    if (isConnected && user) {
-      console.log('SocketContext: Authenticating socket with user data');
-      socketService.authenticate({
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }).catch(err => {
-        console.error('SocketContext: Authentication failed:', err);
-      });
-    }
-  }, [isConnected, user]);
+  }, [authState.token]);
 
-  // Handle sensor readings update
-  const handleSensorReadings = (data) => {
-    console.log('SocketContext: Received sensor readings');
-    setSensorData(data);
+  // Handle sensor readings update for a single asset
+  const handleSensorReadings = ({ assetId, readings }) => {
+    console.log('SocketContext: Received sensor readings for asset:', assetId);
+    setSensorData(prevData => ({ ...prevData, [assetId]: readings }));
     setIsConnected(true);
     
     // Store in history with timestamp
     const timestamp = new Date().toISOString();
     setSensorHistory(prevHistory => {
-      const newHistory = { ...prevHistory };
+      const assetHistory = { ...(prevHistory[assetId] || {}) };
       
       // Update history for each sensor type
-      Object.entries(data).forEach(([type, reading]) => {
-        if (!newHistory[type]) {
-          newHistory[type] = [];
+      Object.entries(readings).forEach(([type, reading]) => {
+        if (!assetHistory[type]) {
+          assetHistory[type] = [];
         }
         
         // Add new reading with timestamp
-        newHistory[type].push({
+        assetHistory[type] = [...assetHistory[type], {
           ...reading,
           timestamp
-        });
+        }];
         
         // Keep only last 1500 readings (covers 24h at 1 reading per minute)
-        if (newHistory[type].length > 1500) {
-          newHistory[type] = newHistory[type].slice(-1500);
+        if (assetHistory[type].length > 1500) {
+          assetHistory[type] = assetHistory[type].slice(-1500);
         }
       });
       
-      return newHistory;
+      return { ...prevHistory, [assetId]: assetHistory };
     });
   };
 
+  // Key used to de-duplicate alerts; stored alerts carry an id
+  const getAlertKey = (alert) => alert.id || (alert.timestamp + alert.assetId + alert.type);
+
   // Handle safety alerts update
   const handleSafetyAlerts = (alerts) => {
     console.log('SocketContext: Received safety alerts:', alerts.length);
@@ -123,7 +147,7 @@ export const SocketProvider = ({ children }) => {
       // Combine alerts, avoiding duplicates and keeping newest at the beginning
       const combinedAlerts = [...alerts, ...prevAlerts];
       const uniqueAlerts = [...new Map(
-        combinedAlerts.map(alert => [alert.timestamp + alert.type, alert])
+        combinedAlerts.map(alert => [getAlertKey(alert), alert])
       ).values()];
       
       // Sort by timestamp (newest first)
@@ -151,13 +175,50 @@ export const SocketProvider = ({ children }) => {
       
       // Remove duplicates
       const uniqueAlerts = [...new Map(
-        updatedAlerts.map(a => [a.timestamp + a.type, a])
+        updatedAlerts.map(a => [getAlertKey(a), a])
       ).values()];
       
       return uniqueAlerts.slice(0, 100); // Limit to 100 alerts
     });
   };
 
+  // Handle progress or clearing of ongoing alerts (peak value, duration, active)
+  const handleAlertEpisodes = (alerts) => {
+    alerts.forEach(alert => updateAlert(alert));
+  };
+
+  // Handle an alert being acknowledged, resolved or assigned
+  const handleAlertUpdated = (alert) => {
+    console.log('SocketContext: Alert updated:', alert.id, alert.status);
+    updateAlert(alert);
+  };
+
+  // Handle a data source such as a PLC link going up or down
+  const handleDataSourceStatus = (status) => {
+    console.log('SocketContext: Data source status:', status.id, status.connected);
+    setDataSources(prev => ({ ...prev, [status.id]: status }));
+  };
+  
+  // Load the current health of every data source
+  const fetchDataSources = async () => {
+    try {
+      const response = await api.get('/api/sensors/sources');
+      setDataSources(Object.fromEntries(response.data.data.map(source => [source.id, source])));
+    } catch (error) {
+      console.error('SocketContext: Failed to fetch data sources:', error.message);
+    }
+  };
+  
+  // Replace an alert in the list with its latest state
+  const updateAlert = (updatedAlert) => {
+    setSafetyAlerts((prevAlerts) => prevAlerts.map(alert =>
+      alert.id === updatedAlert.id ? { ...alert, ...updatedAlert } : alert
+    ));
+    setLastAlert((prevAlert) =>
+      prevAlert && prevAlert.id === updatedAlert.id ? { ...prevAlert, ...updatedAlert } : prevAlert
+    );
+  };
+
   // Subscribe to specific channels
   const subscribe = (channel) => {
     console.log('SocketContext: Subscribing to channel:', channel);
@@ -177,6 +238,7 @@ export const SocketProvider = ({ children }) => {
     sensorHistory,
     safetyAlerts,
     lastAlert,
+    dataSources,
     subscribe,
     unsubscribe,
     clearAlerts: () => {
@@ -184,6 +246,7 @@ export const SocketProvider = ({ children }) => {
       setSafetyAlerts([]);
       setLastAlert(null);
     },
+    updateAlert,
     error
   };
 
@@ -16,18 +16,57 @@ import { useSocket } from '../context/SocketContext';
 import api from '../services/api';
 import SensorCard from '../components/SensorCard';
 import TimeRangeSelector from '../components/TimeRangeSelector';
+import AssetSelector from '../components/AssetSelector';
+import ConnectionStatus from '../components/ConnectionStatus';
 
 // Fallback for compatibility
 import socketService, { initSocket, closeSocket } from '../services/socketService';
 
+// Colours for alert severities
+const severityColors = {
+  warning: '#FFA000',
+  critical: '#D32F2F'
+};
+
+// Colours for the alert lifecycle states
+const alertStatusColors = {
+  open: '#F44336',
+  acknowledged: '#FF9800',
+  resolved: '#4CAF50'
+};
+
+// Labels for alerts raised by an alert rule rather than a threshold band
+const ruleTypeLabels = {
+  rateOfChange: 'Rate of change',
+  sustained: 'Sustained',
+  trend: 'Trend'
+};
+
+// How often the degradation forecast is refreshed; it is fitted to hourly means (ms)
+const FORECAST_REFRESH_INTERVAL = 15 * 60 * 1000;
+
+// Format an alert duration in seconds as e.g. "4m 20s"
+const formatDuration = (seconds = 0) =>
+  seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+
 const DashboardScreen = ({ navigation }) => {
-  const { authState, logout } = useAuth();
+  const { authState, logout, hasPermission } = useAuth();
   
   // Try to get socket data from context, but have fallbacks
   const socketContext = useSocket();
   const isUsingSocketContext = !!socketContext;
   
-  // Data from socket context or local state
+  // Registered assets and the one currently shown on the dashboard
+  const [assets, setAssets] = useState([]);
+  const [selectedAssetId, setSelectedAssetId] = useState(null);
+  
+  // Sensor type metadata for the selected asset: names, icons, colours and effective thresholds
+  const [sensorTypes, setSensorTypes] = useState([]);
+  
+  // Degradation forecast of the selected asset, keyed by sensor type
+  const [forecasts, setForecasts] = useState({});
+  
+  // Data from socket context or local state (readings are keyed by asset id)
   const [localSensorData, setLocalSensorData] = useState({});
   const [localSafetyAlerts, setLocalSafetyAlerts] = useState([]);
   const [localLastAlert, setLocalLastAlert] = useState(null);
@@ -36,7 +75,7 @@ const DashboardScreen = ({ navigation }) => {
   // Time range state (default: Live view)
   const [timeRange, setTimeRange] = useState(0);
   
-  // Store all history of sensor readings for filtering
+  // Store all history of sensor readings for filtering, keyed by asset id
   const [sensorHistory, setSensorHistory] = useState({});
   
   // Track when the last update for each time interval occurred
@@ -45,21 +84,47 @@ const DashboardScreen = ({ navigation }) => {
   // Store snapshot data for fixed interval updates
   const [snapshotData, setSnapshotData] = useState({});
   
+  // Replace a locally held alert with its latest lifecycle state
+  const updateLocalAlert = (updatedAlert) => {
+    setLocalSafetyAlerts(prev => prev.map(alert =>
+      alert.id === updatedAlert.id ? { ...alert, ...updatedAlert } : alert
+    ));
+  };
+  
   // Use socket context if available, otherwise use local state
   const { 
     isConnected: socketIsConnected = false, 
-    sensorData = localSensorData, 
+    sensorData: allSensorData = localSensorData, 
     sensorHistory: contextSensorHistory = {},
     safetyAlerts = localSafetyAlerts, 
     lastAlert = localLastAlert,
+    dataSources = {},
     clearAlerts = () => {
       setLocalSafetyAlerts([]);
       setLocalLastAlert(null); // Also clear the last alert to ensure banner disappears
-    }
+    },
+    updateAlert = (alert) => updateLocalAlert(alert),
+    subscribe = () => {},
+    unsubscribe = () => {}
   } = isUsingSocketContext ? socketContext : {};
   
+  // Only show readings for the selected asset
+  const sensorData = useMemo(
+    () => allSensorData[selectedAssetId] || {},
+    [allSensorData, selectedAssetId]
+  );
+  
+  // Links such as PLCs that feed the selected asset
+  const assetDataSources = useMemo(
+    () => Object.values(dataSources).filter(source => source.assetId === selectedAssetId),
+    [dataSources, selectedAssetId]
+  );
+  
   // Use context history if available, otherwise use local history
-  const effectiveSensorHistory = isUsingSocketContext ? contextSensorHistory : sensorHistory;
+  const effectiveSensorHistory = useMemo(() => {
+    const history = isUsingSocketContext ? contextSensorHistory : sensorHistory;
+    return history[selectedAssetId] || {};
+  }, [isUsingSocketContext, contextSensorHistory, sensorHistory, selectedAssetId]);
   
   // Determine actual connection status based on both context and local data
   const isConnected = isUsingSocketContext 
@@ -82,36 +147,36 @@ const DashboardScreen = ({ navigation }) => {
       fetchSensorData();
       
       // Listen for real-time sensor readings
-      socket.on('sensorReadings', (data) => {
-        console.log('Received sensor readings:', data);
+      socket.on('sensorReadings', ({ assetId, readings }) => {
+        console.log('Received sensor readings for asset:', assetId);
         
         // Store current readings in regular state
-        setLocalSensorData(data);
+        setLocalSensorData(prev => ({ ...prev, [assetId]: readings }));
         
         // Also store in history with timestamp
         const timestamp = new Date().toISOString();
         setSensorHistory(prevHistory => {
-          const newHistory = { ...prevHistory };
+          const assetHistory = { ...(prevHistory[assetId] || {}) };
           
           // Update history for each sensor type
-          Object.entries(data).forEach(([type, reading]) => {
-            if (!newHistory[type]) {
-              newHistory[type] = [];
+          Object.entries(readings).forEach(([type, reading]) => {
+            if (!assetHistory[type]) {
+              assetHistory[type] = [];
             }
             
             // Add new reading with timestamp
-            newHistory[type].push({
+            assetHistory[type] = [...assetHistory[type], {
               ...reading,
               timestamp
-            });
+            }];
             
             // Keep only last 1500 readings (covers 24h at 1 reading per minute)
-            if (newHistory[type].length > 1500) {
-              newHistory[type] = newHistory[type].slice(-1500);
+            if (assetHistory[type].length > 1500) {
+              assetHistory[type] = assetHistory[type].slice(-1500);
             }
           });
           
-          return newHistory;
+          return { ...prevHistory, [assetId]: assetHistory };
         });
         
         setLoading(false);
@@ -123,7 +188,7 @@ const DashboardScreen = ({ navigation }) => {
         console.log('Received safety alerts:', alerts);
         setLocalSafetyAlerts(prev => {
           const combined = [...alerts, ...prev];
-          const unique = [...new Map(combined.map(a => [a.timestamp + a.type, a])).values()];
+          const unique = [...new Map(combined.map(a => [a.id || a.timestamp + a.assetId + a.type, a])).values()];
           return unique.slice(0, 100);
         });
         
@@ -139,13 +204,27 @@ const DashboardScreen = ({ navigation }) => {
         setLocalLastAlert(alert);
         setLocalSafetyAlerts(prev => {
           const updated = [alert, ...prev];
-          const unique = [...new Map(updated.map(a => [a.timestamp + a.type, a])).values()];
+          const unique = [...new Map(updated.map(a => [a.id || a.timestamp + a.assetId + a.type, a])).values()];
           return unique.slice(0, 100);
         });
         
         setConnectionStatus('connected');
       });
       
+      // Keep ongoing alerts up to date with their peak value and duration
+      socket.on('safetyAlertsUpdated', (alerts) => {
+        alerts.forEach(alert => updateLocalAlert(alert));
+      });
+      
+      socket.on('safetyAlertsCleared', (alerts) => {
+        alerts.forEach(alert => updateLocalAlert(alert));
+      });
+      
+      // Keep alert status in sync when anyone acknowledges, resolves or assigns an alert
+      socket.on('alertUpdated', (alert) => {
+        updateLocalAlert(alert);
+      });
+      
       // Listen for connection events
       socket.on('connect', () => {
         console.log('Socket connected');
@@ -162,6 +241,9 @@ const DashboardScreen = ({ navigation }) => {
         socket.off('sensorReadings');
         socket.off('safetyAlerts');
         socket.off('safetyAlert');
+        socket.off('safetyAlertsUpdated');
+        socket.off('safetyAlertsCleared');
+        socket.off('alertUpdated');
         socket.off('connect');
         socket.off('disconnect');
         closeSocket();
@@ -169,6 +251,41 @@ const DashboardScreen = ({ navigation }) => {
     }
   }, [isUsingSocketContext]);
   
+  // Load the asset registry once and default to the first asset
+  useEffect(() => {
+    fetchAssets();
+  }, []);
+  
+  // Snapshots and thresholds belong to a single asset, so reload them when switching
+  useEffect(() => {
+    setSnapshotData({});
+    fetchSensorTypes();
+  }, [selectedAssetId]);
+  
+  // The forecast changes slowly, so poll it rather than follow the readings
+  useEffect(() => {
+    setForecasts({});
+    if (!selectedAssetId) return;
+    
+    fetchForecast();
+    const interval = setInterval(fetchForecast, FORECAST_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [selectedAssetId]);
+  
+  // Only stream readings and alerts for the asset on screen rather than the
+  // whole fleet; the server sends nothing until the dashboard subscribes
+  useEffect(() => {
+    if (!isUsingSocketContext || !socketIsConnected || !selectedAssetId) {
+      return;
+    }
+    
+    const assetChannels = ['sensorReadings', 'safetyAlerts']
+      .map(channel => ({ channel, assetId: selectedAssetId }));
+    assetChannels.forEach(subscribe);
+    
+    return () => assetChannels.forEach(unsubscribe);
+  }, [isUsingSocketContext, socketIsConnected, selectedAssetId]);
+  
   // This effect runs for both implementations
   useEffect(() => {
     if (isUsingSocketContext) {
@@ -181,15 +298,74 @@ const DashboardScreen = ({ navigation }) => {
     }
   }, [isUsingSocketContext, socketIsConnected, sensorData]);
 
+  const fetchAssets = async () => {
+    try {
+      const response = await api.get('/api/assets');
+      
+      if (response.data.status === 'success') {
+        const registeredAssets = response.data.data;
+        setAssets(registeredAssets);
+        setSelectedAssetId(current => current || (registeredAssets[0] && registeredAssets[0].id));
+      }
+    } catch (error) {
+      console.error('Error fetching assets:', error);
+      setError('Failed to fetch assets');
+    }
+  };
+
+  const fetchSensorTypes = async () => {
+    try {
+      const response = await api.get('/api/sensors/types', {
+        params: selectedAssetId ? { assetId: selectedAssetId } : {}
+      });
+      
+      if (response.data.status === 'success') {
+        setSensorTypes(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching sensor types:', error);
+    }
+  };
+  
+  const fetchForecast = async () => {
+    try {
+      const response = await api.get(`/api/assets/${selectedAssetId}/forecast`);
+      
+      if (response.data.status === 'success') {
+        setForecasts(response.data.data.sensors);
+      }
+    } catch (error) {
+      // The cards simply go without a service estimate
+      console.error('Error fetching forecast:', error);
+    }
+  };
+  
+  // Move an alert along its lifecycle (acknowledge or resolve)
+  const handleAlertAction = async (alert, action) => {
+    try {
+      const response = await api.post(`/api/safety/alerts/${alert.id}/${action}`);
+      
+      if (response.data.status === 'success') {
+        updateAlert(response.data.data);
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} alert:`, error);
+      setError(error.response?.data?.message || `Failed to ${action} alert`);
+    }
+  };
+
   const fetchSensorData = async () => {
     try {
       setError(null);
-      const response = await api.get('/api/sensors');
+      const response = await api.get('/api/sensors', {
+        params: selectedAssetId ? { assetId: selectedAssetId } : {}
+      });
       
       if (response.data.status === 'success') {
         // Only update if we don't have socket data yet
-        if (!isUsingSocketContext && Object.keys(localSensorData).length === 0) {
-          setLocalSensorData(response.data.data);
+        if (!isUsingSocketContext && Object.keys(sensorData).length === 0) {
+          const data = response.data.data;
+          setLocalSensorData(prev => selectedAssetId ? { ...prev, [selectedAssetId]: data } : data);
           setConnectionStatus('connected');
         }
       }
@@ -205,7 +381,9 @@ const DashboardScreen = ({ navigation }) => {
 
   const handleRefresh = () => {
     setRefreshing(true);
+    fetchAssets();
     fetchSensorData();
+    if (selectedAssetId) fetchForecast();
   };
 
   const handleLogout = async () => {
@@ -219,14 +397,22 @@ const DashboardScreen = ({ navigation }) => {
     setAlertsModalVisible(!alertsModalVisible);
   };
   
+  // Display name of a sensor type, falling back to the type itself
+  const getSensorName = (type) => {
+    const meta = sensorTypes.find(sensorType => sensorType.type === type);
+    return meta ? meta.name : type;
+  };
+  
   const handleViewSensorDetails = (sensorType) => {
-    console.log(`Viewing details for ${sensorType}`);
-    // In a real app, you could navigate to a detailed view or open a modal
-    // navigation.navigate('SensorDetails', { type: sensorType });
+    const type = sensorType.toUpperCase();
+    navigation.navigate('SensorDetails', { type, name: getSensorName(type), assetId: selectedAssetId });
   };
 
   const renderSensorCards = () => {
-    if (!filteredSensorData || Object.keys(filteredSensorData).length === 0) {
+    // One card per sensor type the server describes that has reported for this asset
+    const reportingTypes = sensorTypes.filter(meta => filteredSensorData && filteredSensorData[meta.type]);
+    
+    if (reportingTypes.length === 0) {
       return (
         <Card style={styles.noDataCard}>
           <Card.Content style={styles.noDataContent}>
@@ -236,33 +422,17 @@ const DashboardScreen = ({ navigation }) => {
       );
     }
 
-    // Safety thresholds for each sensor type - match these values with the backend thresholds
-    const thresholds = {
-      VIBRATION: 10.0,  // Updated from 2.0 to match backend's 10 mm/s
-      TEMPERATURE: 80.0, // Updated from 40.0 to match backend's 80°C
-      CURRENT: 40.0      // Updated from 35.0 to match backend's 40A
-    };
-
-    return Object.entries(filteredSensorData).map(([type, data]) => {
-      // Ensure data exists and is properly formatted
-      if (!data) {
-        data = { value: 0, unit: '', isSafe: true };
-      }
-      
-      const sensorType = type ? type.toUpperCase() : '';
-      const threshold = thresholds[sensorType] || (
-        sensorType === 'VIBRATION' ? 10 :
-        sensorType === 'TEMPERATURE' ? 80 :
-        sensorType === 'CURRENT' ? 40 : 50
-      );
+    return reportingTypes.map(meta => {
+      const data = filteredSensorData[meta.type];
       
       return (
-        <SensorCard 
-          key={type || Math.random().toString()} 
-          type={type} 
-          data={data} 
+        <SensorCard
+          key={meta.type}
+          type={meta.type}
+          data={data}
           onViewDetails={handleViewSensorDetails}
-          thresholdValue={threshold}
+          meta={meta}
+          forecast={forecasts[meta.type]}
           historicalData={data.historicalData || []}
         />
       );
@@ -272,15 +442,42 @@ const DashboardScreen = ({ navigation }) => {
   const renderAlertItem = ({ item }) => (
     <View style={styles.alertItem}>
       <View style={styles.alertHeader}>
-        <Text style={styles.alertType}>{item.type}</Text>
+        <Text style={[styles.alertType, item.severity && { color: severityColors[item.severity] }]}>
+          {item.severity ? `${item.severity.toUpperCase()} • ` : ''}
+          {item.assetName ? `${item.assetName} • ${getSensorName(item.type)}` : getSensorName(item.type)}
+          {item.ruleType ? ` • ${ruleTypeLabels[item.ruleType] || item.ruleType}` : ''}
+        </Text>
         <Text style={styles.alertTime}>
           {new Date(item.timestamp).toLocaleTimeString()}
         </Text>
       </View>
       <Text style={styles.alertMessage}>{item.message}</Text>
       <Text style={styles.alertValue}>
-        Value: {item.value} {item.unit} (Threshold: {item.threshold} {item.unit})
+        Value: {item.value} {item.unit}
+        {item.threshold != null ? ` (Threshold: ${item.threshold} ${item.unit})` : ''}
       </Text>
+      {item.peakValue != null && (
+        <Text style={styles.alertValue}>
+          Peak: {item.peakValue} {item.unit} • {item.active ? 'Ongoing for' : 'Lasted'} {formatDuration(item.durationSeconds)}
+        </Text>
+      )}
+      {item.id && (
+        <View style={styles.alertActions}>
+          <Text style={[styles.alertStatus, { color: alertStatusColors[item.status] }]}>
+            {item.status}{item.assignedTo ? ' • assigned' : ''}
+          </Text>
+          {item.status === 'open' && hasPermission('alerts:acknowledge') && (
+            <Button mode="text" compact onPress={() => handleAlertAction(item, 'acknowledge')}>
+              Acknowledge
+            </Button>
+          )}
+          {item.status === 'acknowledged' && hasPermission('alerts:resolve') && (
+            <Button mode="text" compact onPress={() => handleAlertAction(item, 'resolve')}>
+              Resolve
+            </Button>
+          )}
+        </View>
+      )}
       <Divider style={styles.alertDivider} />
     </View>
   );
@@ -383,7 +580,8 @@ const DashboardScreen = ({ navigation }) => {
             value: data.value,
             unit: data.unit,
             timestamp: new Date().toISOString(),
-            isSafe: data.isSafe
+            isSafe: data.isSafe,
+            baseline: data.baseline
           });
         }
         
@@ -495,7 +693,8 @@ const DashboardScreen = ({ navigation }) => {
           value: data.value,
           unit: data.unit,
           timestamp: snapshot.timestamp.toISOString(),
-          isSafe: data.isSafe
+          isSafe: data.isSafe,
+          baseline: data.baseline
         });
         
         // Create result with metadata about the interval
@@ -538,6 +737,11 @@ const DashboardScreen = ({ navigation }) => {
           </View>
           
           <View style={styles.headerRightContainer}>
+            <AssetSelector
+              assets={assets}
+              selectedAssetId={selectedAssetId}
+              onAssetChange={setSelectedAssetId}
+            />
             <TimeRangeSelector 
               selectedRange={timeRange}
               onRangeChange={handleTimeRangeChange}
@@ -592,6 +796,15 @@ const DashboardScreen = ({ navigation }) => {
             <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
           }
         >
+          {assetDataSources.map(source => (
+            <ConnectionStatus
+              key={source.id}
+              isConnected={source.connected}
+              label={`PLC ${source.host}`}
+              lastSyncTime={source.lastReadingAt}
+              errorMessage={source.lastError}
+            />
+          ))}
           {renderSensorCards()}
         </ScrollView>
       )}
@@ -617,7 +830,7 @@ const DashboardScreen = ({ navigation }) => {
               <FlatList
                 data={safetyAlerts}
                 renderItem={renderAlertItem}
-                keyExtractor={(item) => `${item.type}-${item.timestamp}`}
+                keyExtractor={(item) => item.id || `${item.assetId}-${item.type}-${item.timestamp}`}
                 contentContainerStyle={styles.alertsList}
               />
             ) : (
@@ -649,6 +862,13 @@ const DashboardScreen = ({ navigation }) => {
       </Modal>
 
       <View style={styles.footer}>
+        <Button
+          mode="text"
+          onPress={() => navigation.navigate('Sessions')}
+          style={styles.sessionsButton}
+        >
+          Signed-in devices
+        </Button>
         <Button mode="outlined" onPress={handleLogout} style={styles.logoutButton}>
           Logout
         </Button>
@@ -752,6 +972,9 @@ const styles = StyleSheet.create({
     borderTopColor: '#e0e0e0',
     backgroundColor: '#fff',
   },
+  sessionsButton: {
+    marginBottom: 8,
+  },
   logoutButton: {
     borderColor: '#2196F3',
   },
@@ -838,6 +1061,17 @@ const styles = StyleSheet.create({
   alertDivider: {
     marginTop: 10,
   },
+  alertActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  alertStatus: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    textTransform: 'capitalize',
+  },
   noAlertsContainer: {
     padding: 30,
     alignItems: 'center',
@@ -0,0 +1,526 @@
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  SafeAreaView,
+  Dimensions,
+  TouchableOpacity,
+} from 'react-native';
+import { Card, Button, ActivityIndicator, IconButton, Chip } from 'react-native-paper';
+import { LineChart } from 'react-native-chart-kit';
+import api from '../services/api';
+import { getThresholdLines } from '../components/SensorChart';
+
+const { width } = Dimensions.get('window');
+const CHART_WIDTH = width - 30;
+const CHART_HEIGHT = 320;
+
+// Points fetched per range; longer ranges are averaged into windows to stay near this
+const TARGET_POINTS = 60;
+
+// Narrowest range the chart zooms in to (ms)
+const MIN_SPAN = 5 * 60 * 1000;
+
+// Most alerts listed under the chart
+const MAX_LISTED_ALERTS = 20;
+
+const HOUR = 60 * 60 * 1000;
+
+// Range presets, in ms back from now
+const rangePresets = [
+  { label: '1h', span: HOUR },
+  { label: '6h', span: 6 * HOUR },
+  { label: '24h', span: 24 * HOUR },
+  { label: '7d', span: 7 * 24 * HOUR },
+  { label: '30d', span: 30 * 24 * HOUR }
+];
+
+// Colours for alert severities
+const severityColors = {
+  warning: '#FFA000',
+  critical: '#D32F2F'
+};
+
+// Colours for the alert lifecycle states
+const alertStatusColors = {
+  open: '#F44336',
+  acknowledged: '#FF9800',
+  resolved: '#4CAF50'
+};
+
+// Format a timestamp as e.g. "12 Mar, 14:05"
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+// Format an axis label: the time of day for short ranges, the date for long ones
+const formatAxisLabel = (timestamp, span) => {
+  const time = new Date(timestamp);
+  if (span > 2 * 24 * HOUR) {
+    return `${time.getDate()}/${time.getMonth() + 1}`;
+  }
+  return `${time.getHours()}:${time.getMinutes().toString().padStart(2, '0')}`;
+};
+
+/**
+ * Summary statistics of a set of values. p95 is the nearest-rank 95th percentile
+ */
+const getStats = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, value) => total + value, 0);
+
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sum / sorted.length,
+    p95: sorted[Math.ceil(sorted.length * 0.95) - 1]
+  };
+};
+
+/**
+ * Full history of one sensor of an asset: a large chart over a range that can
+ * be zoomed and panned, statistics for that range, threshold bands, markers
+ * where alerts fired and the sensor's recent alerts
+ */
+const SensorDetailsScreen = ({ route }) => {
+  const { type, assetId } = route.params;
+
+  const [range, setRange] = useState(() => {
+    const now = Date.now();
+    return { start: now - HOUR, stop: now };
+  });
+  const [points, setPoints] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  // The sensor type's metadata: display name, unit, colour and effective thresholds
+  const [meta, setMeta] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const span = range.stop - range.start;
+
+  // Average into windows wide enough to keep the point count near TARGET_POINTS
+  const aggregationWindow = useMemo(
+    () => `${Math.max(1, Math.ceil(span / TARGET_POINTS / 1000))}s`,
+    [span]
+  );
+
+  useEffect(() => {
+    fetchSensorType();
+    fetchAlerts();
+  }, [type, assetId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [type, assetId, range]);
+
+  const fetchSensorType = async () => {
+    try {
+      const response = await api.get('/api/sensors/types', {
+        params: assetId ? { assetId } : {}
+      });
+      setMeta(response.data.data.find(sensorType => sensorType.type === type) || null);
+    } catch (err) {
+      console.error('Error fetching sensor types:', err);
+    }
+  };
+
+  const thresholds = meta ? meta.thresholds : null;
+  const name = meta ? meta.name : type;
+  const color = (meta && meta.color) || '#2196F3';
+
+  const fetchAlerts = async () => {
+    try {
+      const response = await api.get('/api/safety/alerts', {
+        params: { sensorType: type, ...(assetId ? { assetId } : {}) }
+      });
+      setAlerts(
+        [...response.data.data].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      );
+    } catch (err) {
+      console.error('Error fetching safety alerts:', err);
+    }
+  };
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get('/api/sensors/history', {
+        params: {
+          sensorType: type,
+          ...(assetId ? { assetId } : {}),
+          start: new Date(range.start).toISOString(),
+          stop: new Date(range.stop).toISOString(),
+          window: aggregationWindow,
+          aggregation: 'mean',
+          limit: TARGET_POINTS * 2
+        }
+      });
+
+      // History comes newest first
+      setPoints(
+        response.data.data
+          .filter(entry => entry[type] && typeof entry[type].value === 'number')
+          .map(entry => ({ timestamp: entry.timestamp, value: entry[type].value }))
+          .reverse()
+      );
+    } catch (err) {
+      console.error('Error fetching sensor history:', err);
+      setError(err.response?.data?.message || 'Could not load the sensor history');
+      setPoints([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showPreset = (presetSpan) => {
+    const now = Date.now();
+    setRange({ start: now - presetSpan, stop: now });
+  };
+
+  // Zoom around a point in time, keeping the range inside the past
+  const zoomTo = useCallback((center, newSpan) => {
+    const now = Date.now();
+    const clampedSpan = Math.max(MIN_SPAN, newSpan);
+    const stop = Math.min(now, center + clampedSpan / 2);
+    setRange({ start: stop - clampedSpan, stop });
+  }, []);
+
+  const zoomIn = () => zoomTo(range.start + span / 2, span / 2);
+  const zoomOut = () => zoomTo(range.start + span / 2, span * 2);
+  const pan = (direction) => zoomTo(range.start + span / 2 + direction * span / 2, span);
+
+  // Show the time around an alert, from a little before it fired until it cleared
+  const showAlert = (alert) => {
+    const firedAt = new Date(alert.timestamp).getTime();
+    const clearedAt = alert.clearedAt ? new Date(alert.clearedAt).getTime() : Date.now();
+    const margin = Math.max(MIN_SPAN / 2, (clearedAt - firedAt) / 4);
+    zoomTo((firedAt + clearedAt) / 2, clearedAt - firedAt + 2 * margin);
+  };
+
+  const stats = useMemo(() => getStats(points.map(point => point.value)), [points]);
+
+  // Alerts that fired inside the range, placed on the nearest point
+  const alertMarkers = useMemo(() => {
+    const markers = {};
+    if (points.length === 0) return markers;
+
+    const times = points.map(point => new Date(point.timestamp).getTime());
+    alerts.forEach(alert => {
+      const firedAt = new Date(alert.timestamp).getTime();
+      if (firedAt < range.start || firedAt > range.stop) return;
+
+      let nearest = 0;
+      times.forEach((time, index) => {
+        if (Math.abs(time - firedAt) < Math.abs(times[nearest] - firedAt)) nearest = index;
+      });
+
+      // Critical wins over warning when both land on one point
+      if (markers[nearest] !== 'critical') markers[nearest] = alert.severity;
+    });
+    return markers;
+  }, [points, alerts, range]);
+
+  const chartData = useMemo(() => {
+    if (points.length === 0) return null;
+
+    const thresholdLines = getThresholdLines(thresholds);
+    const labelEvery = Math.ceil(points.length / 6);
+
+    return {
+      labels: points.map((point, index) => (
+        index % labelEvery === 0 ? formatAxisLabel(point.timestamp, span) : ''
+      )),
+      datasets: [
+        {
+          data: points.map(point => parseFloat(point.value.toFixed(2))),
+          color: () => color,
+          strokeWidth: 2
+        },
+        ...thresholdLines.map(line => ({
+          data: Array(points.length).fill(line.value),
+          color: () => line.color,
+          strokeWidth: 2,
+          strokeDashArray: [5, 5],
+          withDots: false
+        }))
+      ],
+      legend: [`${name} Readings`, ...thresholdLines.map(line => line.label)]
+    };
+  }, [points, thresholds, name, color, span]);
+
+  // Only the points where an alert fired get a dot
+  const hiddenPoints = useMemo(
+    () => points.map((_, index) => index).filter(index => !alertMarkers[index]),
+    [points, alertMarkers]
+  );
+
+  const unit = meta ? meta.unit : '';
+  const formatValue = (value) => `${value.toFixed(2)} ${unit}`;
+
+  const renderStat = (label, value) => (
+    <View style={styles.stat} key={label}>
+      <Text style={styles.statLabel}>{label}</Text>
+      <Text style={styles.statValue}>{value === undefined ? '–' : formatValue(value)}</Text>
+    </View>
+  );
+
+  const renderAlert = (alert) => (
+    <TouchableOpacity key={alert.id} onPress={() => showAlert(alert)}>
+      <Card style={[styles.alertCard, { borderLeftColor: severityColors[alert.severity] || '#999' }]}>
+        <Card.Content>
+          <View style={styles.alertHeader}>
+            <Text style={[styles.alertSeverity, { color: severityColors[alert.severity] }]}>
+              {(alert.severity || '').toUpperCase()}
+            </Text>
+            <Text style={[styles.alertStatus, { color: alertStatusColors[alert.status] }]}>
+              {alert.active ? 'active' : alert.status}
+            </Text>
+          </View>
+          <Text style={styles.alertMessage}>{alert.message}</Text>
+          <Text style={styles.metaText}>
+            {formatTime(alert.timestamp)}
+            {alert.clearedAt ? ` – ${formatTime(alert.clearedAt)}` : ''}
+            {typeof alert.peakValue === 'number' ? ` • peak ${alert.peakValue} ${alert.unit || unit}` : ''}
+          </Text>
+        </Card.Content>
+      </Card>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.presets}>
+          {rangePresets.map(preset => (
+            <Chip
+              key={preset.label}
+              compact
+              selected={Math.abs(span - preset.span) < 1000 && Date.now() - range.stop < 60 * 1000}
+              onPress={() => showPreset(preset.span)}
+              style={styles.presetChip}
+            >
+              {preset.label}
+            </Chip>
+          ))}
+        </View>
+
+        <Card style={styles.chartCard}>
+          <Card.Content>
+            <View style={styles.rangeHeader}>
+              <IconButton icon="chevron-left" size={20} onPress={() => pan(-1)} />
+              <Text style={styles.rangeText}>
+                {formatTime(range.start)} – {formatTime(range.stop)}
+              </Text>
+              <IconButton
+                icon="chevron-right"
+                size={20}
+                onPress={() => pan(1)}
+                disabled={Date.now() - range.stop < 60 * 1000}
+              />
+            </View>
+
+            {loading ? (
+              <View style={styles.chartPlaceholder}>
+                <ActivityIndicator size="large" color="#2196F3" />
+              </View>
+            ) : error ? (
+              <View style={styles.chartPlaceholder}>
+                <Text style={styles.errorText}>{error}</Text>
+                <Button mode="text" onPress={fetchHistory}>Retry</Button>
+              </View>
+            ) : !chartData ? (
+              <View style={styles.chartPlaceholder}>
+                <Text style={styles.metaText}>No readings in this range</Text>
+              </View>
+            ) : (
+              <LineChart
+                data={chartData}
+                width={CHART_WIDTH - 30}
+                height={CHART_HEIGHT}
+                chartConfig={{
+                  backgroundColor: '#ffffff',
+                  backgroundGradientFrom: '#ffffff',
+                  backgroundGradientTo: '#ffffff',
+                  decimalPlaces: 1,
+                  color: (opacity = 1) => `rgba(33, 150, 243, ${opacity})`,
+                  labelColor: (opacity = 1) => `rgba(0, 0, 0, ${opacity})`,
+                  propsForDots: {
+                    r: '5',
+                    strokeWidth: '2',
+                    stroke: '#fff',
+                  },
+                  propsForBackgroundLines: {
+                    strokeDasharray: '',
+                    stroke: '#e0e0e0',
+                    strokeWidth: 1
+                  },
+                }}
+                getDotColor={(_, index) => severityColors[alertMarkers[index]] || '#2196F3'}
+                hidePointsAtIndex={hiddenPoints}
+                onDataPointClick={({ index }) => {
+                  // Tapping the readings zooms in on that moment
+                  if (points[index]) zoomTo(new Date(points[index].timestamp).getTime(), span / 4);
+                }}
+                withVerticalLines={false}
+                segments={5}
+                style={styles.chart}
+              />
+            )}
+
+            <View style={styles.zoomControls}>
+              <Text style={styles.metaText}>
+                {points.length} points, {aggregationWindow} averages. Tap the line to zoom in.
+              </Text>
+              <IconButton icon="magnify-minus-outline" size={20} onPress={zoomOut} />
+              <IconButton icon="magnify-plus-outline" size={20} onPress={zoomIn} disabled={span <= MIN_SPAN} />
+            </View>
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.statsCard}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>Statistics for this range</Text>
+            <View style={styles.statsRow}>
+              {renderStat('Min', stats?.min)}
+              {renderStat('Mean', stats?.mean)}
+              {renderStat('p95', stats?.p95)}
+              {renderStat('Max', stats?.max)}
+            </View>
+            {thresholds && (
+              <Text style={styles.metaText}>
+                Warning above {thresholds.warningMax} {unit}, critical above {thresholds.max} {unit}
+                {thresholds.min > 0 ? `, critical below ${thresholds.min} ${unit}` : ''}
+              </Text>
+            )}
+          </Card.Content>
+        </Card>
+
+        <Text style={styles.sectionTitle}>Recent alerts</Text>
+        {alerts.length === 0 ? (
+          <Text style={styles.emptyText}>No alerts for this sensor</Text>
+        ) : (
+          alerts.slice(0, MAX_LISTED_ALERTS).map(renderAlert)
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 15,
+  },
+  presets: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  presetChip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chartCard: {
+    marginBottom: 15,
+  },
+  rangeHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  rangeText: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 13,
+    color: '#333',
+  },
+  chartPlaceholder: {
+    height: CHART_HEIGHT,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  chart: {
+    marginVertical: 8,
+    borderRadius: 8,
+  },
+  zoomControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statsCard: {
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  stat: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  statValue: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  alertCard: {
+    marginBottom: 10,
+    borderLeftWidth: 4,
+  },
+  alertHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  alertSeverity: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  alertStatus: {
+    fontSize: 12,
+  },
+  alertMessage: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 4,
+  },
+  metaText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#666',
+  },
+  errorText: {
+    color: '#D32F2F',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+  },
+});
+
+export default SensorDetailsScreen;
@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  FlatList,
+  SafeAreaView,
+} from 'react-native';
+import { Card, Button, ActivityIndicator, Badge, IconButton } from 'react-native-paper';
+import api from '../services/api';
+
+// Format a timestamp as e.g. "12 Mar 2025, 14:05"
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+const SessionsScreen = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setError('');
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.data);
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      setError('Could not load your sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (err) {
+      console.error('Error signing out session:', err);
+      setError(err.response?.data?.message || 'Could not sign out that device');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await api.post('/auth/sessions/revoke-others');
+      setMessage(response.data.message);
+      setSessions(prev => prev.filter(item => item.current));
+    } catch (err) {
+      console.error('Error signing out other devices:', err);
+      setError(err.response?.data?.message || 'Could not sign out other devices');
+    }
+  };
+
+  const renderSession = ({ item }) => (
+    <Card style={styles.sessionCard}>
+      <Card.Content style={styles.sessionContent}>
+        <View style={styles.sessionDetails}>
+          <View style={styles.sessionHeader}>
+            <Text style={styles.deviceText} numberOfLines={1}>
+              {item.device || 'Unknown device'}
+            </Text>
+            {item.current && <Badge style={styles.currentBadge}>This device</Badge>}
+          </View>
+          <Text style={styles.metaText}>
+            Last active {formatTime(item.lastUsedAt)}
+            {item.ipAddress ? ` from ${item.ipAddress}` : ''}
+          </Text>
+          <Text style={styles.metaText}>Signed in {formatTime(item.createdAt)}</Text>
+        </View>
+        {!item.current && (
+          <IconButton icon="logout" size={20} onPress={() => handleRevoke(item)} />
+        )}
+      </Card.Content>
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      {message ? <Text style={styles.messageText}>{message}</Text> : null}
+
+      <FlatList
+        data={sessions}
+        keyExtractor={item => item.id}
+        renderItem={renderSession}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={<Text style={styles.emptyText}>No active sessions</Text>}
+      />
+
+      <View style={styles.footer}>
+        <Button
+          mode="contained"
+          onPress={handleRevokeOthers}
+          disabled={!sessions.some(session => !session.current)}
+        >
+          Sign out other devices
+        </Button>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 15,
+  },
+  sessionCard: {
+    marginBottom: 10,
+  },
+  sessionContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sessionDetails: {
+    flex: 1,
+  },
+  sessionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  deviceText: {
+    flexShrink: 1,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  currentBadge: {
+    marginLeft: 8,
+    backgroundColor: '#4CAF50',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  errorText: {
+    color: '#D32F2F',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  messageText: {
+    color: '#4CAF50',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+  },
+  footer: {
+    padding: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    backgroundColor: '#fff',
+  },
+});
+
+export default SessionsScreen;
@@ -44,6 +44,69 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh in progress, shared so concurrent 401s only redeem the refresh token once
+let refreshPromise = null;
+
+// Notified with the new session after a refresh, or null once the session has ended
+let sessionListener = null;
+
+/**
+ * Register a listener for session changes made by the interceptor
+ * @param {Function} listener - Called with { token, refreshToken, user } or null
+ */
+export const setSessionListener = (listener) => {
+  sessionListener = listener;
+};
+
+// Forget the stored session once it can no longer be renewed
+const endSession = async () => {
+  await AsyncStorage.multiRemove(['token', 'refreshToken', 'user']);
+  sessionListener?.(null);
+};
+
+/**
+ * Exchange the stored refresh token for a new access token and refresh token.
+ * If the server rejects it the stored session is cleared
+ * @returns {Promise<Object>} - The new session ({ token, refreshToken, user })
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        await endSession();
+        throw new Error('No refresh token');
+      }
+      
+      const response = await api.post('/auth/refresh', { refreshToken });
+      const session = {
+        token: response.data.token,
+        refreshToken: response.data.refreshToken,
+        user: response.data.user
+      };
+      
+      await AsyncStorage.setItem('token', session.token);
+      await AsyncStorage.setItem('refreshToken', session.refreshToken);
+      await AsyncStorage.setItem('user', JSON.stringify(session.user));
+      
+      sessionListener?.(session);
+      return session;
+    })()
+      .catch(async (error) => {
+        // Only a rejected refresh token ends the session, not e.g. a network error
+        if (error.response && [400, 401].includes(error.response.status)) {
+          await endSession();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  
+  return refreshPromise;
+};
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
@@ -52,14 +115,26 @@ api.interceptors.response.use(
   async (error) => {
     console.log('API Error:', error);
     
-    // Handle 401 Unauthorized errors (token expired or invalid)
-    if (error.response && error.response.status === 401) {
-      // Clear token and user from storage
-      await AsyncStorage.removeItem('token');
-      await AsyncStorage.removeItem('user');
+    const request = error.config;
+    
+    // The access token has expired or been revoked: renew it and retry once.
+    // Auth endpoints are left alone, including the refresh request itself
+    if (
+      error.response &&
+      error.response.status === 401 &&
+      request &&
+      !request._retried &&
+      !request.url?.startsWith('/auth/')
+    ) {
+      request._retried = true;
       
-      // You can add additional logic here to redirect to login page
-      // This would require access to the navigation object
+      try {
+        const { token } = await refreshSession();
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch (refreshError) {
+        console.log('Session could not be refreshed:', refreshError.message);
+      }
     }
     
     return Promise.reject(error);
@@ -18,6 +18,7 @@ const API_URL = getApiUrl();
 class SocketService {
   constructor() {
     this.socket = null;
+    this.token = null;
     this.connected = false;
     this.listeners = new Map();
     this.reconnectAttempts = 0;
@@ -26,20 +27,34 @@ class SocketService {
 
   /**
    * Initialize and connect to the Socket.IO server
+   * @param {String} token - JWT of the signed-in user, checked by the server
+   *   during the handshake (defaults to the token of the last connection)
    * @returns {Promise} - Resolves when connected
    */
-  connect() {
+  connect(token = this.token) {
     return new Promise((resolve, reject) => {
-      if (this.socket && this.connected) {
+      if (this.socket && this.connected && token === this.token) {
         console.log('Socket already connected');
         resolve(this.socket);
         return;
       }
-
+      
+      if (!token) {
+        reject(new Error('Cannot connect socket: not signed in'));
+        return;
+      }
+      
+      // Connections are tied to a user, so drop one made with another token
+      if (this.socket) {
+        this.disconnect();
+      }
+      
       console.log('Connecting to socket at:', API_URL);
+      this.token = token;
       
       // Create Socket.IO connection to server
       this.socket = io(API_URL, {
+        auth: { token },
         reconnectionAttempts: this.maxReconnectAttempts,
         timeout: 10000,
         transports: ['websocket', 'polling']
@@ -57,6 +72,13 @@ class SocketService {
       this.socket.on('connect_error', (error) => {
         this.reconnectAttempts++;
         console.error('Socket connection error:', error);
+        
+        // The server rejected the token; retrying won't help
+        if (error.message === 'Not authorized') {
+          reject(error);
+          return;
+        }
+        
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
           reject(new Error(`Failed to connect after ${this.maxReconnectAttempts} attempts`));
         }
@@ -71,17 +93,19 @@ class SocketService {
   }
 
   /**
-   * Authenticate the socket connection
-   * @param {Object} userData - User data for authentication
+   * Hand a new token to an open connection, e.g. after it has been renewed
+   * @param {String} token - JWT of the signed-in user
    */
-  authenticate(userData) {
+  authenticate(token) {
     if (!this.socket || !this.connected) {
       console.error('Cannot authenticate: Socket not connected');
       return Promise.reject(new Error('Socket not connected'));
     }
-
+    
+    this.token = token;
+    
     return new Promise((resolve) => {
-      this.socket.emit('authenticate', userData);
+      this.socket.emit('authenticate', { token });
       this.socket.once('authenticated', (response) => {
         console.log('Socket authenticated:', response);
         resolve(response);
@@ -90,8 +114,10 @@ class SocketService {
   }
 
   /**
-   * Subscribe to a specific channel
-   * @param {String} channel - Channel to subscribe to
+   * Subscribe to a channel, either fleet-wide ('sensorReadings') or narrowed
+   * to one asset and optionally one of its sensor types
+   * ({ channel: 'sensorReadings', assetId, sensorType })
+   * @param {String|Object} channel - Channel to subscribe to
    */
   subscribe(channel) {
     if (!this.socket || !this.connected) {
@@ -99,12 +125,16 @@ class SocketService {
       return;
     }
 
-    this.socket.emit('subscribe', channel);
+    this.socket.emit('subscribe', channel, (response) => {
+      if (!response.success) {
+        console.error('Subscription failed:', response.message);
+      }
+    });
   }
 
   /**
-   * Unsubscribe from a specific channel
-   * @param {String} channel - Channel to unsubscribe from
+   * Unsubscribe from a channel, given the same way as to subscribe()
+   * @param {String|Object} channel - Channel to unsubscribe from
    */
   unsubscribe(channel) {
     if (!this.socket || !this.connected) {
@@ -186,7 +216,9 @@ export default socketService;
 // Add these for backward compatibility to prevent errors
 export const initSocket = () => {
   console.warn('initSocket is deprecated, please use socketService.connect() instead');
-  socketService.connect();
+  socketService.connect().catch(error => {
+    console.error('Socket connection failed:', error.message);
+  });
   return socketService.socket || { on: () => {}, off: () => {}, emit: () => {} };
 };
 
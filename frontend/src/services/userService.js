@@ -3,6 +3,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { API_ENDPOINTS } from '../config/index';
 import { createClient } from '@supabase/supabase-js';
 import socketService from './socketService';
+import api from './api';
 
 // Supabase configuration
 const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL || 'https://your-supabase-url.supabase.co';
@@ -210,9 +211,7 @@ class UserService {
       
       // Also get additional profile data from your API
       try {
-        const response = await axios.get(
-          `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}/me`
-        );
+        const response = await api.get('/api/users/me');
         return { ...user, profile: response.data };
       } catch (apiError) {
         console.warn('Could not fetch additional profile data:', apiError);
@@ -245,10 +244,7 @@ class UserService {
       
       // Also update the profile in your API
       try {
-        const response = await axios.put(
-          `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}/me`,
-          userData
-        );
+        const response = await api.put('/api/users/me', { name: userData.name });
         return { ...data.user, profile: response.data };
       } catch (apiError) {
         console.warn('User updated in Supabase but API profile update failed:', apiError);
@@ -261,19 +257,14 @@ class UserService {
   }
 
   /**
-   * Changes the user's password
-   * @param {string} currentPassword - Current password (not used with Supabase)
-   * @param {string} newPassword - New password
+   * Changes the signed-in user's password; their other devices are signed out
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password (at least 8 characters)
    * @returns {Promise<Object>} - Promise resolving to the response
    */
   static async changePassword(currentPassword, newPassword) {
     try {
-      // With Supabase, we don't need the current password
-      const { data, error } = await supabase.auth.updateUser({
-        password: newPassword
-      });
-      
-      if (error) throw error;
+      await api.post('/auth/change-password', { currentPassword, newPassword });
       
       return { success: true };
     } catch (error) {
@@ -283,15 +274,13 @@ class UserService {
   }
 
   /**
-   * Initiates password reset process
+   * Initiates password reset process; a reset code is emailed to the user
    * @param {string} email - User's email
    * @returns {Promise<Object>} - Promise resolving to the response
    */
   static async requestPasswordReset(email) {
     try {
-      const { error } = await supabase.auth.resetPasswordForEmail(email);
-      
-      if (error) throw error;
+      await api.post('/auth/forgot-password', { email });
       
       return { success: true };
     } catch (error) {
@@ -299,26 +288,40 @@ class UserService {
       throw error;
     }
   }
+  
+  /**
+   * Sets a new password with the code from a password reset email
+   * @param {string} token - Reset code
+   * @param {string} password - New password (at least 8 characters)
+   * @returns {Promise<Object>} - Promise resolving to the response
+   */
+  static async resetPassword(token, password) {
+    try {
+      await api.post('/auth/reset-password', { token, password });
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      throw error;
+    }
+  }
 
   /**
-   * Fetches all users (admin function)
-   * @param {Object} filters - Optional filters for users
+   * Fetches a page of users (admin function)
+   * @param {Object} filters - Optional filters ({ search, role, active })
    * @param {number} page - Page number for pagination
-   * @param {number} limit - Number of items per page
-   * @returns {Promise<Array>} - Promise resolving to an array of users
+   * @param {number} limit - Number of items per page (at most 100)
+   * @returns {Promise<Object>} - Promise resolving to { data, pagination }
    */
   static async getAllUsers(filters = {}, page = 1, limit = 10) {
     try {
-      const response = await axios.get(
-        `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}`,
-        {
-          params: {
-            ...filters,
-            page,
-            limit
-          }
+      const response = await api.get('/api/users', {
+        params: {
+          ...filters,
+          page,
+          limit
         }
-      );
+      });
       return response.data;
     } catch (error) {
       console.error('Error fetching users:', error);
@@ -333,9 +336,7 @@ class UserService {
    */
   static async getUserById(userId) {
     try {
-      const response = await axios.get(
-        `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}/${userId}`
-      );
+      const response = await api.get(`/api/users/${userId}`);
       return response.data;
     } catch (error) {
       console.error(`Error fetching user with ID ${userId}:`, error);
@@ -351,10 +352,7 @@ class UserService {
    */
   static async updateUser(userId, userData) {
     try {
-      const response = await axios.put(
-        `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}/${userId}`,
-        userData
-      );
+      const response = await api.put(`/api/users/${userId}`, userData);
       return response.data;
     } catch (error) {
       console.error(`Error updating user with ID ${userId}:`, error);
@@ -363,15 +361,14 @@ class UserService {
   }
 
   /**
-   * Deletes a user (admin function)
-   * @param {string} userId - The ID of the user to delete
-   * @returns {Promise<Object>} - Promise resolving to the result of the deletion
+   * Deactivates a user (admin function). The account is kept but signed out
+   * everywhere and can no longer sign in
+   * @param {string} userId - The ID of the user to deactivate
+   * @returns {Promise<Object>} - Promise resolving to the deactivated user
    */
   static async deleteUser(userId) {
     try {
-      const response = await axios.delete(
-        `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}/${userId}`
-      );
+      const response = await api.delete(`/api/users/${userId}`);
       return response.data;
     } catch (error) {
       console.error(`Error deleting user with ID ${userId}:`, error);
@@ -386,9 +383,7 @@ class UserService {
    */
   static async getUserAssets(userId = 'me') {
     try {
-      const response = await axios.get(
-        `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}/${userId}/assets`
-      );
+      const response = await api.get(`/api/users/${userId}/assets`);
       return response.data;
     } catch (error) {
       console.error(`Error fetching assets for user ${userId}:`, error);
@@ -406,16 +401,13 @@ class UserService {
    */
   static async getUserActivityLogs(userId = 'me', filters = {}, page = 1, limit = 10) {
     try {
-      const response = await axios.get(
-        `${API_ENDPOINTS.BASE_URL}${API_ENDPOINTS.USERS}/${userId}/activity`,
-        {
-          params: {
-            ...filters,
-            page,
-            limit
-          }
+      const response = await api.get(`/api/users/${userId}/activity`, {
+        params: {
+          ...filters,
+          page,
+          limit
         }
-      );
+      });
       return response.data;
     } catch (error) {
       console.error(`Error fetching activity logs for user ${userId}:`, error);